@@ -0,0 +1,70 @@
+// functions/hours.js
+// Time entry hours and job totals, kept free of Firebase so they can be
+// unit tested (see hours.test.js).
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** Compute hours from entry (manual hours or start/end). Soft-deleted entries count as 0. */
+function hoursFromEntry(d) {
+  if (d.deleted) return 0;
+  if (typeof d.hours === 'number' && Number.isFinite(d.hours)) return d.hours;
+
+  const hasEnd = typeof d.end !== 'undefined' && d.end !== null;
+  if (!hasEnd) return 0;
+
+  const start = d.start?.toDate?.() || null;
+  const end = d.end?.toDate?.() || null;
+  if (!start || !end) return 0;
+
+  return (end.getTime() - start.getTime()) / 3600000;
+}
+
+// Time entry categories; keep in step with TIME_CATEGORIES in src/utils/timeCategories.js
+const TIME_CATEGORY_LABELS = { install: 'Install', travel: 'Travel', setup: 'Setup', rework: 'Rework' };
+const DEFAULT_TIME_CATEGORY = 'install';
+
+/** Category of an entry; entries logged before categories existed count as install. */
+const categoryOf = (d) => (TIME_CATEGORY_LABELS[d.category] ? d.category : DEFAULT_TIME_CATEGORY);
+
+/** What one entry adds to the job totals, or null if nothing. */
+function entryContribution(d) {
+  if (!d) return null;
+  const hours = hoursFromEntry(d);
+  if (!hours) return null;
+  return { hours, userId: d.userId || 'unknown', category: categoryOf(d) };
+}
+
+/** Add (sign 1) or remove (sign -1) one contribution from job totals, in place. */
+function applyContribution(totals, c, sign) {
+  const bump = (map, key) => {
+    const next = round2((map[key] || 0) + sign * c.hours);
+    if (Math.abs(next) < 0.005) delete map[key];
+    else map[key] = next;
+  };
+  totals.hoursTotal = round2(totals.hoursTotal + sign * c.hours);
+  bump(totals.hoursByUser, c.userId);
+  bump(totals.hoursByCategory, c.category);
+}
+
+/** Full job totals from every entry (used for rebuilds and first-time aggregation). */
+function aggregateEntries(entries) {
+  const totals = { hoursTotal: 0, hoursByUser: {}, hoursByCategory: {} };
+  for (const d of entries) {
+    const c = entryContribution(d);
+    if (c) applyContribution(totals, c, 1);
+  }
+  return totals;
+}
+
+const hoursByCategory = (entries) => aggregateEntries(entries).hoursByCategory;
+
+module.exports = {
+  round2,
+  hoursFromEntry,
+  TIME_CATEGORY_LABELS,
+  categoryOf,
+  entryContribution,
+  applyContribution,
+  aggregateEntries,
+  hoursByCategory,
+};
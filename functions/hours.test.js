@@ -0,0 +1,50 @@
+// functions/hours.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { aggregateEntries, applyContribution, entryContribution, hoursFromEntry } = require('./hours');
+
+// Stand-in for a Firestore Timestamp
+const ts = (iso) => ({ toDate: () => new Date(iso) });
+
+test('hoursFromEntry uses manual hours, else start to end', () => {
+  assert.equal(hoursFromEntry({ hours: 2.5 }), 2.5);
+  assert.equal(hoursFromEntry({ start: ts('2026-03-10T08:00:00Z'), end: ts('2026-03-10T11:30:00Z') }), 3.5);
+});
+
+test('hoursFromEntry counts running and deleted entries as 0', () => {
+  assert.equal(hoursFromEntry({ start: ts('2026-03-10T08:00:00Z'), end: null }), 0);
+  assert.equal(hoursFromEntry({ start: ts('2026-03-10T08:00:00Z') }), 0);
+  assert.equal(hoursFromEntry({ hours: 4, deleted: true }), 0);
+});
+
+test('entryContribution defaults the user and category', () => {
+  assert.deepEqual(entryContribution({ hours: 1 }), { hours: 1, userId: 'unknown', category: 'install' });
+  assert.equal(entryContribution({ hours: 1, userId: 'amy', category: 'bogus' }).category, 'install');
+  assert.equal(entryContribution({ hours: 0 }), null);
+  assert.equal(entryContribution(undefined), null);
+});
+
+test('aggregateEntries totals hours by user and category', () => {
+  const totals = aggregateEntries([
+    { userId: 'amy', hours: 2, category: 'travel' },
+    { userId: 'amy', start: ts('2026-03-10T08:00:00Z'), end: ts('2026-03-10T12:00:00Z') },
+    { userId: 'ben', hours: 1.333 },
+    { userId: 'ben', hours: 5, deleted: true },
+  ]);
+
+  assert.deepEqual(totals, {
+    hoursTotal: 7.33,
+    hoursByUser: { amy: 6, ben: 1.33 },
+    hoursByCategory: { travel: 2, install: 5.33 },
+  });
+});
+
+test('applyContribution with sign -1 undoes an entry and drops emptied keys', () => {
+  const totals = aggregateEntries([
+    { userId: 'amy', hours: 2 },
+    { userId: 'ben', hours: 1, category: 'rework' },
+  ]);
+  applyContribution(totals, entryContribution({ userId: 'ben', hours: 1, category: 'rework' }), -1);
+
+  assert.deepEqual(totals, { hoursTotal: 2, hoursByUser: { amy: 2 }, hoursByCategory: { install: 2 } });
+});
@@ -2,10 +2,14 @@
 
 const { onDocumentUpdated, onDocumentWritten } = require('firebase-functions/v2/firestore');
 const { onRequest } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onObjectDeleted, onObjectFinalized } = require('firebase-functions/v2/storage');
 const { defineSecret } = require('firebase-functions/params');
 const admin = require('firebase-admin');
 const nodemailer = require('nodemailer');
 const { Storage } = require('@google-cloud/storage');
+const sharp = require('sharp');
+const crypto = require('crypto');
 
 try {
   admin.app();
@@ -16,6 +20,7 @@ try {
 const db = admin.firestore();
 const storage = new Storage();
 const region = 'australia-southeast1';
+const timeZone = 'Australia/Sydney';
 
 // === Secrets ===
 const GMAIL_USER = defineSecret('GMAIL_USER');                 // e.g. installscheduler@tenderedge.com.au
@@ -27,21 +32,16 @@ const FRONTEND_BASE_URL = defineSecret('FRONTEND_BASE_URL');   // e.g. https://i
 // ------------------------------------------------------------------
 // Helpers
 // ------------------------------------------------------------------
-const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
-
-/** Compute hours from entry (manual hours or start/end). */
-function hoursFromEntry(d) {
-  if (typeof d.hours === 'number' && Number.isFinite(d.hours)) return d.hours;
-
-  const hasEnd = typeof d.end !== 'undefined' && d.end !== null;
-  if (!hasEnd) return 0;
-
-  const start = d.start?.toDate?.() || null;
-  const end = d.end?.toDate?.() || null;
-  if (!start || !end) return 0;
-
-  return (end.getTime() - start.getTime()) / 3600000;
-}
+const {
+  round2,
+  hoursFromEntry,
+  TIME_CATEGORY_LABELS,
+  categoryOf,
+  entryContribution,
+  applyContribution,
+  aggregateEntries,
+  hoursByCategory,
+} = require('./hours');
 
 /** Parse bucket/path from a Firebase download URL or gs:// URL. */
 function parseGsFromDownloadUrl(urlString) {
@@ -83,24 +83,443 @@ async function downloadAsBase64({ bucket, path, filenameHint }) {
 }
 
 // ------------------------------------------------------------------
-// HOURS RECALC: runs on any timeEntries write
+// BUDGET: hoursTotal vs allowedHours → budgetStatus under | warning | over
+// Keep thresholds in step with src/utils/budget.js
+// ------------------------------------------------------------------
+const BUDGET_WARNING_RATIO = 0.8;
+const BUDGET_RANK = { under: 0, warning: 1, over: 2 };
+
+function budgetStatusFor(hoursTotal, allowedHours) {
+  const allowed = Number(allowedHours);
+  if (!Number.isFinite(allowed) || allowed <= 0) return null;
+  const ratio = (Number(hoursTotal) || 0) / allowed;
+  if (ratio > 1) return 'over';
+  if (ratio >= BUDGET_WARNING_RATIO) return 'warning';
+  return 'under';
+}
+
+/**
+ * Write budgetStatus/budgetPercent onto the job (in `tx`) and report whether
+ * it just got worse, so the caller can notify managers once per crossing.
+ */
+function applyBudgetStatus(tx, jobRef, job, hoursTotal) {
+  const status = budgetStatusFor(hoursTotal, job.allowedHours);
+  const previous = job.budgetStatus || null;
+  const allowed = Number(job.allowedHours);
+  tx.update(jobRef, {
+    budgetStatus: status,
+    budgetPercent: status ? Math.round((hoursTotal / allowed) * 100) : null,
+    ...(status !== previous ? { budgetStatusChangedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+  });
+  const crossed = !!status && (BUDGET_RANK[status] || 0) > (BUDGET_RANK[previous] || 0) && status !== 'under';
+  return crossed ? status : null;
+}
+
+async function sendBudgetAlert(jobId, job, status, hoursTotal) {
+  const toList = (MGMT_EMAIL.value() || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (!toList.length) return;
+
+  const client = job.clientName || job.company || `Job ${jobId}`;
+  const allowed = Number(job.allowedHours);
+  const pct = Math.round((hoursTotal / allowed) * 100);
+  const baseUrl = ((FRONTEND_BASE_URL.value && FRONTEND_BASE_URL.value()) || 'https://installscheduler.web.app').replace(/\/+$/, '');
+  const jobUrl = `${baseUrl}/jobs/${jobId}`;
+  const headline = status === 'over'
+    ? `${client} is over its quoted hours`
+    : `${client} has used ${pct}% of its quoted hours`;
+
+  const transporter = nodemailer.createTransport({
+    host: 'smtp.gmail.com',
+    port: 465,
+    secure: true,
+    auth: { user: GMAIL_USER.value(), pass: GMAIL_APP_PASSWORD.value() },
+  });
+  await transporter.sendMail({
+    from: `"Install Scheduler" <${GMAIL_USER.value()}>`,
+    to: toList,
+    subject: `${status === 'over' ? 'Over budget' : 'Budget warning'} — ${client}`,
+    text: `${headline}.\n\nLogged: ${round2(hoursTotal)} h of ${allowed} h quoted (${pct}%).\n\nOpen this job: ${jobUrl}`,
+    html: `
+      <div style="font-family:system-ui,-apple-system,Segoe UI,sans-serif;font-size:14px;color:#111;line-height:1.5;">
+        <p><strong style="color:${status === 'over' ? '#c62828' : '#ef6c00'};">${headline}.</strong></p>
+        <p>Logged: <strong>${round2(hoursTotal)} h</strong> of ${allowed} h quoted (${pct}%).</p>
+        <p><a href="${jobUrl}">Open this job in InstallScheduler</a></p>
+      </div>
+    `,
+  });
+}
+
+// ------------------------------------------------------------------
+// HOURS AGGREGATION: hoursTotal / hoursByUser / hoursByCategory on the job
+// are updated from each entry's before/after difference in a transaction,
+// so a timer starting (0 h) or an approval costs no reads of other entries.
+// Each event id is recorded under jobs/{jobId}/hoursEvents so a retried
+// delivery isn't applied twice; the TTL policy on expireAt
+// (firestore.indexes.json) deletes them after a week.
+// Jobs aggregated before this version are rebuilt in full on first write;
+// rebuildJobHours repairs any job on demand.
 // ------------------------------------------------------------------
+const HOURS_AGGREGATE_VERSION = 2;
+
+const sameContribution = (a, b) =>
+  (!a && !b) ||
+  (!!a && !!b && a.hours === b.hours && a.userId === b.userId && a.category === b.category);
+
+/** Recount every entry on a job inside `tx`; returns the new totals. */
+async function rebuildJobHoursTx(tx, jobRef) {
+  const entriesSnap = await tx.get(jobRef.collection('timeEntries'));
+  return aggregateEntries(entriesSnap.docs.map((d) => d.data() || {}));
+}
+
 exports.recalcJobHoursOnTimeEntryWrite = onDocumentWritten(
-  { region, document: 'jobs/{jobId}/timeEntries/{entryId}' },
+  {
+    region,
+    document: 'jobs/{jobId}/timeEntries/{entryId}',
+    secrets: [GMAIL_USER, GMAIL_APP_PASSWORD, MGMT_EMAIL, FRONTEND_BASE_URL],
+  },
   async (event) => {
     const { jobId } = event.params;
-    const entriesSnap = await db.collection('jobs').doc(jobId).collection('timeEntries').get();
-    let total = 0;
-    for (const docSnap of entriesSnap.docs) {
-      total += hoursFromEntry(docSnap.data() || {});
+    const before = entryContribution(event.data?.before?.exists ? event.data.before.data() : null);
+    const after = entryContribution(event.data?.after?.exists ? event.data.after.data() : null);
+    if (sameContribution(before, after)) return;
+
+    const jobRef = db.collection('jobs').doc(jobId);
+    const markerRef = jobRef.collection('hoursEvents').doc(event.id);
+
+    const result = await db.runTransaction(async (tx) => {
+      const [jobSnap, marker] = await Promise.all([tx.get(jobRef), tx.get(markerRef)]);
+      if (!jobSnap.exists || marker.exists) return null;
+      const job = jobSnap.data() || {};
+
+      let totals;
+      if (job.hoursAggregateVersion !== HOURS_AGGREGATE_VERSION) {
+        totals = await rebuildJobHoursTx(tx, jobRef);
+      } else {
+        totals = {
+          hoursTotal: Number(job.hoursTotal) || 0,
+          hoursByUser: { ...(job.hoursByUser || {}) },
+          hoursByCategory: { ...(job.hoursByCategory || {}) },
+        };
+        if (before) applyContribution(totals, before, -1);
+        if (after) applyContribution(totals, after, 1);
+      }
+
+      tx.set(markerRef, {
+        at: admin.firestore.FieldValue.serverTimestamp(),
+        expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + 7 * 24 * 3600000),
+      });
+      tx.update(jobRef, {
+        ...totals,
+        hoursAggregateVersion: HOURS_AGGREGATE_VERSION,
+        hoursUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      const crossed = applyBudgetStatus(tx, jobRef, job, totals.hoursTotal);
+      return crossed ? { job, crossed, hoursTotal: totals.hoursTotal } : null;
+    });
+
+    if (result) {
+      try {
+        await sendBudgetAlert(jobId, result.job, result.crossed, result.hoursTotal);
+      } catch (err) {
+        console.error('Budget alert failed', jobId, err);
+      }
+    }
+  }
+);
+
+// Repair: POST ?jobId=<id> rebuilds one job, no jobId rebuilds every job (managers only)
+exports.rebuildJobHours = onRequest({ region, timeoutSeconds: 540 }, async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.status(405).send('Method Not Allowed');
+    return;
+  }
+
+  try {
+    const caller = await requireManager(req).catch(() => null);
+    if (!caller) {
+      res.status(403).send('Managers only');
+      return;
+    }
+
+    const jobId = String(req.query.jobId || req.body?.jobId || '');
+    const jobRefs = jobId
+      ? [db.collection('jobs').doc(jobId)]
+      : (await db.collection('jobs').select().get()).docs.map((d) => d.ref);
+
+    let rebuilt = 0;
+    for (const jobRef of jobRefs) {
+      await db.runTransaction(async (tx) => {
+        const jobSnap = await tx.get(jobRef);
+        if (!jobSnap.exists) return;
+        const totals = await rebuildJobHoursTx(tx, jobRef);
+        tx.update(jobRef, {
+          ...totals,
+          hoursAggregateVersion: HOURS_AGGREGATE_VERSION,
+          hoursUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        applyBudgetStatus(tx, jobRef, jobSnap.data() || {}, totals.hoursTotal);
+      });
+      rebuilt += 1;
+    }
+
+    res.status(200).json({ ok: true, rebuilt });
+  } catch (err) {
+    console.error('rebuildJobHours error', err);
+    res.status(500).send(`Error: ${err?.message || err}`);
+  }
+});
+
+// Re-rate the budget when a manager changes the quoted hours; lowering them
+// can cross a threshold, which alerts managers like logged hours do
+exports.refreshBudgetOnQuoteChange = onDocumentUpdated(
+  {
+    region,
+    document: 'jobs/{jobId}',
+    secrets: [GMAIL_USER, GMAIL_APP_PASSWORD, MGMT_EMAIL, FRONTEND_BASE_URL],
+  },
+  async (event) => {
+    const before = event.data?.before?.data() || {};
+    const after = event.data?.after?.data() || {};
+    // String() so two missing quotes (NaN) still compare equal
+    if (String(Number(before.allowedHours)) === String(Number(after.allowedHours))) return;
+
+    const { jobId } = event.params;
+    const jobRef = event.data.after.ref;
+    const result = await db.runTransaction(async (tx) => {
+      const jobSnap = await tx.get(jobRef);
+      if (!jobSnap.exists) return null;
+      const job = jobSnap.data() || {};
+      const hoursTotal = Number(job.hoursTotal) || 0;
+      const crossed = applyBudgetStatus(tx, jobRef, job, hoursTotal);
+      return crossed ? { job, crossed, hoursTotal } : null;
+    });
+
+    if (result) {
+      try {
+        await sendBudgetAlert(jobId, result.job, result.crossed, result.hoursTotal);
+      } catch (err) {
+        console.error('Budget alert failed', jobId, err);
+      }
+    }
+  }
+);
+
+// ------------------------------------------------------------------
+// AUTO-STOP FORGOTTEN TIMERS: closes open timeEntries that have run past
+// settings/timers.maxTimerHours or the end of the working day
+// (settings/scheduling.workdayEnd), then emails the installer + managers
+// ------------------------------------------------------------------
+const TIMER_DEFAULTS = { maxTimerHours: 10, stopAtWorkdayEnd: true };
+const WORKDAY_END_DEFAULT = '16:00';
+
+async function loadSettings(section, defaults) {
+  const snap = await db.collection('settings').doc(section).get();
+  return { ...defaults, ...(snap.exists ? snap.data() : {}) };
+}
+
+/** The instant that is `hhmm` local time (in `timeZone`) on the same local day as `date`. */
+function zonedTimeOnDay(date, hhmm) {
+  const parts = (d) =>
+    Object.fromEntries(
+      new Intl.DateTimeFormat('en-AU', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+        .formatToParts(d)
+        .map((p) => [p.type, Number(p.value)])
+    );
+  const local = parts(date);
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  if (!Number.isFinite(h) || !Number.isFinite(m)) return null;
+
+  // Treat the wanted wall-clock time as UTC, then correct by the zone offset
+  const guess = Date.UTC(local.year, local.month - 1, local.day, h, m);
+  const p = parts(new Date(guess));
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return new Date(guess - (asUtc - guess));
+}
+
+/** When an open entry should have been stopped, and why. */
+function autoStopPoint(start, timers, scheduling) {
+  let at = new Date(start.getTime() + Number(timers.maxTimerHours || TIMER_DEFAULTS.maxTimerHours) * 3600000);
+  let reason = 'max-duration';
+  if (timers.stopAtWorkdayEnd) {
+    const dayEnd = zonedTimeOnDay(start, scheduling.workdayEnd || WORKDAY_END_DEFAULT);
+    // Timers started after hours only fall back to the max-duration cap
+    if (dayEnd && dayEnd > start && dayEnd < at) {
+      at = dayEnd;
+      reason = 'end-of-day';
+    }
+  }
+  return { at, reason };
+}
+
+exports.autoStopForgottenTimers = onSchedule(
+  {
+    region,
+    schedule: 'every 30 minutes',
+    timeZone,
+    secrets: [GMAIL_USER, GMAIL_APP_PASSWORD, MGMT_EMAIL, FRONTEND_BASE_URL],
+  },
+  async () => {
+    const [timers, scheduling] = await Promise.all([
+      loadSettings('timers', TIMER_DEFAULTS),
+      loadSettings('scheduling', { workdayEnd: WORKDAY_END_DEFAULT }),
+    ]);
+
+    const openSnap = await db.collectionGroup('timeEntries').where('end', '==', null).get();
+    const now = new Date();
+    const stopped = [];
+
+    for (const entrySnap of openSnap.docs) {
+      const start = entrySnap.get('start')?.toDate?.();
+      if (!start) continue;
+      const { at, reason } = autoStopPoint(start, timers, scheduling);
+      if (at > now) continue;
+
+      // Transaction so a manual Stop that lands at the same time wins
+      const closed = await db.runTransaction(async (tx) => {
+        const fresh = await tx.get(entrySnap.ref);
+        if (!fresh.exists || fresh.get('end')) return false;
+        tx.update(entrySnap.ref, {
+          end: admin.firestore.Timestamp.fromDate(at),
+          hours: round2((at.getTime() - start.getTime()) / 3600000),
+          autoStopped: true,
+          autoStopReason: reason,
+          autoStoppedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return true;
+      });
+      if (closed) {
+        stopped.push({
+          jobId: entrySnap.ref.parent.parent.id,
+          entry: entrySnap.data() || {},
+          start,
+          at,
+          reason,
+        });
+      }
     }
-    await db.collection('jobs').doc(jobId).update({
-      hoursTotal: round2(total),
-      hoursUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+
+    if (!stopped.length) return;
+    console.log('autoStopForgottenTimers closed', stopped.length, 'entries');
+
+    const transporter = nodemailer.createTransport({
+      host: 'smtp.gmail.com',
+      port: 465,
+      secure: true,
+      auth: { user: GMAIL_USER.value(), pass: GMAIL_APP_PASSWORD.value() },
     });
+    const baseUrl = ((FRONTEND_BASE_URL.value && FRONTEND_BASE_URL.value()) || 'https://installscheduler.web.app').replace(/\/+$/, '');
+    const mgmt = (MGMT_EMAIL.value() || '').split(',').map((s) => s.trim()).filter(Boolean);
+    const fmt = (d) => d.toLocaleString('en-AU', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+
+    for (const s of stopped) {
+      try {
+        const [jobSnap, userSnap] = await Promise.all([
+          db.collection('jobs').doc(s.jobId).get(),
+          s.entry.userId ? db.collection('users').doc(s.entry.userId).get() : Promise.resolve(null),
+        ]);
+        const job = jobSnap.exists ? jobSnap.data() || {} : {};
+        const user = userSnap?.exists ? userSnap.data() || {} : {};
+        const installerEmail = (user.email || '').toString().trim();
+        const name = s.entry.userShortName || user.shortName || user.displayName || installerEmail || 'Installer';
+        const jobTitle = job.clientName || job.company || `Job ${s.jobId}`;
+        const jobUrl = `${baseUrl}/jobs/${s.jobId}`;
+        const why = s.reason === 'end-of-day'
+          ? 'it was still running at the end of the working day'
+          : `it ran for more than ${timers.maxTimerHours} hours`;
+        const hours = round2((s.at.getTime() - s.start.getTime()) / 3600000);
+
+        const to = installerEmail.includes('@') ? [installerEmail] : mgmt;
+        if (!to.length) continue;
+
+        await transporter.sendMail({
+          from: `"Install Scheduler" <${GMAIL_USER.value()}>`,
+          to,
+          cc: to === mgmt ? undefined : mgmt,
+          subject: `Timer auto-stopped – ${jobTitle} (${name})`,
+          text: [
+            `Hi ${name},`,
+            '',
+            `Your timer on "${jobTitle}" was stopped automatically because ${why}.`,
+            `Started: ${fmt(s.start)}`,
+            `Stopped: ${fmt(s.at)} (${hours} h recorded)`,
+            '',
+            'If that is not right, please correct the entry or let a manager know.',
+            `Open this job: ${jobUrl}`,
+          ].join('\n'),
+          html: `
+            <div style="font-family:system-ui,-apple-system,Segoe UI,sans-serif;font-size:14px;color:#111;line-height:1.5;">
+              <p>Hi ${name},</p>
+              <p>Your timer on <strong>${jobTitle}</strong> was stopped automatically because ${why}.</p>
+              <p>Started: ${fmt(s.start)}<br>Stopped: ${fmt(s.at)} (<strong>${hours} h</strong> recorded)</p>
+              <p>If that is not right, please correct the entry or let a manager know.</p>
+              <p><a href="${jobUrl}">Open this job in InstallScheduler</a></p>
+            </div>
+          `,
+        });
+      } catch (err) {
+        console.error('autoStopForgottenTimers notify failed', s.jobId, err);
+      }
+    }
   }
 );
 
+/** Approved variations (jobs/{jobId}/variations), oldest first. */
+async function approvedVariations(jobId) {
+  const snap = await db.collection(`jobs/${jobId}/variations`).where('status', '==', 'approved').get();
+  return snap.docs
+    .map((d) => d.data() || {})
+    .sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+}
+
+const escapeHtml = (str) =>
+  String(str || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/** Variations table for the completion / client summary emails ('' when none). */
+function variationsHtml(variations) {
+  if (!variations.length) return '';
+  const rows = variations.map((v) => `
+    <tr>
+      <td>${escapeHtml(v.description).replace(/\n/g, '<br/>')}</td>
+      <td>${v.extraHours ? `+${round2(v.extraHours)} h` : ''}</td>
+      <td>${v.price ? `$${round2(v.price).toFixed(2)} + GST` : ''}</td>
+      <td>${escapeHtml(v.signedName) || 'Signed'}</td>
+    </tr>`);
+  return `
+    <h3 style="margin:16px 0 8px;">Variations</h3>
+    <table cellpadding="6" cellspacing="0" style="border-collapse:collapse;width:100%;font-size:13px;border:1px solid #eee;margin-bottom:16px;">
+      <thead>
+        <tr style="background:#efefef;">
+          <th align="left">Extra work</th><th align="left">Hours</th><th align="left">Price</th><th align="left">Approved by</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>`;
+}
+
+/** True when a jobs/{jobId} update moves status TO "completed". */
+function becameCompleted(event) {
+  const was = String(event.data?.before?.data()?.status || '').toLowerCase() === 'completed';
+  const now = String(event.data?.after?.data()?.status || '').toLowerCase() === 'completed';
+  return !was && now;
+}
+
 // ------------------------------------------------------------------
 // EMAIL ON COMPLETION — Gmail (SMTP + App Password)
 // Fires only when status transitions TO "completed"
@@ -108,14 +527,10 @@ exports.recalcJobHoursOnTimeEntryWrite = onDocumentWritten(
 exports.sendCompletionEmail = onDocumentUpdated(
   { region, document: 'jobs/{jobId}', secrets: [GMAIL_USER, GMAIL_APP_PASSWORD, MGMT_EMAIL] },
   async (event) => {
-    const before = event.data?.before?.data() || {};
+    if (!becameCompleted(event)) return; // Only on the transition TO completed
     const after  = event.data?.after?.data()  || {};
     const jobId  = event.params.jobId;
 
-    const wasCompleted = String(before.status || '').toLowerCase() === 'completed';
-    const nowCompleted = String(after.status  || '').toLowerCase() === 'completed';
-    if (wasCompleted || !nowCompleted) return; // Only on the transition TO completed
-
     const job = after;
     const client = job.clientName || 'Unknown Job';
 
@@ -129,7 +544,9 @@ exports.sendCompletionEmail = onDocumentUpdated(
 
     // Time entries table
     const timeEntriesSnap = await db.collection(`jobs/${jobId}/timeEntries`).get();
-    const timeEntries = timeEntriesSnap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }));
+    const timeEntries = timeEntriesSnap.docs
+      .map((d) => ({ id: d.id, ...(d.data() || {}) }))
+      .filter((e) => !e.deleted);
     let total = 0;
     const rows = timeEntries.map((e) => {
       const hrs = round2(hoursFromEntry(e));
@@ -140,17 +557,20 @@ exports.sendCompletionEmail = onDocumentUpdated(
         userMap[e.userId]?.email ||
         e.userId;
       const when = e.createdAt?.toDate?.()?.toLocaleString('en-AU', { timeZone: 'Australia/Sydney' }) || '—';
-      return `<tr><td>${user}</td><td>${hrs}</td><td>${when}</td></tr>`;
+      return `<tr><td>${user}</td><td>${TIME_CATEGORY_LABELS[categoryOf(e)]}</td><td>${hrs}</td><td>${when}</td></tr>`;
     });
     const totalRounded = round2(total);
+    const categoryRows = Object.entries(hoursByCategory(timeEntries)).map(
+      ([c, h]) => `<tr><td>${TIME_CATEGORY_LABELS[c]}</td><td>${h}</td></tr>`
+    );
 
-    // Completed photos (expects docs in jobs/{jobId}/completedPhotos with {url})
+    // Completed photos (docs in jobs/{jobId}/completedPhotos with {url, thumbSmallUrl?})
     const completedSnap = await db.collection(`jobs/${jobId}/completedPhotos`).get();
     const photos = completedSnap.docs.map((d) => d.data());
     const photoHtml = photos.length
       ? photos.map((p) => `
           <a href="${p.url}" target="_blank" rel="noopener">
-            <img src="${p.url}" style="width:120px;height:auto;border:1px solid #ccc;border-radius:4px;margin:4px;" />
+            <img src="${p.thumbSmallUrl || p.url}" style="width:120px;height:auto;border:1px solid #ccc;border-radius:4px;margin:4px;" />
           </a>`).join('')
       : `<p style="color:#888;">No completed photos.</p>`;
 
@@ -161,6 +581,8 @@ exports.sendCompletionEmail = onDocumentUpdated(
          </a>`
       : '';
 
+    const variations = await approvedVariations(jobId);
+
     // Assigned names
     const assignedNames = Array.isArray(job.assignedTo)
       ? job.assignedTo.map(uid =>
@@ -208,6 +630,7 @@ exports.sendCompletionEmail = onDocumentUpdated(
           <thead>
             <tr style="background:#efefef;">
               <th align="left">User</th>
+              <th align="left">Category</th>
               <th align="left">Hours</th>
               <th align="left">Logged At</th>
             </tr>
@@ -215,11 +638,21 @@ exports.sendCompletionEmail = onDocumentUpdated(
           <tbody>
             ${rows.join('')}
             <tr style="background:#f5f5f5;font-weight:600;">
-              <td>Total</td><td>${totalRounded}</td><td></td>
+              <td>Total</td><td></td><td>${totalRounded}</td><td></td>
             </tr>
           </tbody>
         </table>
 
+        ${categoryRows.length ? `
+        <table cellpadding="6" cellspacing="0" style="border-collapse:collapse;font-size:13px;border:1px solid #eee;margin-bottom:16px;">
+          <thead>
+            <tr style="background:#efefef;"><th align="left">Category</th><th align="left">Hours</th></tr>
+          </thead>
+          <tbody>${categoryRows.join('')}</tbody>
+        </table>` : ''}
+
+        ${variationsHtml(variations)}
+
         <h3 style="margin:16px 0 8px;">Completed Photos</h3>
         <div style="display:flex;flex-wrap:wrap;gap:8px;">${photoHtml}</div>
 
@@ -258,6 +691,157 @@ exports.sendCompletionEmail = onDocumentUpdated(
   }
 );
 
+// ------------------------------------------------------------------
+// INVOICE ON COMPLETION — same transition as the completion email.
+// Lines come from the accepted quote when the job has one, otherwise from
+// actual hours (at settings/invoicing labourRate) and the job's materials.
+// A job gets one invoice; completing it again after a reopen is a no-op.
+// ------------------------------------------------------------------
+// Keep in step with INVOICE_DEFAULTS / QUOTE_DEFAULTS in src/services/settingsService.js
+const INVOICE_DEFAULTS = { paymentTermsDays: 14, labourRate: '', materialsMarkupPercent: 0 };
+const QUOTE_DEFAULTS = { taxRate: 10 };
+
+// Same maths as lineItemTotals in src/utils/quotes.js
+function lineItemTotals(lines, taxRate) {
+  const subtotal = round2(
+    (lines || []).reduce((s, l) => s + round2((Number(l.qty) || 0) * (Number(l.unitPrice) || 0)), 0)
+  );
+  const tax = round2((subtotal * (Number(taxRate) || 0)) / 100);
+  return { subtotal, tax, total: round2(subtotal + tax) };
+}
+
+/**
+ * Invoice lines for a job: { basis, lines, taxRate, issues }. `issues`
+ * lists anything a manager must fix before the invoice goes out.
+ */
+async function invoiceLinesFor(jobId, job) {
+  // Priced variations signed on site are billed on either basis; on actual
+  // hours their extra time is already in the labour line, so only the price is
+  const variationLines = (await approvedVariations(jobId))
+    .filter((v) => Number(v.price) > 0)
+    .map((v, i) => ({
+      id: `variation-${i + 1}`,
+      type: 'variation',
+      description: `Variation: ${v.description}`,
+      qty: 1,
+      unitPrice: round2(v.price),
+    }));
+
+  if (job.quoteId) {
+    const quoteSnap = await db.collection('quotes').doc(job.quoteId).get();
+    if (quoteSnap.exists) {
+      const quote = quoteSnap.data() || {};
+      return {
+        basis: 'quote',
+        lines: [...(quote.lines || []).map((l) => ({ ...l })), ...variationLines],
+        taxRate: Number(quote.taxRate) || 0,
+        issues: [],
+      };
+    }
+  }
+
+  const [invoicing, quotes, entriesSnap] = await Promise.all([
+    loadSettings('invoicing', INVOICE_DEFAULTS),
+    loadSettings('quotes', QUOTE_DEFAULTS),
+    db.collection(`jobs/${jobId}/timeEntries`).get(),
+  ]);
+  const hours = round2(entriesSnap.docs.reduce((s, d) => s + hoursFromEntry(d.data() || {}), 0));
+  const markup = 1 + (Number(invoicing.materialsMarkupPercent) || 0) / 100;
+
+  const lines = [];
+  const issues = [];
+  if (hours > 0) {
+    const rateSet = invoicing.labourRate !== '' && invoicing.labourRate !== null &&
+      Number.isFinite(Number(invoicing.labourRate));
+    if (!rateSet) issues.push('No labour charge rate is set in Settings, so labour is at $0.');
+    lines.push({
+      id: 'labour',
+      type: 'labour',
+      description: 'Installation labour',
+      qty: hours,
+      unitPrice: Number(invoicing.labourRate) || 0,
+    });
+  }
+  for (const m of job.materials || []) {
+    lines.push({
+      id: m.id || `material-${lines.length}`,
+      type: 'material',
+      description: m.description || 'Materials',
+      qty: Number(m.qty) || 0,
+      unitPrice: round2((Number(m.unitCost) || 0) * markup),
+    });
+  }
+  lines.push(...variationLines);
+  return { basis: 'actual', lines, taxRate: Number(quotes.taxRate) || 0, issues };
+}
+
+exports.createInvoiceOnCompletion = onDocumentUpdated(
+  { region, document: 'jobs/{jobId}' },
+  async (event) => {
+    if (!becameCompleted(event)) return;
+    const jobId = event.params.jobId;
+    const job = event.data.after.data() || {};
+    if (job.invoiceId) return;
+
+    const [{ basis, lines, taxRate, issues }, invoicing] = await Promise.all([
+      invoiceLinesFor(jobId, job),
+      loadSettings('invoicing', INVOICE_DEFAULTS),
+    ]);
+
+    const jobRef = db.collection('jobs').doc(jobId);
+    const counterRef = db.collection('counters').doc('invoices');
+    // One invoice per job: its id comes from the job, so even a trigger that
+    // fires again after the job's invoiceId marker was lost can't add a second
+    const invoiceRef = db.collection('invoices').doc(`job-${jobId}`);
+
+    // The job's invoiceId marker, the invoice and the counter are written
+    // together, so a repeat or concurrent completion finds them and stops
+    const number = await db.runTransaction(async (tx) => {
+      const [jobSnap, invoiceSnap, counter] = await Promise.all([
+        tx.get(jobRef),
+        tx.get(invoiceRef),
+        tx.get(counterRef),
+      ]);
+      if (!jobSnap.exists || jobSnap.get('invoiceId') || invoiceSnap.exists) return null;
+
+      const next = counter.exists ? Number(counter.get('next')) || 1 : 1;
+      const invoiceNumber = `INV-${String(next).padStart(4, '0')}`;
+      const issued = new Date();
+      const due = new Date(issued.getTime() + (Number(invoicing.paymentTermsDays) || 0) * 86400000);
+
+      tx.set(counterRef, { next: next + 1 }, { merge: true });
+      tx.set(invoiceRef, {
+        number: invoiceNumber,
+        jobId,
+        quoteId: job.quoteId || null,
+        basis,
+        clientName: job.clientName || '',
+        company: job.company || '',
+        contact: job.contact || '',
+        phone: job.phone || '',
+        email: job.email || '',
+        address: job.address || '',
+        lines,
+        taxRate,
+        ...lineItemTotals(lines, taxRate),
+        // A draft waits for a manager to fix its issues before it counts as sent
+        status: issues.length ? 'draft' : 'unpaid',
+        issues,
+        issuedAt: admin.firestore.Timestamp.fromDate(issued),
+        dueDate: admin.firestore.Timestamp.fromDate(due),
+        paidAt: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(jobRef, { invoiceId: invoiceRef.id, invoiceNumber });
+      return invoiceNumber;
+    });
+
+    if (number) console.log(`Invoice ${number} created for job ${jobId} (${basis})`);
+    if (number && issues.length) console.warn(`Invoice ${number} saved as a draft:`, issues.join(' '));
+  }
+);
+
 // ------------------------------------------------------------------
 // CLIENT SUMMARY EMAIL — Firestore trigger (no CORS, photos as attachments)
 // Fires when clientEmailRequestId changes on a job document
@@ -297,7 +881,7 @@ exports.sendClientSummaryEmail = onDocumentUpdated(
             (p) => `
               <a href="${p.url}" target="_blank" rel="noopener">
                 <img
-                  src="${p.url}"
+                  src="${p.thumbSmallUrl || p.url}"
                   style="width:120px;height:auto;border:1px solid #ccc;border-radius:4px;margin:4px;"
                 />
               </a>
@@ -306,6 +890,9 @@ exports.sendClientSummaryEmail = onDocumentUpdated(
           .join('')
       : `<p style="color:#777;">No completion photos were attached for this job.</p>`;
 
+    // --- Variations signed for on site ---
+    const variations = await approvedVariations(jobId);
+
     // --- Signature (inline image) ---
     const signatureHtml = job.signatureURL
       ? `<p><strong>Sign-off:</strong></p>
@@ -360,6 +947,8 @@ exports.sendClientSummaryEmail = onDocumentUpdated(
             : ''
         }
 
+        ${variationsHtml(variations)}
+
         <h3 style="margin-top:16px;">Completion photos</h3>
         <div style="display:flex;flex-wrap:wrap;gap:8px;">
           ${photosHtml}
@@ -386,6 +975,9 @@ exports.sendClientSummaryEmail = onDocumentUpdated(
       dateStr ? `Install date: ${dateStr}` : '',
       job.jobNumber ? `Job #: ${job.jobNumber}` : '',
       job.description ? `Description: ${job.description}` : '',
+      ...variations.map(
+        (v) => `Variation: ${v.description}${v.extraHours ? ` (+${round2(v.extraHours)} h)` : ''}`
+      ),
       '',
       photos.length
         ? 'Completion photos are visible in the HTML version of this email (click the images to open them).'
@@ -443,6 +1035,394 @@ exports.sendClientSummaryEmail = onDocumentUpdated(
   }
 );
 
+// ------------------------------------------------------------------
+// PHOTO THUMBNAILS — small/medium JPEGs for job photos (Storage trigger)
+// jobs/{jobId}/{completed|reference|referencePhotos|plans}/<file> gets
+// thumbs/<name>_small.jpg and _medium.jpg beside it, and the matching photo
+// doc gets thumbSmallUrl / thumbMediumUrl. The client writes that doc only
+// after the upload finishes, so a missing doc is retried for a few minutes.
+// ------------------------------------------------------------------
+const THUMB_SIZES = { small: 320, medium: 1024 };
+const PHOTO_FOLDERS = {
+  completed: 'completedPhotos',
+  reference: 'referencePhotos',
+  referencePhotos: 'referencePhotos',
+  plans: 'plans',
+};
+// Retries cover the client writing the photo doc after the upload, and
+// transient Storage/Firestore errors; after this the event is dropped
+const THUMB_RETRY_WINDOW_MS = 10 * 60 * 1000;
+
+/** jobs/{jobId}/{folder}/{file} → { jobId, folder, fileName }, or null for anything else. */
+function parsePhotoPath(name) {
+  const m = /^jobs\/([^/]+)\/([^/]+)\/([^/]+)$/.exec(name || '');
+  return m && PHOTO_FOLDERS[m[2]] ? { jobId: m[1], folder: m[2], fileName: m[3] } : null;
+}
+
+const thumbPath = ({ jobId, folder, fileName }, size) =>
+  `jobs/${jobId}/${folder}/thumbs/${fileName.replace(/\.[^.]+$/, '')}_${size}.jpg`;
+
+const downloadUrlFor = (bucket, path, token) =>
+  `https://firebasestorage.googleapis.com/v0/b/${bucket}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+
+const firstToken = (metadata) => String(metadata?.firebaseStorageDownloadTokens || '').split(',')[0];
+
+// Storage triggers must run in the bucket's region
+exports.makePhotoThumbnails = onObjectFinalized(
+  { region, memory: '1GiB', retry: true },
+  async (event) => {
+    const object = event.data;
+    const photo = parsePhotoPath(object.name);
+    if (!photo || !/^image\//.test(object.contentType || '')) return;
+    if (Date.now() - Date.parse(event.time) > THUMB_RETRY_WINDOW_MS) {
+      console.warn('makePhotoThumbnails: giving up on', object.name);
+      return;
+    }
+
+    const bucket = storage.bucket(object.bucket);
+    const urls = {};
+    let source = null;
+    for (const [size, px] of Object.entries(THUMB_SIZES)) {
+      const path = thumbPath(photo, size);
+      const file = bucket.file(path);
+      // Retries reuse thumbnails made on an earlier attempt
+      const [exists] = await file.exists();
+      if (!exists) {
+        if (!source) [source] = await bucket.file(object.name).download();
+        let buf;
+        try {
+          buf = await sharp(source)
+            .rotate() // honour EXIF orientation
+            .resize(px, px, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 78 })
+            .toBuffer();
+        } catch (err) {
+          // Corrupt or unsupported image: no retry will decode it
+          console.warn('makePhotoThumbnails: could not decode', object.name, err.message);
+          return;
+        }
+        await file.save(buf, {
+          contentType: 'image/jpeg',
+          metadata: {
+            cacheControl: 'public, max-age=31536000',
+            metadata: { firebaseStorageDownloadTokens: crypto.randomUUID() },
+          },
+        });
+      }
+      const [meta] = await file.getMetadata();
+      urls[size] = downloadUrlFor(object.bucket, path, firstToken(meta.metadata));
+    }
+
+    // New uploads store `path` on the doc; older ones only have the download URL
+    const col = db.collection('jobs').doc(photo.jobId).collection(PHOTO_FOLDERS[photo.folder]);
+    const token = firstToken(object.metadata);
+    const snaps = await Promise.all([
+      col.where('path', '==', object.name).get(),
+      token ? col.where('url', '==', downloadUrlFor(object.bucket, object.name, token)).get() : null,
+    ]);
+    const refs = new Map();
+    for (const snap of snaps) snap?.docs.forEach((d) => refs.set(d.id, d.ref));
+
+    // Retried until the retry window above runs out
+    if (!refs.size) throw new Error(`No photo doc yet for ${object.name}`);
+
+    await Promise.all(
+      [...refs.values()].map((ref) =>
+        ref.update({ thumbSmallUrl: urls.small, thumbMediumUrl: urls.medium })
+      )
+    );
+  }
+);
+
+/** Drop a photo's thumbnails when the photo itself is deleted. */
+exports.deletePhotoThumbnails = onObjectDeleted({ region }, async (event) => {
+  const photo = parsePhotoPath(event.data.name);
+  if (!photo) return;
+  const bucket = storage.bucket(event.data.bucket);
+  await Promise.all(
+    Object.keys(THUMB_SIZES).map((size) =>
+      bucket.file(thumbPath(photo, size)).delete({ ignoreNotFound: true })
+    )
+  );
+});
+
+// ------------------------------------------------------------------
+// PAYROLL EXPORT — approved hours per employee per day (HTTP, managers)
+// GET ?from=YYYY-MM-DD&to=YYYY-MM-DD&layout=generic|xero|myob|custom[&preview=1]
+// Hours use hoursFromEntry so they match job hoursTotal exactly.
+// ------------------------------------------------------------------
+const PAYROLL_DEFAULTS = {
+  earningsRate: 'Ordinary Hours',
+  customDateFormat: 'DD/MM/YYYY',
+  // one "Header=field" per line; fields are listed in PAYROLL_FIELDS
+  customColumns: 'Employee=name\nDate=date\nHours=hours',
+};
+
+const PAYROLL_FIELDS = ['employeeId', 'name', 'firstName', 'lastName', 'email', 'date', 'hours', 'earningsRate', 'jobs'];
+
+const PAYROLL_LAYOUTS = {
+  generic: {
+    dateFormat: 'YYYY-MM-DD',
+    columns: [['Employee ID', 'employeeId'], ['Employee', 'name'], ['Email', 'email'], ['Date', 'date'], ['Hours', 'hours'], ['Jobs', 'jobs']],
+  },
+  xero: {
+    dateFormat: 'DD/MM/YYYY',
+    columns: [['Employee', 'name'], ['Date', 'date'], ['Earnings Rate', 'earningsRate'], ['Hours', 'hours']],
+  },
+  myob: {
+    dateFormat: 'DD/MM/YYYY',
+    columns: [['Emp. Co./Last Name', 'lastName'], ['Emp. First Name', 'firstName'], ['Payroll Category', 'earningsRate'], ['Date', 'date'], ['Units', 'hours']],
+  },
+};
+
+/** YYYY-MM-DD for `date` in the business time zone. */
+function zonedDayKey(date) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+function formatDayKey(key, fmt) {
+  const [y, m, d] = key.split('-');
+  return String(fmt || 'YYYY-MM-DD').replace('YYYY', y).replace('MM', m).replace('DD', d);
+}
+
+const csvCell = (v) => {
+  const str = v == null ? '' : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+function parseCustomColumns(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.split('='))
+    .filter(([header, field]) => header && field && PAYROLL_FIELDS.includes(field.trim()))
+    .map(([header, field]) => [header.trim(), field.trim()]);
+}
+
+/** Verify the caller's Firebase ID token and that they are a manager. */
+async function requireManager(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) return null;
+  const decoded = await admin.auth().verifyIdToken(match[1]);
+  const userSnap = await db.collection('users').doc(decoded.uid).get();
+  return userSnap.exists && userSnap.get('role') === 'manager' ? decoded : null;
+}
+
+exports.exportPayroll = onRequest({ region }, async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+
+  let step = 'start';
+  try {
+    step = 'auth';
+    const caller = await requireManager(req).catch(() => null);
+    if (!caller) {
+      res.status(403).send('Managers only');
+      return;
+    }
+
+    step = 'read-params';
+    const from = String(req.query.from || '');
+    const to = String(req.query.to || '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || to < from) {
+      res.status(400).send('from/to must be YYYY-MM-DD with to >= from');
+      return;
+    }
+    const settings = await loadSettings('payroll', PAYROLL_DEFAULTS);
+    const layoutKey = String(req.query.layout || 'generic');
+    const layout =
+      layoutKey === 'custom'
+        ? { dateFormat: settings.customDateFormat, columns: parseCustomColumns(settings.customColumns) }
+        : PAYROLL_LAYOUTS[layoutKey];
+    if (!layout || !layout.columns.length) {
+      res.status(400).send(`Unknown or empty layout: ${layoutKey}`);
+      return;
+    }
+
+    step = 'load-entries';
+    // Only the pay period is read: timer entries by `start`, manual ones
+    // (no start) by `createdAt`. The window is padded a day each side for
+    // the timezone; the day check below is exact.
+    const windowStart = admin.firestore.Timestamp.fromMillis(Date.parse(`${from}T00:00:00Z`) - 86400000);
+    const windowEnd = admin.firestore.Timestamp.fromMillis(Date.parse(`${to}T00:00:00Z`) + 2 * 86400000);
+    const approvedBetween = (field) =>
+      db
+        .collectionGroup('timeEntries')
+        .where('approved', '==', true)
+        .where(field, '>=', windowStart)
+        .where(field, '<', windowEnd)
+        .get();
+    const [timedSnap, manualSnap] = await Promise.all([approvedBetween('start'), approvedBetween('createdAt')]);
+    const entryDocs = [...timedSnap.docs, ...manualSnap.docs.filter((d) => !d.get('start'))];
+
+    // userId|day -> { hours, jobIds }
+    const buckets = new Map();
+    for (const docSnap of entryDocs) {
+      const e = docSnap.data() || {};
+      if (e.deleted) continue;
+      const when = e.start?.toDate?.() || e.createdAt?.toDate?.();
+      if (!when) continue;
+      const day = zonedDayKey(when);
+      if (day < from || day > to) continue;
+
+      const key = `${e.userId || 'unknown'}|${day}`;
+      if (!buckets.has(key)) buckets.set(key, { userId: e.userId || 'unknown', day, hours: 0, jobIds: new Set() });
+      const b = buckets.get(key);
+      b.hours += hoursFromEntry(e);
+      b.jobIds.add(docSnap.ref.parent.parent.id);
+    }
+
+    step = 'load-names';
+    const userIds = [...new Set([...buckets.values()].map((b) => b.userId))];
+    const jobIds = [...new Set([...buckets.values()].flatMap((b) => [...b.jobIds]))];
+    const [userSnaps, jobSnaps] = await Promise.all([
+      userIds.length ? db.getAll(...userIds.map((id) => db.collection('users').doc(id))) : [],
+      jobIds.length ? db.getAll(...jobIds.map((id) => db.collection('jobs').doc(id))) : [],
+    ]);
+    const users = Object.fromEntries(userSnaps.map((snap) => [snap.id, snap.exists ? snap.data() || {} : {}]));
+    const jobNames = Object.fromEntries(
+      jobSnaps.map((snap) => [snap.id, (snap.exists && (snap.get('clientName') || snap.get('company'))) || snap.id])
+    );
+
+    const rows = [...buckets.values()]
+      .map((b) => {
+        const u = users[b.userId] || {};
+        const name = u.displayName || u.shortName || u.email || b.userId;
+        const [firstName, ...rest] = String(u.displayName || u.shortName || '').split(' ');
+        return {
+          employeeId: u.payrollId || b.userId,
+          name,
+          firstName: firstName || name,
+          lastName: rest.join(' '),
+          email: u.email || '',
+          day: b.day,
+          hours: round2(b.hours),
+          earningsRate: settings.earningsRate,
+          jobs: [...b.jobIds].map((id) => jobNames[id]).join('; '),
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name) || a.day.localeCompare(b.day));
+
+    if (req.query.preview) {
+      res.status(200).json({ ok: true, rows });
+      return;
+    }
+
+    step = 'build-csv';
+    const lines = [layout.columns.map(([header]) => csvCell(header)).join(',')];
+    for (const r of rows) {
+      const values = { ...r, date: formatDayKey(r.day, layout.dateFormat) };
+      lines.push(layout.columns.map(([, field]) => csvCell(values[field])).join(','));
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="payroll_${layoutKey}_${from}_${to}.csv"`);
+    res.status(200).send(lines.join('\r\n'));
+  } catch (err) {
+    console.error('exportPayroll error at step', step, err);
+    res.status(500).send(`Error at step "${step}": ${err?.message || err}`);
+  }
+});
+
+// ------------------------------------------------------------------
+// EXPENSE EXPORT — one month of job expenses as CSV (HTTP, managers)
+// GET ?month=YYYY-MM[&status=approved|all]
+// Amounts are as on the receipt; "Ex GST" is what the job was charged.
+// ------------------------------------------------------------------
+const EXPENSE_COLUMNS = [
+  ['Date', 'day'],
+  ['Job', 'job'],
+  ['Installer', 'installer'],
+  ['Category', 'category'],
+  ['Supplier', 'supplier'],
+  ['Note', 'note'],
+  ['Amount', 'amount'],
+  ['GST', 'gst'],
+  ['Ex GST', 'exGst'],
+  ['Status', 'status'],
+  ['Receipt', 'receiptURL'],
+];
+
+exports.exportExpenses = onRequest({ region }, async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+
+  let step = 'start';
+  try {
+    step = 'auth';
+    const caller = await requireManager(req).catch(() => null);
+    if (!caller) {
+      res.status(403).send('Managers only');
+      return;
+    }
+
+    step = 'read-params';
+    const month = String(req.query.month || '');
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      res.status(400).send('month must be YYYY-MM');
+      return;
+    }
+    const onlyApproved = String(req.query.status || 'approved') !== 'all';
+
+    step = 'load-expenses';
+    // Query a day either side of the month in UTC, then trim by local day
+    const [y, m] = month.split('-').map(Number);
+    const snap = await db
+      .collectionGroup('expenses')
+      .where('date', '>=', admin.firestore.Timestamp.fromDate(new Date(Date.UTC(y, m - 1, 0))))
+      .where('date', '<', admin.firestore.Timestamp.fromDate(new Date(Date.UTC(y, m, 2))))
+      .get();
+
+    const expenses = snap.docs
+      .map((d) => ({ jobId: d.ref.parent.parent.id, ...(d.data() || {}) }))
+      .filter((e) => e.date?.toDate && zonedDayKey(e.date.toDate()).startsWith(month))
+      .filter((e) => !onlyApproved || e.status === 'approved');
+
+    step = 'load-names';
+    const jobIds = [...new Set(expenses.map((e) => e.jobId))];
+    const jobSnaps = jobIds.length ? await db.getAll(...jobIds.map((id) => db.collection('jobs').doc(id))) : [];
+    const jobNames = Object.fromEntries(
+      jobSnaps.map((s) => [s.id, (s.exists && (s.get('clientName') || s.get('company'))) || s.id])
+    );
+
+    step = 'build-csv';
+    const rows = expenses
+      .map((e) => ({
+        day: zonedDayKey(e.date.toDate()),
+        job: jobNames[e.jobId],
+        installer: e.userShortName || e.userId || '',
+        category: e.category || '',
+        supplier: e.supplier || '',
+        note: e.note || '',
+        amount: round2(e.amount).toFixed(2),
+        gst: round2(e.gst).toFixed(2),
+        exGst: round2((Number(e.amount) || 0) - (Number(e.gst) || 0)).toFixed(2),
+        status: e.status || 'pending',
+        receiptURL: e.receiptURL || '',
+      }))
+      .sort((a, b) => a.day.localeCompare(b.day) || a.job.localeCompare(b.job));
+
+    const lines = [EXPENSE_COLUMNS.map(([header]) => csvCell(header)).join(',')];
+    for (const r of rows) lines.push(EXPENSE_COLUMNS.map(([, field]) => csvCell(r[field])).join(','));
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="expenses_${month}.csv"`);
+    res.status(200).send(lines.join('\r\n'));
+  } catch (err) {
+    console.error('exportExpenses error at step', step, err);
+    res.status(500).send(`Error at step "${step}": ${err?.message || err}`);
+  }
+});
+
 // ------------------------------------------------------------------
 // INSTALLER REMINDER EMAIL — from JobDetailPage popup (HTTP, with CORS)
 // ------------------------------------------------------------------
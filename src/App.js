@@ -1,9 +1,25 @@
 // src/App.js
-import React from 'react';
+import React, { useEffect } from 'react';
 import { BrowserRouter as Router, Route, Switch, Redirect } from 'react-router-dom';
 import Header from './components/Header';
+import RunningTimerBanner from './components/RunningTimerBanner';
+import UploadOverlay from './components/UploadOverlay';
+import UpdatePrompt from './components/UpdatePrompt';
 import { useAuth } from './contexts/AuthContext';
+import { startOfflineSync } from './services/offlineQueue';
 import JobListPage from './pages/JobListPage';
+import MyJobsPage from './pages/MyJobsPage';
+import JobCalendarPage from './pages/JobCalendarPage';
+import ResourceTimelinePage from './pages/ResourceTimelinePage';
+import SettingsPage from './pages/SettingsPage';
+import TimesheetPage from './pages/TimesheetPage';
+import PayrollPage from './pages/PayrollPage';
+import JobReportPage from './pages/JobReportPage';
+import ExpensesPage from './pages/ExpensesPage';
+import QuoteListPage from './pages/QuoteListPage';
+import QuoteEditPage from './pages/QuoteEditPage';
+import InvoiceListPage from './pages/InvoiceListPage';
+import InvoicePage from './pages/InvoicePage';
 import CreateJobPage from './pages/CreateJobPage';
 import JobDetailPage from './pages/JobDetailPage';
 import LoginPage from './pages/LoginPage';
@@ -20,6 +36,13 @@ function RequireAuth({ children }) {
   return currentUser ? children : <Redirect to="/login" />;
 }
 
+// Managers land on the full job list, staff on their own jobs
+function HomePage() {
+  const { isManager, loadingProfile } = useAuth();
+  if (loadingProfile) return null;
+  return isManager ? <JobListPage /> : <MyJobsPage />;
+}
+
 function AppRoutes() {
   return (
     <Switch>
@@ -31,7 +54,79 @@ function AppRoutes() {
       {/* Protected */}
       <Route exact path="/">
         <RequireAuth>
-          <JobListPage />
+          <HomePage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/my-jobs">
+        <RequireAuth>
+          <MyJobsPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/calendar">
+        <RequireAuth>
+          <JobCalendarPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/schedule">
+        <RequireAuth>
+          <ResourceTimelinePage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/timesheets">
+        <RequireAuth>
+          <TimesheetPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/payroll">
+        <RequireAuth>
+          <PayrollPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/reports/jobs">
+        <RequireAuth>
+          <JobReportPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/expenses">
+        <RequireAuth>
+          <ExpensesPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/quotes">
+        <RequireAuth>
+          <QuoteListPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/quotes/new">
+        <RequireAuth>
+          <QuoteEditPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/quotes/:quoteId">
+        <RequireAuth>
+          <QuoteEditPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/invoices">
+        <RequireAuth>
+          <InvoiceListPage />
+        </RequireAuth>
+      </Route>
+
+      <Route exact path="/invoices/:invoiceId">
+        <RequireAuth>
+          <InvoicePage />
         </RequireAuth>
       </Route>
 
@@ -66,6 +161,12 @@ function AppRoutes() {
         </RequireAuth>
       </Route>
 
+      <Route exact path="/settings">
+        <RequireAuth>
+          <SettingsPage />
+        </RequireAuth>
+      </Route>
+
       <Route exact path="/jobs/:jobId/ohs">
         <RequireAuth>
           <OhsFormPage />
@@ -88,6 +189,9 @@ function AppRoutes() {
 export default function App() {
   const { loadingAuth } = useAuth();
 
+  // Replays photos, notes and timers saved on the device while offline
+  useEffect(() => startOfflineSync(), []);
+
   return (
     <LocalizationProvider dateAdapter={AdapterDateFns}>
       {loadingAuth ? (
@@ -95,9 +199,12 @@ export default function App() {
       ) : (
         <Router>
           <Header />
+          <RunningTimerBanner />
           <div style={{ minHeight: '100vh', background: '#0f172a10' /* soft bg to avoid white */ }}>
             <AppRoutes />
           </div>
+          <UploadOverlay />
+          <UpdatePrompt />
         </Router>
       )}
     </LocalizationProvider>
@@ -1,8 +1,10 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+jest.mock('./contexts/AuthContext', () => ({ useAuth: () => ({ loadingAuth: true }) }));
+jest.mock('./services/offlineQueue', () => ({ startOfflineSync: () => () => {} }));
+
+test('shows the splash screen while auth is loading', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/getting things ready/i)).toBeInTheDocument();
 });
@@ -0,0 +1,44 @@
+// src/components/BudgetBar.js
+import React from 'react';
+import { Box, LinearProgress, Typography } from '@mui/material';
+import { BUDGET_COLORS, budgetStatus } from '../utils/budget';
+
+/**
+ * Quoted-hours burn: solid bar for logged hours, lighter buffer for timers
+ * still running. Renders nothing when the job has no quoted hours.
+ */
+export default function BudgetBar({ logged = 0, running = 0, allowed, compact = false }) {
+  const allowedNum = Number(allowed);
+  const total = logged + running;
+  const status = budgetStatus(total, allowedNum);
+  if (!status) return null;
+
+  const pct = (h) => Math.min(100, (h / allowedNum) * 100);
+  const color = BUDGET_COLORS[status];
+
+  return (
+    <Box sx={{ width: compact ? 160 : '100%' }}>
+      <LinearProgress
+        variant="buffer"
+        value={pct(logged)}
+        valueBuffer={pct(total)}
+        sx={{
+          height: compact ? 6 : 10,
+          borderRadius: 5,
+          bgcolor: 'rgba(255,255,255,0.12)',
+          '.MuiLinearProgress-bar1': { bgcolor: color },
+          '.MuiLinearProgress-bar2': { bgcolor: color, opacity: 0.4 },
+          '.MuiLinearProgress-dashed': { display: 'none' },
+        }}
+      />
+      <Typography
+        variant="caption"
+        sx={{ display: 'block', textAlign: compact ? 'right' : 'left', color, fontWeight: 700 }}
+      >
+        {total.toFixed(1)} / {allowedNum}h · {Math.round((total / allowedNum) * 100)}%
+        {running > 0 ? ' (incl. running)' : ''}
+        {status === 'over' ? ' · over' : ''}
+      </Typography>
+    </Box>
+  );
+}
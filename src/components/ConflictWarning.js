@@ -0,0 +1,26 @@
+// src/components/ConflictWarning.js
+import React from 'react';
+import { Alert, AlertTitle, Box } from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import { describeConflict } from '../utils/scheduleConflicts';
+
+export default function ConflictWarning({ conflicts, bufferMinutes, sx }) {
+  const { userMap } = useAuth();
+  if (!conflicts || !conflicts.length) return null;
+
+  return (
+    <Alert severity="warning" variant="filled" sx={{ mb: 2, ...sx }}>
+      <AlertTitle>Scheduling conflict</AlertTitle>
+      <Box component="ul" sx={{ m: 0, pl: 2.5 }}>
+        {conflicts.map((c) => (
+          <li key={`${c.uid}-${c.job.id}-${c.type}`}>{describeConflict(c, userMap)}</li>
+        ))}
+      </Box>
+      {Number(bufferMinutes) > 0 && (
+        <Box sx={{ mt: 0.5, fontSize: 12, opacity: 0.85 }}>
+          Includes a {bufferMinutes} min travel buffer between jobs.
+        </Box>
+      )}
+    </Alert>
+  );
+}
@@ -0,0 +1,137 @@
+// src/components/CrewTimerDialog.js
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+/**
+ * Start or stop a crew timer.
+ * - mode 'start': `members` are the job's assigned users [{ uid, name }];
+ *   onConfirm(selectedUids)
+ * - mode 'stop': `members` are the crew's open entries [{ entryId, uid, name, start }];
+ *   each can be left out or given an earlier "left at" time;
+ *   onConfirm({ entryIds, endTimes })
+ */
+export default function CrewTimerDialog({ open, mode, members, onClose, onConfirm }) {
+  const [selected, setSelected] = useState({});
+  const [leftAt, setLeftAt] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    const key = (m) => (mode === 'stop' ? m.entryId : m.uid);
+    setSelected(Object.fromEntries((members || []).map((m) => [key(m), true])));
+    setLeftAt({});
+    setError('');
+  }, [open, mode, members]);
+
+  const confirm = async () => {
+    setError('');
+    const chosen = (members || []).filter((m) => selected[mode === 'stop' ? m.entryId : m.uid]);
+    if (!chosen.length) {
+      setError('Pick at least one person.');
+      return;
+    }
+
+    let payload;
+    if (mode === 'stop') {
+      const endTimes = {};
+      for (const m of chosen) {
+        const hhmm = leftAt[m.entryId];
+        if (!hhmm) continue;
+        const [h, min] = hhmm.split(':').map(Number);
+        // "left at" is on the day the crew started
+        const end = new Date(m.start);
+        end.setHours(h, min, 0, 0);
+        if (end <= m.start) {
+          setError(`${m.name}: left-at time must be after the crew started.`);
+          return;
+        }
+        endTimes[m.entryId] = end;
+      }
+      payload = { entryIds: chosen.map((m) => m.entryId), endTimes };
+    } else {
+      payload = chosen.map((m) => m.uid);
+    }
+
+    setBusy(true);
+    try {
+      await onConfirm(payload);
+    } catch (err) {
+      console.error('Crew timer failed', err);
+      setError(err.message || 'Something went wrong.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>{mode === 'stop' ? 'Stop crew timer' : 'Start crew timer'}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ mb: 1.5, opacity: 0.85 }}>
+          {mode === 'stop'
+            ? 'Everyone ticked stops now. Set a time for anyone who left early.'
+            : 'Starts a linked timer for everyone ticked. Anyone already on a timer here keeps theirs.'}
+        </Typography>
+        <Stack spacing={1}>
+          {(members || []).map((m) => {
+            const key = mode === 'stop' ? m.entryId : m.uid;
+            return (
+              <Stack key={key} direction="row" alignItems="center" spacing={1}>
+                <FormControlLabel
+                  sx={{ flexGrow: 1 }}
+                  control={
+                    <Checkbox
+                      checked={!!selected[key]}
+                      onChange={(e) => setSelected((prev) => ({ ...prev, [key]: e.target.checked }))}
+                    />
+                  }
+                  label={m.name}
+                />
+                {mode === 'stop' && (
+                  <TextField
+                    size="small"
+                    type="time"
+                    label="Left at"
+                    InputLabelProps={{ shrink: true }}
+                    disabled={!selected[key]}
+                    value={leftAt[key] || ''}
+                    onChange={(e) => setLeftAt((prev) => ({ ...prev, [key]: e.target.value }))}
+                    sx={{ width: 130 }}
+                  />
+                )}
+              </Stack>
+            );
+          })}
+        </Stack>
+        {error && (
+          <Typography color="error" sx={{ mt: 1 }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          color={mode === 'stop' ? 'error' : 'primary'}
+          onClick={confirm}
+          disabled={busy}
+        >
+          {busy ? 'Working…' : mode === 'stop' ? 'Stop' : 'Start'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
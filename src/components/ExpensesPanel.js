@@ -0,0 +1,262 @@
+// src/components/ExpensesPanel.js
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  Paper,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ReceiptLongRoundedIcon from '@mui/icons-material/ReceiptLongRounded';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  addExpense,
+  deleteExpense,
+  reviewExpense,
+  subscribeToJobExpenses,
+} from '../services/expenseService';
+import { dayKey, toJSDate } from '../utils/jobUtils';
+import { fmtMoney } from '../utils/costing';
+import {
+  EXPENSE_CATEGORIES,
+  EXPENSE_STATUS,
+  expenseCategoryLabel,
+  expenseExGst,
+  gstIncluded,
+} from '../utils/expenses';
+
+const emptyForm = () => ({
+  amount: '',
+  includesGst: true,
+  category: EXPENSE_CATEGORIES[0].value,
+  supplier: '',
+  date: dayKey(new Date()),
+  note: '',
+  receipt: null,
+});
+
+/**
+ * Receipts for things bought for a job. Anyone on the job can add one;
+ * managers approve or reject, and only approved expenses count as job cost
+ * (`onReviewed` lets the page reload the job's expensesTotal).
+ */
+export default function ExpensesPanel({ jobId, actor, onReviewed, onPreview }) {
+  const { isManager, currentUser } = useAuth();
+  const [expenses, setExpenses] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!jobId) return undefined;
+    return subscribeToJobExpenses(jobId, setExpenses, (err) =>
+      console.error('Failed to load expenses', err)
+    );
+  }, [jobId]);
+
+  const set = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const save = async () => {
+    const amount = Number(form.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      setError('Enter the amount from the receipt.');
+      return;
+    }
+    if (!form.receipt && !window.confirm('No receipt photo attached. Save anyway?')) return;
+    const [y, m, d] = form.date.split('-').map(Number);
+
+    setError('');
+    setBusy(true);
+    try {
+      await addExpense(
+        jobId,
+        {
+          amount,
+          gst: form.includesGst ? gstIncluded(amount) : 0,
+          category: form.category,
+          supplier: form.supplier.trim(),
+          date: new Date(y, m - 1, d),
+          note: form.note.trim(),
+          receipt: form.receipt,
+        },
+        actor
+      );
+      setOpen(false);
+      setForm(emptyForm());
+    } catch (err) {
+      console.error('Failed to save expense', err);
+      setError(err.message || 'Save failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const review = async (expense, status) => {
+    try {
+      await reviewExpense(jobId, expense.id, status, actor);
+      onReviewed?.();
+    } catch (err) {
+      console.error('Failed to review expense', err);
+      alert('Could not update the expense. Please try again.');
+    }
+  };
+
+  const remove = async (expense) => {
+    if (!window.confirm('Delete this expense and its receipt?')) return;
+    try {
+      await deleteExpense(expense);
+    } catch (err) {
+      console.error('Failed to delete expense', err);
+      alert(err.message || 'Could not delete the expense.');
+    }
+  };
+
+  const approvedTotal = expenses
+    .filter((e) => e.status === 'approved')
+    .reduce((s, e) => s + expenseExGst(e), 0);
+
+  return (
+    <Paper sx={{ p: 2, mb: 2 }}>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="h6">Expenses</Typography>
+        <Button variant="outlined" onClick={() => setOpen(true)}>
+          Add Expense
+        </Button>
+      </Stack>
+
+      <Box sx={{ display: 'grid', gap: 0.75 }}>
+        {expenses.length === 0 && (
+          <Typography color="text.secondary">No expenses on this job.</Typography>
+        )}
+        {expenses.map((e) => {
+          const status = EXPENSE_STATUS[e.status] || EXPENSE_STATUS.pending;
+          const mine = e.userId === currentUser?.uid;
+          return (
+            <Stack
+              key={e.id}
+              direction="row"
+              spacing={1}
+              alignItems="center"
+              sx={{ flexWrap: 'wrap', rowGap: 0.5 }}
+            >
+              <Typography sx={{ minWidth: 90 }}>{dayKey(toJSDate(e.date) || new Date())}</Typography>
+              <Typography sx={{ fontWeight: 600, minWidth: 90 }}>{fmtMoney(e.amount)}</Typography>
+              <Typography sx={{ flexGrow: 1 }}>
+                {expenseCategoryLabel(e.category)}
+                {e.supplier ? ` · ${e.supplier}` : ''}
+                {e.userShortName ? ` · ${e.userShortName}` : ''}
+                {e.note ? ` — ${e.note}` : ''}
+              </Typography>
+              {e.receiptURL ? (
+                <IconButton
+                  size="small"
+                  onClick={() => onPreview?.(e.receiptURL)}
+                  sx={{ color: '#90caf9' }}
+                  title="View receipt"
+                >
+                  <ReceiptLongRoundedIcon fontSize="small" />
+                </IconButton>
+              ) : (
+                <Chip size="small" variant="outlined" label="No receipt" sx={{ color: '#ffa726' }} />
+              )}
+              <Chip size="small" label={status.label} sx={{ bgcolor: status.color, color: '#fff' }} />
+              {isManager && e.status !== 'approved' && (
+                <Button size="small" color="success" onClick={() => review(e, 'approved')}>
+                  Approve
+                </Button>
+              )}
+              {isManager && e.status !== 'rejected' && (
+                <Button size="small" color="error" onClick={() => review(e, 'rejected')}>
+                  Reject
+                </Button>
+              )}
+              {e.status !== 'approved' && (isManager || mine) && (
+                <IconButton size="small" onClick={() => remove(e)} sx={{ color: 'rgba(255,255,255,0.7)' }}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              )}
+            </Stack>
+          );
+        })}
+      </Box>
+      {approvedTotal > 0 && (
+        <Typography sx={{ mt: 1 }}>
+          <strong>Approved (ex GST):</strong> {fmtMoney(approvedTotal)}
+        </Typography>
+      )}
+
+      <Dialog open={open} onClose={() => !busy && setOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>Add expense</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              label="Amount (as on receipt)"
+              type="number"
+              inputProps={{ min: 0, step: 0.01 }}
+              value={form.amount}
+              onChange={set('amount')}
+            />
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={form.includesGst}
+                  onChange={(e) => setForm((prev) => ({ ...prev, includesGst: e.target.checked }))}
+                />
+              }
+              label="Includes GST"
+            />
+            <TextField select label="Category" value={form.category} onChange={set('category')}>
+              {EXPENSE_CATEGORIES.map((c) => (
+                <MenuItem key={c.value} value={c.value}>
+                  {c.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField label="Supplier" value={form.supplier} onChange={set('supplier')} />
+            <TextField
+              label="Date"
+              type="date"
+              InputLabelProps={{ shrink: true }}
+              value={form.date}
+              onChange={set('date')}
+            />
+            <TextField label="Note" value={form.note} onChange={set('note')} />
+            <Button variant="outlined" component="label" startIcon={<ReceiptLongRoundedIcon />}>
+              {form.receipt ? form.receipt.name : 'Receipt Photo'}
+              <input
+                hidden
+                type="file"
+                accept="image/*"
+                capture="environment"
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, receipt: e.target.files?.[0] || null }))
+                }
+              />
+            </Button>
+            {error && <Typography color="error">{error}</Typography>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={busy}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={save} disabled={busy || !form.date}>
+            {busy ? 'Saving…' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
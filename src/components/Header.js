@@ -1,18 +1,45 @@
 // src/components/Header.js
-import React from 'react';
+import React, { useState } from 'react';
 import {
   AppBar,
   Toolbar,
   Typography,
   Button,
-  Box
+  Box,
+  IconButton,
+  Menu,
+  MenuItem,
 } from '@mui/material';
+import MenuRoundedIcon from '@mui/icons-material/MenuRounded';
 import { Link as RouterLink, useHistory } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import SyncStatus from './SyncStatus';
+
+// Header links; `manager` ones are hidden from staff
+const NAV_ITEMS = [
+  { to: '/', label: 'Jobs', staffLabel: 'My Jobs' },
+  { to: '/my-jobs', label: 'My Jobs', manager: true },
+  { to: '/calendar', label: 'Calendar' },
+  { to: '/timesheets', label: 'Timesheets' },
+  { to: '/schedule', label: 'Schedule', manager: true },
+  { to: '/quotes', label: 'Quotes', manager: true },
+  { to: '/invoices', label: 'Invoices', manager: true },
+  { to: '/payroll', label: 'Payroll', manager: true },
+  { to: '/reports/jobs', label: 'Job Report', manager: true },
+  { to: '/expenses', label: 'Expenses', manager: true },
+  { to: '/users', label: 'Manage Users', manager: true },
+  { to: '/settings', label: 'Settings', manager: true },
+];
 
 export default function Header() {
   const history = useHistory();
-  const { currentUser, logout } = useAuth();
+  const { currentUser, isManager, logout } = useAuth();
+  const [menuAnchor, setMenuAnchor] = useState(null);
+
+  const links = NAV_ITEMS.filter((item) => isManager || !item.manager).map((item) => ({
+    to: item.to,
+    label: isManager ? item.label : item.staffLabel || item.label,
+  }));
 
   const handleLogout = async () => {
     try {
@@ -38,6 +65,7 @@ export default function Header() {
       <Toolbar sx={{ minHeight: 56 }}>
         <Typography
           variant="h6"
+          noWrap
           sx={{ fontWeight: 700, letterSpacing: 0.2 }}
           component={RouterLink}
           to="/"
@@ -48,23 +76,43 @@ export default function Header() {
 
         <Box sx={{ flexGrow: 1 }} />
 
-        <Button
-          component={RouterLink}
-          to="/"
-          variant="text"
-          sx={{ color: 'rgba(255,255,255,0.92)', mr: 1 }}
-        >
-          Jobs
-        </Button>
+        {/* Wide screens: links in the bar */}
+        <Box sx={{ display: { xs: 'none', lg: 'flex' } }}>
+          {links.map((link) => (
+            <Button
+              key={link.to}
+              component={RouterLink}
+              to={link.to}
+              variant="text"
+              sx={{ color: 'rgba(255,255,255,0.92)', mr: 1 }}
+            >
+              {link.label}
+            </Button>
+          ))}
+        </Box>
 
-        <Button
-          component={RouterLink}
-          to="/users"
-          variant="text"
-          sx={{ color: 'rgba(255,255,255,0.92)', mr: 1 }}
+        {currentUser && <SyncStatus />}
+
+        {/* Phones and tablets: links in a menu */}
+        <IconButton
+          aria-label="Menu"
+          onClick={(e) => setMenuAnchor(e.currentTarget)}
+          sx={{ display: { lg: 'none' }, color: '#fff', mr: 1 }}
         >
-          Manage Users
-        </Button>
+          <MenuRoundedIcon />
+        </IconButton>
+        <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={() => setMenuAnchor(null)}>
+          {links.map((link) => (
+            <MenuItem
+              key={link.to}
+              component={RouterLink}
+              to={link.to}
+              onClick={() => setMenuAnchor(null)}
+            >
+              {link.label}
+            </MenuItem>
+          ))}
+        </Menu>
 
         {currentUser && (
           <Button
@@ -0,0 +1,261 @@
+// src/components/JobCard.js
+import React from "react";
+import { Box, Chip, Paper, Stack, Tooltip, Typography } from "@mui/material";
+import PhotoCameraRoundedIcon from "@mui/icons-material/PhotoCameraRounded";
+import AccessTimeRoundedIcon from "@mui/icons-material/AccessTimeRounded";
+import TimerOutlinedIcon from "@mui/icons-material/TimerOutlined";
+import GroupsRoundedIcon from "@mui/icons-material/GroupsRounded";
+import WarningAmberRoundedIcon from "@mui/icons-material/WarningAmberRounded";
+import { useAuth } from "../contexts/AuthContext";
+import { toJSDate } from "../utils/jobUtils";
+import { describeConflict } from "../utils/scheduleConflicts";
+import { runningHours } from "../utils/budget";
+import BudgetBar from "./BudgetBar";
+
+function IconBadge({ icon, label, bg = "#1976d2" }) {
+  return (
+    <Chip
+      size="small"
+      icon={icon}
+      label={label}
+      sx={{
+        bgcolor: bg,
+        color: "#fff",
+        fontWeight: 700,
+        ".MuiChip-icon": { color: "#fff !important" },
+      }}
+    />
+  );
+}
+
+/**
+ * One job row as shown on the job lists.
+ * `timers` are the live chips from useActiveTimers for this job,
+ * `clashes` the scheduling conflicts from utils/scheduleConflicts.
+ */
+export default function JobCard({ job: j, timers, clashes = [], onClick }) {
+  const { userMap } = useAuth();
+
+  const d = toJSDate(j.installDate);
+  const timeStr =
+    j.installTime && d
+      ? d.toLocaleTimeString("en-AU", {
+          hour: "numeric",
+          minute: "2-digit",
+        })
+      : null;
+
+  const assigned =
+    Array.isArray(j.assignedTo) && j.assignedTo.length
+      ? j.assignedTo
+          .map(
+            (uid) =>
+              userMap?.[uid]?.shortName ||
+              userMap?.[uid]?.displayName ||
+              userMap?.[uid]?.email ||
+              "User"
+          )
+          .join(", ")
+      : "—";
+
+  const photos = Number(
+    j.completedPhotoCount ??
+      (Array.isArray(j.completedPhotos)
+        ? j.completedPhotos.length
+        : 0) ??
+      0
+  );
+  const hours = Number(j.hoursTotal || 0);
+
+  const runningList = timers || []; // [{ userId, userShortName?, start, formatted }]
+  const hasRunning = runningList.length > 0;
+
+  return (
+    <Paper
+      onClick={onClick}
+      sx={{
+        width: "100%",
+        p: 2,
+        borderRadius: 2,
+        bgcolor: "rgba(255,255,255,0.06)",
+        color: "#fff",
+        cursor: "pointer",
+        ":hover": { bgcolor: "rgba(255,255,255,0.09)" },
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 2,
+      }}
+    >
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          gap: 2,
+          minWidth: 0,
+        }}
+      >
+        {j.companyLogoUrl && (
+          <img
+            src={j.companyLogoUrl}
+            alt="logo"
+            style={{
+              height: 48,
+              width: 48,
+              objectFit: "contain",
+              borderRadius: 8,
+              backgroundColor: "rgba(255, 255, 255, 1)",
+            }}
+          />
+        )}
+        <Box sx={{ minWidth: 0 }}>
+          <Typography
+            variant="h6"
+            sx={{ fontSize: 18, fontWeight: 700 }}
+          >
+            {j.clientName || "Untitled"}
+          </Typography>
+          <Typography variant="body2" sx={{ opacity: 0.85 }}>
+            Assigned: {assigned}
+          </Typography>
+
+          <Stack
+            direction="row"
+            spacing={1}
+            sx={{ mt: 0.75, flexWrap: "wrap" }}
+          >
+            {timeStr && (
+              <Chip
+                size="small"
+                label={timeStr}
+                sx={{
+                  bgcolor: "rgba(255,193,7,0.15)",
+                  color: "#ffc107",
+                  fontWeight: 800,
+                }}
+              />
+            )}
+
+            {clashes.length > 0 && (
+              <Tooltip
+                title={clashes
+                  .map((c) => describeConflict(c, userMap))
+                  .join(" • ")}
+              >
+                <Chip
+                  size="small"
+                  icon={<WarningAmberRoundedIcon fontSize="small" />}
+                  label={`Clash${clashes.length > 1 ? ` ×${clashes.length}` : ""}`}
+                  sx={{
+                    bgcolor: "rgba(244,67,54,0.2)",
+                    color: "#ef9a9a",
+                    border: "1px solid rgba(244,67,54,0.45)",
+                    fontWeight: 800,
+                    cursor: "help",
+                    ".MuiChip-icon": { color: "#ef9a9a" },
+                  }}
+                  onClick={(ev) => ev.stopPropagation()}
+                />
+              </Tooltip>
+            )}
+
+            {/* One live chip per user running a timer */}
+            {hasRunning &&
+              runningList.map((e) => {
+                const nameOf = (t) =>
+                  t.userShortName ||
+                  userMap?.[t.userId]?.shortName ||
+                  userMap?.[t.userId]?.displayName ||
+                  userMap?.[t.userId]?.email ||
+                  t.userId;
+                // Crew timers come through as one chip with `members`
+                const name = e.members
+                  ? `Crew (${e.members.length}): ${e.members.map(nameOf).join(", ")}`
+                  : nameOf(e);
+                return (
+                  <Tooltip
+                    key={`${j.id}-${e.userId}`}
+                    title={`Started ${e.start.toLocaleTimeString(
+                      "en-AU",
+                      {
+                        hour: "2-digit",
+                        minute: "2-digit",
+                      }
+                    )}`}
+                  >
+                    <Chip
+                      size="small"
+                      icon={
+                        e.members ? (
+                          <GroupsRoundedIcon fontSize="small" />
+                        ) : (
+                          <TimerOutlinedIcon fontSize="small" />
+                        )
+                      }
+                      label={`${name} — ${e.formatted}`}
+                      sx={{
+                        bgcolor: "rgba(33,150,243,0.2)",
+                        color: "#90caf9",
+                        border:
+                          "1px solid rgba(33,150,243,0.4)",
+                        fontWeight: 800,
+                        cursor: "help",
+                      }}
+                      onClick={(ev) => ev.stopPropagation()}
+                    />
+                  </Tooltip>
+                );
+              })}
+          </Stack>
+        </Box>
+      </Box>
+
+      <Box
+        sx={{
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "flex-end",
+          gap: 1,
+        }}
+      >
+        <Box
+          sx={{
+            display: "flex",
+            alignItems: "center",
+            gap: 1,
+          }}
+        >
+          <IconBadge
+            icon={<PhotoCameraRoundedIcon fontSize="small" />}
+            label={photos}
+            bg="#1976d2"
+          />
+          <IconBadge
+            icon={<AccessTimeRoundedIcon fontSize="small" />}
+            label={hours.toFixed(2)}
+            bg="#7e57c2"
+          />
+        </Box>
+        {Number.isFinite(Number(j.allowedHours)) && (
+          <Chip
+            size="small"
+            label={`Quoted ${Number(j.allowedHours)}h`}
+            sx={{
+              bgcolor: "rgba(0, 188, 212, 0.20)",
+              color: "#80deea",
+              border:
+                "1px solid rgba(0,188,212,0.45)",
+              fontWeight: 800,
+            }}
+          />
+        )}
+        <BudgetBar
+          compact
+          logged={hours}
+          running={runningHours(runningList)}
+          allowed={j.allowedHours}
+        />
+      </Box>
+    </Paper>
+  );
+}
@@ -0,0 +1,202 @@
+// src/components/JobCostingPanel.js
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  Paper,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { useAuth } from '../contexts/AuthContext';
+import useUserRates from '../hooks/useUserRates';
+import { updateJobCosting } from '../services/jobService';
+import { costRateFor, fmtMoney, jobCosting, materialLineTotal } from '../utils/costing';
+
+const newLine = () => ({ id: Math.random().toString(36).slice(2, 10), description: '', qty: 1, unitCost: '' });
+
+/**
+ * Manager-only costing for a job: sell price, material lines, and labour
+ * costed from `hoursByUser` at each person's rate. Rates come from the
+ * manager-only userRates collection (see useUserRates).
+ */
+export default function JobCostingPanel({ job, hoursByUser, onSaved }) {
+  const { userMap, isManager } = useAuth();
+  const { rates, roleRates: costing } = useUserRates();
+
+  const [quotedPrice, setQuotedPrice] = useState('');
+  const [materials, setMaterials] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setQuotedPrice(job?.quotedPrice ?? '');
+    setMaterials(job?.materials || []);
+  }, [job]);
+
+  // Live figures use the unsaved form so the margin updates as you type
+  const figures = useMemo(
+    () =>
+      jobCosting(
+        { quotedPrice, materials, expensesTotal: job?.expensesTotal },
+        hoursByUser,
+        userMap,
+        costing,
+        rates
+      ),
+    [quotedPrice, materials, job, hoursByUser, userMap, costing, rates]
+  );
+
+  if (!isManager || !job) return null;
+
+  const setLine = (id, key) => (e) =>
+    setMaterials((prev) => prev.map((m) => (m.id === id ? { ...m, [key]: e.target.value } : m)));
+
+  const save = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      const patch = {
+        quotedPrice: quotedPrice === '' ? null : Number(quotedPrice),
+        materials: materials
+          .filter((m) => m.description.trim() || Number(m.unitCost))
+          .map((m) => ({
+            id: m.id,
+            description: m.description.trim(),
+            qty: Number(m.qty) || 0,
+            unitCost: Number(m.unitCost) || 0,
+          })),
+      };
+      await updateJobCosting(job.id, patch);
+      onSaved?.(patch);
+    } catch (err) {
+      console.error('Save costing failed', err);
+      setError(err.message || 'Save failed.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const labourRows = Object.entries(hoursByUser || {}).filter(([, h]) => Number(h) > 0);
+  const marginColor =
+    figures.margin === null ? 'inherit' : figures.margin < 0 ? '#ef5350' : '#66bb6a';
+
+  return (
+    <Paper sx={{ p: 2, mb: 2 }}>
+      <Typography variant="h6" sx={{ mb: 1 }}>
+        Job Costing
+      </Typography>
+      {error && <Typography color="error" sx={{ mb: 1 }}>{error}</Typography>}
+
+      <TextField
+        label="Quoted sell price (ex GST)"
+        type="number"
+        size="small"
+        inputProps={{ min: 0, step: 0.01 }}
+        value={quotedPrice}
+        onChange={(e) => setQuotedPrice(e.target.value)}
+        sx={{ mb: 2, width: 260 }}
+      />
+
+      <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+        Labour
+      </Typography>
+      <Box sx={{ display: 'grid', gap: 0.25, mb: 2 }}>
+        {labourRows.length ? (
+          labourRows.map(([uid, hours]) => {
+            const user = userMap?.[uid];
+            const rate = costRateFor(user, costing, rates[uid]);
+            return (
+              <Typography key={uid} variant="body2">
+                {user?.shortName || user?.email || uid}: {Number(hours).toFixed(2)} h ×{' '}
+                {rate === null ? 'no rate' : `${fmtMoney(rate)}/h`}
+                {rate !== null && ` = ${fmtMoney(Number(hours) * rate)}`}
+              </Typography>
+            );
+          })
+        ) : (
+          <Typography variant="body2" sx={{ opacity: 0.7 }}>
+            No hours logged yet.
+          </Typography>
+        )}
+        {figures.unrated.length > 0 && (
+          <Typography variant="caption" sx={{ color: '#ffa726' }}>
+            Some hours have no cost rate. Set one on Manage Users or a role rate in Settings.
+          </Typography>
+        )}
+      </Box>
+
+      <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+        Materials
+      </Typography>
+      <Stack spacing={1} sx={{ mb: 1 }}>
+        {materials.map((m) => (
+          <Stack key={m.id} direction="row" spacing={1} alignItems="center">
+            <TextField
+              size="small"
+              label="Description"
+              value={m.description}
+              onChange={setLine(m.id, 'description')}
+              sx={{ flexGrow: 1 }}
+            />
+            <TextField
+              size="small"
+              label="Qty"
+              type="number"
+              value={m.qty}
+              onChange={setLine(m.id, 'qty')}
+              sx={{ width: 80 }}
+            />
+            <TextField
+              size="small"
+              label="Unit cost"
+              type="number"
+              inputProps={{ step: 0.01 }}
+              value={m.unitCost}
+              onChange={setLine(m.id, 'unitCost')}
+              sx={{ width: 110 }}
+            />
+            <Typography variant="body2" sx={{ width: 90, textAlign: 'right' }}>
+              {fmtMoney(materialLineTotal(m))}
+            </Typography>
+            <IconButton
+              size="small"
+              onClick={() => setMaterials((prev) => prev.filter((x) => x.id !== m.id))}
+              sx={{ color: 'rgba(255,255,255,0.7)' }}
+            >
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Stack>
+        ))}
+      </Stack>
+      <Button size="small" onClick={() => setMaterials((prev) => [...prev, newLine()])}>
+        Add material
+      </Button>
+
+      <Stack direction="row" spacing={1} sx={{ mt: 2, flexWrap: 'wrap', rowGap: 1 }}>
+        <Chip label={`Labour ${fmtMoney(figures.labourCost)}`} />
+        <Chip label={`Materials ${fmtMoney(figures.materialsCost)}`} />
+        {figures.expensesCost !== 0 && <Chip label={`Expenses ${fmtMoney(figures.expensesCost)}`} />}
+        <Chip label={`Total cost ${fmtMoney(figures.totalCost)}`} color="primary" />
+        <Chip
+          label={
+            figures.margin === null
+              ? 'Margin — (no sell price)'
+              : `Margin ${fmtMoney(figures.margin)}${
+                  figures.marginPercent === null ? '' : ` · ${figures.marginPercent.toFixed(1)}%`
+                }`
+          }
+          sx={{ color: marginColor, fontWeight: 700 }}
+          variant="outlined"
+        />
+      </Stack>
+
+      <Button sx={{ mt: 2 }} variant="contained" onClick={save} disabled={saving}>
+        {saving ? 'Saving…' : 'Save Costing'}
+      </Button>
+    </Paper>
+  );
+}
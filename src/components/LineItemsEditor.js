@@ -0,0 +1,92 @@
+// src/components/LineItemsEditor.js
+import React from 'react';
+import { Button, IconButton, MenuItem, Stack, TextField, Typography } from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { fmtMoney } from '../utils/costing';
+import { LINE_TYPES, lineTotal, newLineItem } from '../utils/quotes';
+
+/**
+ * Priced line items (quotes, invoices). `lines` are form values; the
+ * parent converts qty/unitPrice to numbers when saving.
+ */
+export default function LineItemsEditor({ lines, onChange, disabled = false }) {
+  const setLine = (id, key) => (e) =>
+    onChange(lines.map((l) => (l.id === id ? { ...l, [key]: e.target.value } : l)));
+
+  return (
+    <>
+      <Stack spacing={1}>
+        {lines.map((l) => {
+          const type = LINE_TYPES.find((t) => t.value === l.type) || LINE_TYPES[0];
+          return (
+            <Stack key={l.id} direction="row" spacing={1} alignItems="center">
+              <TextField
+                select
+                size="small"
+                label="Type"
+                disabled={disabled}
+                value={type.value}
+                onChange={setLine(l.id, 'type')}
+                sx={{ width: 120 }}
+              >
+                {LINE_TYPES.map((t) => (
+                  <MenuItem key={t.value} value={t.value}>
+                    {t.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                size="small"
+                label="Description"
+                disabled={disabled}
+                value={l.description}
+                onChange={setLine(l.id, 'description')}
+                sx={{ flexGrow: 1 }}
+              />
+              <TextField
+                size="small"
+                label={type.unit === 'h' ? 'Hours' : 'Qty'}
+                type="number"
+                disabled={disabled}
+                value={l.qty}
+                onChange={setLine(l.id, 'qty')}
+                sx={{ width: 90 }}
+              />
+              <TextField
+                size="small"
+                label={type.unit === 'h' ? 'Rate' : 'Unit price'}
+                type="number"
+                inputProps={{ step: 0.01 }}
+                disabled={disabled}
+                value={l.unitPrice}
+                onChange={setLine(l.id, 'unitPrice')}
+                sx={{ width: 120 }}
+              />
+              <Typography variant="body2" sx={{ width: 100, textAlign: 'right' }}>
+                {fmtMoney(lineTotal(l))}
+              </Typography>
+              {!disabled && (
+                <IconButton
+                  size="small"
+                  onClick={() => onChange(lines.filter((x) => x.id !== l.id))}
+                  sx={{ color: 'rgba(255,255,255,0.7)' }}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              )}
+            </Stack>
+          );
+        })}
+      </Stack>
+      {!disabled && (
+        <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+          {LINE_TYPES.map((t) => (
+            <Button key={t.value} size="small" onClick={() => onChange([...lines, newLineItem(t.value)])}>
+              Add {t.label.toLowerCase()}
+            </Button>
+          ))}
+        </Stack>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,92 @@
+// src/components/RunningTimerBanner.js
+import React, { useEffect, useState } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import AccessTimeRoundedIcon from '@mui/icons-material/AccessTimeRounded';
+import { useHistory, useLocation } from 'react-router-dom';
+import { formatDuration } from '../hooks/useActiveTimers';
+import useRunningTimers from '../hooks/useRunningTimers';
+import { stopTimer } from '../services/offlineQueue';
+
+/**
+ * App-wide strip under the header: "Timer running on <job>" for each open
+ * timer the signed-in user has. Hidden on that job's own page, which has
+ * its own controls.
+ */
+export default function RunningTimerBanner() {
+  const history = useHistory();
+  const { pathname } = useLocation();
+  const { timers } = useRunningTimers();
+  const [now, setNow] = useState(Date.now());
+  const [stopping, setStopping] = useState(null);
+
+  const visible = timers.filter((t) => pathname !== `/jobs/${t.jobId}`);
+
+  useEffect(() => {
+    if (visible.length === 0) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [visible.length]);
+
+  if (visible.length === 0) return null;
+
+  const stop = async (t) => {
+    setStopping(t.id);
+    try {
+      await stopTimer(t.jobId, t.id);
+    } catch (e) {
+      console.error('Failed to stop timer', e);
+      alert('Could not stop the timer. Please try again from the job page.');
+    } finally {
+      setStopping(null);
+    }
+  };
+
+  return (
+    <Box sx={{ px: { xs: 1.5, sm: 2, md: 3 }, pt: 1.5, display: 'grid', gap: 1 }}>
+      {visible.map((t) => (
+        <Box
+          key={t.id}
+          sx={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: 1.5,
+            flexWrap: 'wrap',
+            px: 2,
+            py: 1,
+            borderRadius: 2,
+            bgcolor: 'rgba(76,175,80,0.15)',
+            border: '1px solid rgba(76,175,80,0.45)',
+            color: '#fff',
+          }}
+        >
+          <AccessTimeRoundedIcon sx={{ color: '#81c784' }} />
+          <Typography sx={{ fontWeight: 700 }}>
+            Timer running on {t.jobName || 'a job'}
+          </Typography>
+          <Typography sx={{ fontFamily: 'monospace', color: '#c8e6c9' }}>
+            {formatDuration(now - t.start.getTime())}
+          </Typography>
+          <Box sx={{ ml: 'auto', display: 'flex', gap: 1 }}>
+            <Button
+              size="small"
+              variant="outlined"
+              sx={{ color: '#fff', borderColor: 'rgba(255,255,255,0.35)' }}
+              onClick={() => history.push(`/jobs/${t.jobId}`)}
+            >
+              Open Job
+            </Button>
+            <Button
+              size="small"
+              variant="contained"
+              color="error"
+              disabled={stopping === t.id}
+              onClick={() => stop(t)}
+            >
+              {stopping === t.id ? 'Stopping…' : 'Stop'}
+            </Button>
+          </Box>
+        </Box>
+      ))}
+    </Box>
+  );
+}
@@ -0,0 +1,94 @@
+// src/components/SyncStatus.js
+import React, { useState } from 'react';
+import { Box, Chip, Divider, IconButton, Menu, MenuItem, Tooltip, Typography } from '@mui/material';
+import CloudOffRoundedIcon from '@mui/icons-material/CloudOffRounded';
+import CloudSyncRoundedIcon from '@mui/icons-material/CloudSyncRounded';
+import DeleteOutlineRoundedIcon from '@mui/icons-material/DeleteOutlineRounded';
+import useOfflineQueue from '../hooks/useOfflineQueue';
+import { QUEUE_ITEM_LABELS, discardQueued, syncOfflineQueue } from '../services/offlineQueue';
+
+/**
+ * Header indicator for the offline outbox: "Offline" without a connection
+ * and "N items waiting to sync" while anything is queued on this device.
+ * Hidden when online with nothing waiting.
+ */
+export default function SyncStatus() {
+  const { items, syncing, online } = useOfflineQueue();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  if (online && !items.length) return null;
+
+  const count = items.length;
+  const label = count
+    ? `${count} item${count === 1 ? '' : 's'} waiting to sync`
+    : 'Offline';
+
+  const handleDiscard = async (item) => {
+    if (!window.confirm(`Discard this ${QUEUE_ITEM_LABELS[item.type]?.toLowerCase() || 'item'}? It will not be synced.`)) return;
+    try {
+      await discardQueued(item.id);
+    } catch (e) {
+      console.error('Failed to discard queued item', e);
+      alert('Could not discard the item.');
+    }
+  };
+
+  return (
+    <>
+      <Chip
+        icon={online ? <CloudSyncRoundedIcon /> : <CloudOffRoundedIcon />}
+        label={syncing ? 'Syncing…' : label}
+        onClick={count ? (e) => setAnchorEl(e.currentTarget) : undefined}
+        sx={{
+          mr: 1,
+          color: '#fff',
+          bgcolor: online ? 'rgba(144,202,249,0.18)' : 'rgba(255,167,38,0.22)',
+          '& .MuiChip-icon': { color: online ? '#90caf9' : '#ffa726' },
+        }}
+      />
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <Box sx={{ px: 2, py: 1, maxWidth: 320 }}>
+          <Typography variant="body2" color="text.secondary">
+            {online
+              ? 'Saved on this device and uploading now.'
+              : "Saved on this device. They'll sync when you're back online."}
+          </Typography>
+        </Box>
+        <Divider />
+        {items.map((item) => (
+          <MenuItem key={item.id} disableRipple sx={{ gap: 1, cursor: 'default' }}>
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              <Typography variant="body2">
+                {QUEUE_ITEM_LABELS[item.type] || item.type}
+                {item.payload?.name ? ` · ${item.payload.name}` : ''}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" display="block">
+                {new Date(item.createdAt).toLocaleString()}
+              </Typography>
+              {item.lastError && (
+                <Typography variant="caption" sx={{ color: '#ef5350' }} display="block" noWrap title={item.lastError}>
+                  {item.lastError}
+                </Typography>
+              )}
+            </Box>
+            <Tooltip title="Discard">
+              <IconButton size="small" onClick={() => handleDiscard(item)}>
+                <DeleteOutlineRoundedIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem
+          disabled={!online || syncing}
+          onClick={() => {
+            setAnchorEl(null);
+            syncOfflineQueue();
+          }}
+        >
+          Sync now
+        </MenuItem>
+      </Menu>
+    </>
+  );
+}
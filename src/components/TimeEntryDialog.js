@@ -0,0 +1,196 @@
+// src/components/TimeEntryDialog.js
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { categoryMeta, categoryOf, TIME_CATEGORIES } from '../utils/timeCategories';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// <input type="datetime-local"> wants local "YYYY-MM-DDTHH:MM"
+const toLocalInput = (d) =>
+  d
+    ? `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`
+    : '';
+
+const fmtStamp = (ts) =>
+  ts?.toDate?.()?.toLocaleString(undefined, {
+    day: '2-digit',
+    month: '2-digit',
+    hour: 'numeric',
+    minute: '2-digit',
+  }) || '—';
+
+const describeBefore = (before = {}) => {
+  const start = before.start?.toDate?.();
+  const end = before.end?.toDate?.();
+  const hrs = typeof before.hours === 'number' ? `${Math.round(before.hours * 100) / 100} h` : '';
+  const cat = before.category ? ` · ${categoryMeta(before.category).label}` : '';
+  if (start && end) {
+    const t = (d) => d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    return `${t(start)} → ${t(end)}${hrs ? ` (${hrs})` : ''}${cat}`;
+  }
+  return `${hrs || '—'}${cat}`;
+};
+
+const ACTION_LABELS = {
+  edit: 'Edited',
+  delete: 'Deleted',
+  approve: 'Approved',
+  unapprove: 'Unapproved',
+};
+
+/**
+ * Edit a single time entry. Timer entries are edited by start/end time,
+ * manual entries by hours. Shows the entry's change history underneath;
+ * `readOnly` shows just the history (approved or someone else's entry).
+ */
+export default function TimeEntryDialog({ open, entry, userMap, readOnly = false, onClose, onSave }) {
+  const isTimed = !!(entry?.start && entry?.end);
+  const [hours, setHours] = useState('');
+  const [start, setStart] = useState('');
+  const [end, setEnd] = useState('');
+  const [category, setCategory] = useState(categoryOf(null));
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!entry) return;
+    setHours(typeof entry.hours === 'number' ? String(Math.round(entry.hours * 100) / 100) : '');
+    setStart(toLocalInput(entry.start?.toDate?.()));
+    setEnd(toLocalInput(entry.end?.toDate?.()));
+    setCategory(categoryOf(entry));
+    setNote('');
+    setError('');
+  }, [entry]);
+
+  const save = async () => {
+    setError('');
+    let patch;
+    if (isTimed) {
+      const s = new Date(start);
+      const e = new Date(end);
+      if (Number.isNaN(s.getTime()) || Number.isNaN(e.getTime())) {
+        setError('Enter a start and end time.');
+        return;
+      }
+      if (e <= s) {
+        setError('End must be after start.');
+        return;
+      }
+      patch = { start: s, end: e };
+    } else {
+      const h = parseFloat(hours);
+      if (!Number.isFinite(h) || h <= 0) {
+        setError('Enter the hours worked.');
+        return;
+      }
+      patch = { hours: h };
+    }
+
+    setSaving(true);
+    try {
+      await onSave({ ...patch, category, note: note.trim() });
+    } catch (err) {
+      console.error('Failed to save time entry', err);
+      setError(err.message || 'Save failed.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const history = Array.isArray(entry?.history) ? [...entry.history].reverse() : [];
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>{readOnly ? 'Time entry history' : 'Edit time entry'}</DialogTitle>
+      <DialogContent>
+        {!readOnly && (
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            {isTimed ? (
+              <>
+                <TextField
+                  label="Start"
+                  type="datetime-local"
+                  InputLabelProps={{ shrink: true }}
+                  value={start}
+                  onChange={(e) => setStart(e.target.value)}
+                />
+                <TextField
+                  label="End"
+                  type="datetime-local"
+                  InputLabelProps={{ shrink: true }}
+                  value={end}
+                  onChange={(e) => setEnd(e.target.value)}
+                />
+              </>
+            ) : (
+              <TextField
+                label="Hours"
+                type="number"
+                inputProps={{ step: '0.25', min: '0' }}
+                value={hours}
+                onChange={(e) => setHours(e.target.value)}
+              />
+            )}
+            <TextField
+              select
+              label="Category"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+            >
+              {TIME_CATEGORIES.map((c) => (
+                <MenuItem key={c.value} value={c.value}>
+                  {c.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Reason for change (optional)"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            {error && <Typography color="error">{error}</Typography>}
+          </Stack>
+        )}
+
+        {history.length > 0 && (
+          <Box sx={{ mt: 2 }}>
+            <Divider sx={{ mb: 1 }} />
+            <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+              History
+            </Typography>
+            <Stack spacing={0.5}>
+              {history.map((h, i) => (
+                <Typography key={i} variant="body2" sx={{ opacity: 0.85 }}>
+                  {fmtStamp(h.at)} · {ACTION_LABELS[h.action] || h.action} by{' '}
+                  {h.byName || userMap?.[h.by]?.shortName || h.by} · was {describeBefore(h.before)}
+                  {h.note ? ` — “${h.note}”` : ''}
+                </Typography>
+              ))}
+            </Stack>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{readOnly ? 'Close' : 'Cancel'}</Button>
+        {!readOnly && (
+          <Button variant="contained" onClick={save} disabled={saving}>
+            {saving ? 'Saving…' : 'Save'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
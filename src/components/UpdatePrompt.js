@@ -0,0 +1,44 @@
+// src/components/UpdatePrompt.js
+import React, { useEffect, useState } from 'react';
+import { Button, Snackbar } from '@mui/material';
+import { applyAppUpdate, subscribeToAppUpdate } from '../serviceWorkerRegistration';
+import { hasActiveUploads } from '../services/uploadManager';
+import { APP_VERSION } from '../version';
+
+/**
+ * "Update available" prompt, mounted once in App. Shown when a release
+ * with a new APP_VERSION has installed in the background; Reload switches
+ * to it. Until then the app keeps running the version it opened with.
+ */
+export default function UpdatePrompt() {
+  const [update, setUpdate] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => subscribeToAppUpdate(setUpdate), []);
+
+  // A rebuild without a version bump still installs, just quietly
+  if (!update || dismissed || update.version === APP_VERSION) return null;
+
+  const handleReload = () => {
+    if (hasActiveUploads() && !window.confirm('Uploads are still running. Reload now and stop them?')) return;
+    applyAppUpdate();
+  };
+
+  return (
+    <Snackbar
+      open
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      message={`Update available: ${update.version || 'a new version'} (you have ${APP_VERSION})`}
+      action={
+        <>
+          <Button color="primary" size="small" onClick={handleReload}>
+            Reload
+          </Button>
+          <Button size="small" onClick={() => setDismissed(true)} sx={{ color: 'rgba(255,255,255,0.7)' }}>
+            Later
+          </Button>
+        </>
+      }
+    />
+  );
+}
@@ -1,17 +1,124 @@
 // src/components/UploadOverlay.js
-import React from 'react';
-import { Backdrop, Box, CircularProgress, Typography } from '@mui/material';
+import React, { useEffect, useState } from 'react';
+import { Box, Button, IconButton, LinearProgress, Paper, Tooltip, Typography } from '@mui/material';
+import CloseRoundedIcon from '@mui/icons-material/CloseRounded';
+import ReplayRoundedIcon from '@mui/icons-material/ReplayRounded';
+import {
+  cancelUpload,
+  clearFinishedUploads,
+  retryUpload,
+  subscribeToUploads,
+} from '../services/uploadManager';
+
+const STATUS_TEXT = {
+  queued: 'Waiting…',
+  preparing: 'Preparing…',
+  retrying: 'Connection lost, retrying…',
+  saving: 'Saving…',
+  done: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const isFinished = (t) => ['done', 'error', 'cancelled'].includes(t.status);
+
+/**
+ * Per-file upload progress, mounted once in App. Uploads carry on while
+ * you move around the app; finished ones clear themselves, failed ones
+ * stay until retried or dismissed.
+ */
+export default function UploadOverlay() {
+  const [uploads, setUploads] = useState([]);
+
+  useEffect(() => subscribeToUploads(setUploads), []);
+
+  const allFinished = uploads.length > 0 && uploads.every(isFinished);
+  const anyFailed = uploads.some((t) => t.status === 'error');
+
+  useEffect(() => {
+    if (!allFinished || anyFailed) return undefined;
+    const timer = setTimeout(clearFinishedUploads, 4000);
+    return () => clearTimeout(timer);
+  }, [allFinished, anyFailed]);
+
+  if (!uploads.length) return null;
+
+  const remaining = uploads.filter((t) => !isFinished(t)).length;
 
-export default function UploadOverlay({ open, text = "Uploading… Please don’t exit the app." }) {
   return (
-    <Backdrop open={open} sx={{ zIndex: 2000, color: '#ffffffff' }}>
-      <Box sx={{ display: 'grid', justifyItems: 'center', gap: 1.5 }}>
-        <CircularProgress />
-        <Typography sx={{ fontWeight: 600 }}>{text}</Typography>
-        <Typography variant="body2" sx={{ opacity: 0.9 }}>
-          This window will close when upload is finished.
+    <Paper
+      elevation={8}
+      sx={{
+        position: 'fixed',
+        right: 16,
+        bottom: 16,
+        zIndex: 2100, // above page busy overlays
+        width: { xs: 'calc(100% - 32px)', sm: 360 },
+        maxHeight: '50vh',
+        overflowY: 'auto',
+        p: 1.5,
+        bgcolor: 'rgba(15,23,42,0.92)',
+        border: '1px solid rgba(255,255,255,0.12)',
+        backdropFilter: 'blur(8px)',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+        <Typography sx={{ fontWeight: 700, flexGrow: 1 }}>
+          {remaining ? `Uploading ${remaining} file${remaining === 1 ? '' : 's'}` : 'Uploads finished'}
         </Typography>
+        {uploads.some(isFinished) && (
+          <Button size="small" onClick={clearFinishedUploads} sx={{ color: 'rgba(255,255,255,0.8)' }}>
+            Clear
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'grid', gap: 1 }}>
+        {uploads.map((t) => {
+          const pct = t.total ? Math.round((t.bytes / t.total) * 100) : 0;
+          return (
+            <Box key={t.id}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography
+                  variant="body2"
+                  sx={{ flexGrow: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                  title={t.error || t.label}
+                >
+                  {t.label}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  sx={{ color: t.status === 'error' ? '#ef5350' : 'rgba(255,255,255,0.75)' }}
+                >
+                  {t.status === 'uploading' ? `${pct}%` : STATUS_TEXT[t.status]}
+                </Typography>
+                {t.status === 'error' && (
+                  <Tooltip title="Retry">
+                    <IconButton size="small" onClick={() => retryUpload(t.id)} sx={{ color: '#90caf9' }}>
+                      <ReplayRoundedIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {!isFinished(t) && t.status !== 'saving' && (
+                  <Tooltip title="Cancel">
+                    <IconButton size="small" onClick={() => cancelUpload(t.id)} sx={{ color: 'rgba(255,255,255,0.7)' }}>
+                      <CloseRoundedIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Box>
+              {!isFinished(t) && (
+                <LinearProgress
+                  variant={t.status === 'uploading' ? 'determinate' : 'indeterminate'}
+                  value={pct}
+                  color={t.status === 'retrying' ? 'warning' : 'primary'}
+                  sx={{ height: 4, borderRadius: 2 }}
+                />
+              )}
+            </Box>
+          );
+        })}
       </Box>
-    </Backdrop>
+    </Paper>
   );
 }
@@ -0,0 +1,283 @@
+// src/components/VariationsPanel.js
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Paper,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import SignatureCanvas from 'react-signature-canvas';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  approveVariation,
+  createVariation,
+  declineVariation,
+  subscribeToVariations,
+} from '../services/variationService';
+import { fmtMoney } from '../utils/costing';
+
+const STATUS = {
+  pending: { label: 'Awaiting signature', color: 'rgba(255,167,38,0.35)' },
+  approved: { label: 'Approved', color: 'rgba(76,175,80,0.4)' },
+  declined: { label: 'Declined', color: 'rgba(244,67,54,0.35)' },
+};
+
+const EMPTY_FORM = { description: '', extraHours: '', price: '', files: [] };
+
+/**
+ * Extra work found on site: record it with photos, then get the client to
+ * sign for it on the device (same pad as job sign-off). `onApproved` lets
+ * the page reload the job, whose allowedHours / quotedPrice just moved.
+ */
+export default function VariationsPanel({ jobId, actor, onApproved, onPreview }) {
+  const { isManager } = useAuth();
+  const [variations, setVariations] = useState([]);
+  const [addOpen, setAddOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [signing, setSigning] = useState(null); // variation being signed
+  const [sigPad, setSigPad] = useState(null);
+  const [signedName, setSignedName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!jobId) return undefined;
+    return subscribeToVariations(jobId, setVariations, (err) =>
+      console.error('Failed to load variations', err)
+    );
+  }, [jobId]);
+
+  const run = async (fn) => {
+    setError('');
+    setBusy(true);
+    try {
+      await fn();
+    } catch (err) {
+      console.error('Variation update failed', err);
+      setError(err.message || 'Something went wrong.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveVariation = () => {
+    if (!form.description.trim()) {
+      setError('Describe the extra work.');
+      return;
+    }
+    run(async () => {
+      await createVariation(jobId, { ...form, description: form.description.trim() }, actor);
+      setAddOpen(false);
+      setForm(EMPTY_FORM);
+    });
+  };
+
+  const openSign = (v) => {
+    setError('');
+    setSignedName('');
+    setSigning(v);
+  };
+
+  const approve = () => {
+    if (!sigPad || sigPad.isEmpty()) {
+      setError('The client needs to sign first.');
+      return;
+    }
+    run(async () => {
+      const dataUrl = sigPad.getTrimmedCanvas().toDataURL('image/png');
+      const signatureBlob = await (await fetch(dataUrl)).blob();
+      await approveVariation(jobId, signing.id, { signatureBlob, signedName: signedName.trim() }, actor);
+      setSigning(null);
+      onApproved?.();
+    });
+  };
+
+  const decline = (v) => {
+    if (!window.confirm('Mark this variation as declined by the client?')) return;
+    run(() => declineVariation(jobId, v.id, actor));
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 2 }}>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="h6">Variations</Typography>
+        <Button variant="outlined" onClick={() => setAddOpen(true)}>
+          Add Variation
+        </Button>
+      </Stack>
+      {error && !addOpen && !signing && (
+        <Typography color="error" sx={{ mb: 1 }}>
+          {error}
+        </Typography>
+      )}
+
+      <Box sx={{ display: 'grid', gap: 1 }}>
+        {variations.length === 0 && (
+          <Typography color="text.secondary">No variations on this job.</Typography>
+        )}
+        {variations.map((v) => {
+          const status = STATUS[v.status] || STATUS.pending;
+          return (
+            <Paper key={v.id} variant="outlined" sx={{ p: 1.25, bgcolor: 'rgba(255,255,255,0.02)' }}>
+              <Stack direction="row" spacing={1} alignItems="center" sx={{ flexWrap: 'wrap', rowGap: 1 }}>
+                <Chip size="small" label={status.label} sx={{ bgcolor: status.color, color: '#fff' }} />
+                {v.extraHours > 0 && <Chip size="small" variant="outlined" label={`+${v.extraHours} h`} />}
+                {v.price > 0 && <Chip size="small" variant="outlined" label={fmtMoney(v.price)} />}
+                <Typography variant="caption" sx={{ opacity: 0.7 }}>
+                  {v.createdByName ? `by ${v.createdByName}` : ''}
+                </Typography>
+              </Stack>
+              <Typography sx={{ mt: 0.75, whiteSpace: 'pre-line' }}>{v.description}</Typography>
+
+              {(v.photos || []).length > 0 && (
+                <Stack direction="row" spacing={1} sx={{ mt: 1, flexWrap: 'wrap', rowGap: 1 }}>
+                  {v.photos.map((p) => (
+                    <img
+                      key={p.url}
+                      src={p.url}
+                      alt="variation"
+                      onClick={() => onPreview?.(p.url)}
+                      style={{ width: 100, height: 72, objectFit: 'cover', borderRadius: 4, cursor: 'zoom-in' }}
+                    />
+                  ))}
+                </Stack>
+              )}
+
+              {v.status === 'approved' && v.signatureURL && (
+                <Stack direction="row" spacing={1} alignItems="center" sx={{ mt: 1 }}>
+                  <img
+                    src={v.signatureURL}
+                    alt="client signature"
+                    onClick={() => onPreview?.(v.signatureURL)}
+                    style={{ height: 48, background: '#fff', borderRadius: 4, cursor: 'zoom-in' }}
+                  />
+                  <Typography variant="body2">
+                    Signed{v.signedName ? ` by ${v.signedName}` : ''}
+                  </Typography>
+                </Stack>
+              )}
+
+              {v.status === 'pending' && (
+                <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+                  <Button size="small" variant="contained" onClick={() => openSign(v)} disabled={busy}>
+                    Get Client Signature
+                  </Button>
+                  {isManager && (
+                    <Button size="small" color="error" onClick={() => decline(v)} disabled={busy}>
+                      Mark Declined
+                    </Button>
+                  )}
+                </Stack>
+              )}
+            </Paper>
+          );
+        })}
+      </Box>
+
+      {/* Add variation */}
+      <Dialog open={addOpen} onClose={() => !busy && setAddOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Add variation</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              label="Extra work"
+              multiline
+              minRows={3}
+              value={form.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+            />
+            <Stack direction="row" spacing={2}>
+              <TextField
+                label="Extra hours"
+                type="number"
+                inputProps={{ min: 0, step: 0.25 }}
+                value={form.extraHours}
+                onChange={(e) => setForm((prev) => ({ ...prev, extraHours: e.target.value }))}
+              />
+              <TextField
+                label="Price (ex GST)"
+                type="number"
+                inputProps={{ min: 0, step: 0.01 }}
+                value={form.price}
+                onChange={(e) => setForm((prev) => ({ ...prev, price: e.target.value }))}
+              />
+            </Stack>
+            <Button variant="outlined" component="label">
+              {form.files.length ? `${form.files.length} photo(s) selected` : 'Add Photos'}
+              <input
+                hidden
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={(e) => setForm((prev) => ({ ...prev, files: Array.from(e.target.files || []) }))}
+              />
+            </Button>
+            {error && <Typography color="error">{error}</Typography>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAddOpen(false)} disabled={busy}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={saveVariation} disabled={busy}>
+            {busy ? 'Saving…' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Client approval */}
+      <Dialog open={!!signing} onClose={() => !busy && setSigning(null)}>
+        <DialogTitle>Client approval</DialogTitle>
+        <DialogContent>
+          {signing && (
+            <Box sx={{ mb: 1.5 }}>
+              <Typography sx={{ whiteSpace: 'pre-line' }}>{signing.description}</Typography>
+              <Typography variant="body2" sx={{ mt: 0.5, opacity: 0.85 }}>
+                {signing.extraHours > 0 ? `+${signing.extraHours} h` : ''}
+                {signing.extraHours > 0 && signing.price > 0 ? ' · ' : ''}
+                {signing.price > 0 ? `${fmtMoney(signing.price)} + GST` : ''}
+              </Typography>
+            </Box>
+          )}
+          <SignatureCanvas
+            penColor="black"
+            canvasProps={{
+              width: 360,
+              height: 160,
+              style: { border: '1px solid #ccc', background: '#fff' },
+            }}
+            ref={(r) => setSigPad(r)}
+          />
+          <TextField
+            label="Client name"
+            size="small"
+            fullWidth
+            value={signedName}
+            onChange={(e) => setSignedName(e.target.value)}
+            sx={{ mt: 1.5 }}
+          />
+          {error && (
+            <Typography color="error" sx={{ mt: 1 }}>
+              {error}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSigning(null)} disabled={busy}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={approve} disabled={busy}>
+            {busy ? 'Saving…' : 'Approve'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
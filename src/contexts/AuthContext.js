@@ -19,6 +19,7 @@ export function AuthProvider({ children }) {
   const [currentUser, setCurrentUser]     = useState(null);
   const [userProfile, setUserProfile]     = useState(null);
   const [loadingAuth, setLoadingAuth]     = useState(true);
+  const [loadingProfile, setLoadingProfile] = useState(true);
   const [userList, setUserList] = useState([]);
 
   function signup(email, password) {
@@ -52,13 +53,16 @@ export function AuthProvider({ children }) {
   useEffect(() => {
     if (!currentUser) {
       setUserProfile(null);
+      setLoadingProfile(false);
       return;
     }
+    setLoadingProfile(true);
     getDoc(doc(db, 'users', currentUser.uid))
       .then(snap => {
         if (snap.exists()) setUserProfile(snap.data());
       })
-      .catch(console.error);
+      .catch(console.error)
+      .finally(() => setLoadingProfile(false));
   }, [currentUser]);
 
   useEffect(() => {
@@ -77,6 +81,8 @@ export function AuthProvider({ children }) {
  const value = {
   currentUser,
   userProfile,
+  loadingProfile,
+  isManager: userProfile?.role === 'manager',
   userList,
   userMap,
   signup,
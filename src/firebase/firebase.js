@@ -1,7 +1,12 @@
 // src/firebase/firebase.js
 import { getApps, initializeApp } from 'firebase/app';
 import { getAuth } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import {
+  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from 'firebase/firestore';
 import { getStorage } from 'firebase/storage';
 
 const firebaseConfig = {
@@ -18,7 +23,25 @@ const app = getApps().length ? getApps()[0] : initializeApp(firebaseConfig);
 
 // No override; use the bucket from config
 export const auth = getAuth(app);
-export const db = getFirestore(app);
+
+// Firestore keeps what it has read in IndexedDB, so jobs open without
+// signal (see services/offlineCache).
+function createDb() {
+  try {
+    return initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
+  } catch {
+    // already initialised (hot reload)
+    return getFirestore(app);
+  }
+}
+export const db = createDb();
 export const storage = getStorage(app);
 
+// Cloud Functions base (override via REACT_APP_FUNCTIONS_BASE_URL if desired)
+export const FUNCTIONS_BASE =
+  process.env.REACT_APP_FUNCTIONS_BASE_URL ||
+  'https://australia-southeast1-install-scheduler.cloudfunctions.net';
+
 export default app;
@@ -1,9 +1,10 @@
 // src/hooks/useActiveTimers.js
-import { useEffect, useMemo, useRef, useState } from "react";
-import { collection, onSnapshot, query, where, orderBy, limit } from "firebase/firestore";
+import { useEffect, useMemo, useState } from "react";
+import { collectionGroup, onSnapshot, query, where } from "firebase/firestore";
 import { db } from "../firebase/firebase";
 
-function formatDuration(ms) {
+/** Elapsed time as HH:MM:SS. */
+export function formatDuration(ms) {
   const totalSec = Math.max(0, Math.floor(ms / 1000));
   const h = Math.floor(totalSec / 3600);
   const m = Math.floor((totalSec % 3600) / 60);
@@ -12,60 +13,43 @@ function formatDuration(ms) {
 }
 
 /**
- * Per-job listener that pulls *recent* timeEntries and treats
- * entries with missing `end` OR `end === null` as "running".
- * Collapses to one chip per user (earliest start), live-updating.
+ * One collection-group listener over every timeEntry with `end == null`
+ * (timers write `end: null` on start), grouped by parent job on the client.
+ * Optional `jobIds` only narrows what is returned; it never re-subscribes.
+ * Collapses to one chip per user (earliest start), then folds crew-timer
+ * members into one chip per crew ({ crewId, members }), live-updating.
  */
 export default function useActiveTimers(jobIds) {
   const [rawByJob, setRawByJob] = useState({});
   const [now, setNow] = useState(Date.now());
-  const unsubsRef = useRef({});
 
   useEffect(() => {
-    // cleanup previous
-    Object.values(unsubsRef.current).forEach((u) => u && u());
-    unsubsRef.current = {};
-
-    if (!jobIds || jobIds.length === 0) {
-      setRawByJob({});
-      return;
-    }
-
-    const fourteenDaysAgo = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000);
-    const local = {};
-
-    jobIds.forEach((jobId) => {
-      // Recent-window query to keep reads reasonable; adjust as needed
-      const qRef = query(
-        collection(db, "jobs", jobId, "timeEntries"),
-        where("start", ">=", fourteenDaysAgo),
-        orderBy("start", "desc"),
-        limit(50)
-      );
-
-      local[jobId] = onSnapshot(qRef, (snap) => {
-        const arr = [];
+    const qRef = query(collectionGroup(db, "timeEntries"), where("end", "==", null));
+    const unsub = onSnapshot(
+      qRef,
+      (snap) => {
+        const next = {};
         snap.forEach((doc) => {
+          const jobId = doc.ref.parent.parent?.id;
           const d = doc.data() || {};
           const start = d.start?.toDate?.();
-          // Treat missing end OR explicit null as running
-          const isRunning = !("end" in d) || d.end === null;
-          if (start && isRunning) {
-            arr.push({
-              id: doc.id,
-              userId: d.userId || "unknown",
-              userShortName: d.userShortName,
-              start,
-            });
-          }
+          if (!jobId || !start) return;
+          (next[jobId] = next[jobId] || []).push({
+            id: doc.id,
+            userId: d.userId || "unknown",
+            userShortName: d.userShortName,
+            crewId: d.crewId || null,
+            start,
+          });
         });
-        setRawByJob((prev) => ({ ...prev, [jobId]: arr }));
-      });
-    });
+        setRawByJob(next);
+      },
+      (err) => console.error("Failed to load active timers", err)
+    );
+    return () => unsub();
+  }, []);
 
-    unsubsRef.current = local;
-    return () => Object.values(local).forEach((u) => u && u());
-  }, [JSON.stringify(jobIds)]);
+  const wanted = useMemo(() => (jobIds ? new Set(jobIds) : null), [jobIds]);
 
   // live tick
   useEffect(() => {
@@ -77,13 +61,30 @@ export default function useActiveTimers(jobIds) {
   const byJob = useMemo(() => {
     const out = {};
     for (const [jobId, entries = []] of Object.entries(rawByJob)) {
+      if (wanted && !wanted.has(jobId)) continue;
       const perUser = new Map();
       for (const e of entries) {
         const k = e.userId || "unknown";
         const existing = perUser.get(k);
         if (!existing || e.start < existing.start) perUser.set(k, e);
       }
-      const list = Array.from(perUser.values())
+      const chips = [];
+      const crews = new Map();
+      for (const e of perUser.values()) {
+        if (!e.crewId) {
+          chips.push(e);
+          continue;
+        }
+        if (!crews.has(e.crewId)) {
+          const crew = { ...e, userId: `crew:${e.crewId}`, members: [] };
+          crews.set(e.crewId, crew);
+          chips.push(crew);
+        }
+        const crew = crews.get(e.crewId);
+        crew.members.push({ userId: e.userId, userShortName: e.userShortName });
+        if (e.start < crew.start) crew.start = e.start;
+      }
+      const list = chips
         .map((e) => {
           const elapsedMs = now - e.start.getTime();
           return { ...e, elapsedMs, formatted: formatDuration(elapsedMs) };
@@ -92,7 +93,7 @@ export default function useActiveTimers(jobIds) {
       out[jobId] = list;
     }
     return out;
-  }, [rawByJob, now]);
+  }, [rawByJob, wanted, now]);
 
   return { byJob };
 }
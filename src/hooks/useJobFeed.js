@@ -0,0 +1,141 @@
+// src/hooks/useJobFeed.js
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  subscribeToJobsBeforePage,
+  subscribeToJobsFrom,
+  subscribeToOpenJobsBefore,
+  subscribeToUnscheduledJobs,
+} from "../services/jobService";
+import { addDays, startOfDay } from "../utils/jobUtils";
+
+// Jobs installing from this many days ago onwards are always live
+const LIVE_WINDOW_DAYS = 30;
+// Older jobs are paged in this many at a time
+const HISTORY_PAGE_SIZE = 25;
+
+const toJobs = (snap) => snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }));
+
+/**
+ * Live job list for JobListPage.
+ * - recent + upcoming jobs, unscheduled jobs and older jobs that aren't
+ *   completed are always subscribed
+ * - older completed history is only subscribed while `includeHistory` is set, and
+ *   grows one page (one more listener) per loadMore()
+ */
+export default function useJobFeed({ includeHistory = false } = {}) {
+  const windowStart = useMemo(
+    () => addDays(startOfDay(new Date()), -LIVE_WINDOW_DAYS),
+    []
+  );
+
+  const [recent, setRecent] = useState([]);
+  const [unscheduled, setUnscheduled] = useState([]);
+  const [openOlder, setOpenOlder] = useState([]);
+  // One entry per open history page: { jobs, lastDoc, size }
+  const [pages, setPages] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const pageUnsubs = useRef([]);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+
+  useEffect(() => {
+    const onError = (e) => {
+      console.error("Failed to load jobs", e);
+      setLoading(false);
+    };
+    const unsubRecent = subscribeToJobsFrom(
+      windowStart,
+      (snap) => {
+        setRecent(toJobs(snap));
+        setLoading(false);
+      },
+      onError
+    );
+    const unsubUnscheduled = subscribeToUnscheduledJobs(
+      (snap) => setUnscheduled(toJobs(snap)),
+      onError
+    );
+    const unsubOpenOlder = subscribeToOpenJobsBefore(
+      windowStart,
+      (snap) => setOpenOlder(toJobs(snap)),
+      onError
+    );
+    return () => {
+      unsubRecent();
+      unsubUnscheduled();
+      unsubOpenOlder();
+    };
+  }, [windowStart]);
+
+  // Open the next page after the last one's final doc. A page's listener
+  // keeps it live; cursors aren't moved if its docs later change order.
+  const openPage = useCallback(
+    (afterDoc) => {
+      const index = pageUnsubs.current.length;
+      setLoadingMore(true);
+      pageUnsubs.current.push(
+        subscribeToJobsBeforePage(
+          windowStart,
+          HISTORY_PAGE_SIZE,
+          afterDoc,
+          (snap) => {
+            setPages((prev) => {
+              const next = [...prev];
+              next[index] = {
+                jobs: toJobs(snap),
+                lastDoc: snap.docs[snap.docs.length - 1] || null,
+                size: snap.size,
+              };
+              return next;
+            });
+            setLoadingMore(false);
+          },
+          (e) => {
+            console.error("Failed to load older jobs", e);
+            setLoadingMore(false);
+          }
+        )
+      );
+    },
+    [windowStart]
+  );
+
+  // History is only read while it's wanted: turning it on opens the first
+  // page, turning it off closes every page
+  useEffect(() => {
+    if (!includeHistory) return undefined;
+    openPage(null);
+    const unsubs = pageUnsubs.current;
+    return () => {
+      unsubs.forEach((unsub) => unsub());
+      unsubs.length = 0;
+      setPages([]);
+      setHasMore(true);
+      setLoadingMore(false);
+    };
+  }, [includeHistory, openPage]);
+
+  // A short last page means the start of history has been reached
+  useEffect(() => {
+    const last = pages[pages.length - 1];
+    if (last) setHasMore(last.size >= HISTORY_PAGE_SIZE);
+  }, [pages]);
+
+  const loadMore = useCallback(() => {
+    if (!includeHistory || loadingMore || !hasMore) return;
+    const last = pages[pages.length - 1];
+    // Wait for the open page's first snapshot before paging past it
+    if (!last || pages.length < pageUnsubs.current.length) return;
+    openPage(last.lastDoc);
+  }, [includeHistory, loadingMore, hasMore, pages, openPage]);
+
+  const jobs = useMemo(() => {
+    const byId = new Map();
+    const history = pages.flatMap((p) => p?.jobs || []);
+    for (const j of [...history, ...openOlder, ...unscheduled, ...recent]) byId.set(j.id, j);
+    return Array.from(byId.values());
+  }, [recent, unscheduled, openOlder, pages]);
+
+  return { jobs, loading, loadingMore, hasMore, loadMore };
+}
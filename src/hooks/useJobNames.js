@@ -0,0 +1,37 @@
+// src/hooks/useJobNames.js
+import { useEffect, useState } from 'react';
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+
+/**
+ * Client names for a set of job ids, fetched once per id and cached for the
+ * life of the component. Returns { [jobId]: name }.
+ */
+export default function useJobNames(jobIds) {
+  const [names, setNames] = useState({});
+
+  const key = [...new Set(jobIds || [])].sort().join(',');
+
+  useEffect(() => {
+    const missing = key ? key.split(',').filter((id) => !(id in names)) : [];
+    if (missing.length === 0) return;
+    let cancelled = false;
+    Promise.all(
+      missing.map(async (id) => {
+        try {
+          const snap = await getDoc(doc(db, 'jobs', id));
+          return [id, snap.exists() ? snap.data()?.clientName || 'Untitled' : 'Deleted job'];
+        } catch (e) {
+          return [id, 'job'];
+        }
+      })
+    ).then((pairs) => {
+      if (!cancelled) setNames((prev) => ({ ...prev, ...Object.fromEntries(pairs) }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [key, names]);
+
+  return names;
+}
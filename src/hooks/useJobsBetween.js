@@ -0,0 +1,61 @@
+// src/hooks/useJobsBetween.js
+import { useEffect, useMemo, useState } from 'react';
+import { subscribeToJobsInstalledBetween, subscribeToJobsRunningInto } from '../services/jobService';
+
+const toJobs = (snap) => snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }));
+
+/**
+ * Live jobs on any day from `from` up to (not including) `to`: those
+ * installing in the range plus multi-day jobs that started earlier and
+ * run into it. Completed jobs are included. Pass null to load nothing.
+ * Returns { jobs, loading }; `loading` is only set until the first result,
+ * so moving the range keeps showing the old jobs until the new ones arrive.
+ */
+export default function useJobsBetween(from, to) {
+  // Compare by time, so callers can pass freshly built Dates
+  const fromMs = from ? from.getTime() : null;
+  const toMs = to ? to.getTime() : null;
+
+  const [starting, setStarting] = useState([]);
+  const [running, setRunning] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (fromMs === null || toMs === null) {
+      setStarting([]);
+      setRunning([]);
+      setLoading(false);
+      return undefined;
+    }
+    const onError = (err) => {
+      console.error('Failed to load jobs', err);
+      setLoading(false);
+    };
+    const unsubStarting = subscribeToJobsInstalledBetween(
+      new Date(fromMs),
+      new Date(toMs),
+      (snap) => {
+        setStarting(toJobs(snap));
+        setLoading(false);
+      },
+      onError
+    );
+    const unsubRunning = subscribeToJobsRunningInto(
+      new Date(fromMs),
+      (snap) => setRunning(toJobs(snap)),
+      onError
+    );
+    return () => {
+      unsubStarting();
+      unsubRunning();
+    };
+  }, [fromMs, toMs]);
+
+  const jobs = useMemo(() => {
+    const byId = new Map();
+    for (const j of [...running, ...starting]) byId.set(j.id, j);
+    return Array.from(byId.values());
+  }, [starting, running]);
+
+  return { jobs, loading };
+}
@@ -0,0 +1,12 @@
+// src/hooks/useOfflineQueue.js
+import { useEffect, useState } from 'react';
+import { subscribeToOfflineQueue } from '../services/offlineQueue';
+
+/** The device's offline outbox: { items, syncing, online }. */
+export default function useOfflineQueue() {
+  const [queue, setQueue] = useState({ items: [], syncing: false, online: true });
+
+  useEffect(() => subscribeToOfflineQueue(setQueue), []);
+
+  return queue;
+}
@@ -0,0 +1,70 @@
+// src/hooks/useRunningTimers.js
+import { useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { subscribeToRunningTimers } from '../services/timerService';
+import useJobNames from './useJobNames';
+import useOfflineQueue from './useOfflineQueue';
+
+/**
+ * The signed-in user's open timers, live from Firestore, plus any started
+ * offline that haven't synced yet (`pending: true`). Timers with a queued
+ * stop are left out. Each timer carries `jobName` (client name) once the
+ * job doc has loaded.
+ */
+export default function useRunningTimers() {
+  const { currentUser } = useAuth();
+  const uid = currentUser?.uid;
+
+  const [timers, setTimers] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!uid) {
+      setTimers([]);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    const unsub = subscribeToRunningTimers(
+      uid,
+      (list) => {
+        setTimers(list);
+        setLoading(false);
+      },
+      (err) => {
+        console.error('Failed to load running timers', err);
+        setLoading(false);
+      }
+    );
+    return () => unsub();
+  }, [uid]);
+
+  const { items: queued } = useOfflineQueue();
+  const merged = useMemo(() => {
+    const stopped = new Set(queued.filter((i) => i.type === 'timerStop').map((i) => i.payload.entryId));
+    const pending = queued
+      .filter((i) => i.type === 'timerStart' && i.payload.uid === uid)
+      .map((i) => ({
+        id: i.payload.id,
+        jobId: i.jobId,
+        userId: uid,
+        userShortName: i.payload.shortName,
+        category: i.payload.category,
+        start: new Date(i.payload.start),
+        end: null,
+        pending: true,
+      }));
+    const ids = new Set(timers.map((t) => t.id));
+    return [...timers, ...pending.filter((t) => !ids.has(t.id))].filter((t) => !stopped.has(t.id));
+  }, [timers, queued, uid]);
+
+  // Client names for the banner
+  const jobNames = useJobNames(merged.map((t) => t.jobId));
+
+  const withNames = useMemo(
+    () => merged.map((t) => ({ ...t, jobName: jobNames[t.jobId] })),
+    [merged, jobNames]
+  );
+
+  return { timers: withNames, loading };
+}
@@ -0,0 +1,30 @@
+// src/hooks/useScheduleConflicts.js
+import { useMemo } from 'react';
+import { SCHEDULING_DEFAULTS } from '../services/settingsService';
+import { addDays, isCompleted, jobDayRange } from '../utils/jobUtils';
+import { buildBookingIndex, findConflicts } from '../utils/scheduleConflicts';
+import useJobsBetween from './useJobsBetween';
+import useSettings from './useSettings';
+
+/**
+ * Live double-booking check for a job being created or edited.
+ * `draft` uses the same fields as a job doc (dates may be JS Dates);
+ * pass `id` when editing so the job isn't compared with itself.
+ * Only open jobs on the draft's days are read.
+ */
+export default function useScheduleConflicts(draft) {
+  const settings = useSettings('scheduling', SCHEDULING_DEFAULTS);
+
+  const range = jobDayRange(draft);
+  const { jobs: onDays } = useJobsBetween(range?.start || null, range ? addDays(range.end, 1) : null);
+  const jobs = useMemo(() => onDays.filter((j) => !isCompleted(j)), [onDays]);
+
+  const index = useMemo(() => buildBookingIndex(jobs, settings), [jobs, settings]);
+
+  const conflicts = useMemo(
+    () => (draft ? findConflicts({ id: '__draft__', ...draft }, index, settings) : []),
+    [draft, index, settings]
+  );
+
+  return { conflicts, settings };
+}
@@ -0,0 +1,17 @@
+// src/hooks/useSettings.js
+import { useEffect, useState } from 'react';
+import { subscribeToSettings } from '../services/settingsService';
+
+/** Live settings/{section} doc merged over `defaults`. */
+export default function useSettings(section, defaults) {
+  const [settings, setSettings] = useState(defaults);
+
+  useEffect(() => {
+    const unsub = subscribeToSettings(section, defaults, setSettings);
+    return () => unsub();
+    // defaults are module constants; re-subscribing on identity change is not wanted
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [section]);
+
+  return settings;
+}
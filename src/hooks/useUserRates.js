@@ -0,0 +1,22 @@
+// src/hooks/useUserRates.js
+import { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { ROLE_RATE_DEFAULTS, subscribeToUserRates } from '../services/userRateService';
+
+const EMPTY = { rates: {}, roleRates: ROLE_RATE_DEFAULTS };
+
+/** Live { rates: { uid: costRate }, roleRates }; always empty for staff, who can't read rates. */
+export default function useUserRates() {
+  const { isManager } = useAuth();
+  const [value, setValue] = useState(EMPTY);
+
+  useEffect(() => {
+    if (!isManager) {
+      setValue(EMPTY);
+      return undefined;
+    }
+    return subscribeToUserRates(setValue, (err) => console.error('Failed to load cost rates', err));
+  }, [isManager]);
+
+  return value;
+}
@@ -6,6 +6,7 @@ import { AuthProvider } from './contexts/AuthContext';
 import { ThemeProvider, CssBaseline } from '@mui/material';
 import './index.css'; // keep your global CSS (optional but recommended)
 import theme from './theme';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const MIN_SPLASH_MS = 700; // 👈 adjust this to taste (e.g., 500–1000ms)
 const startAt = performance.now();
@@ -44,3 +45,6 @@ root.render(
 
 // Ensure we wait at least one frame, then apply min delay logic
 requestAnimationFrame(removeSplashWithDelay);
+
+// Offline app shell + update prompt (production builds only)
+serviceWorkerRegistration.register();
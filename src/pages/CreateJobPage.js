@@ -25,9 +25,12 @@ import {
   updateDoc,
   getDocs,
 } from 'firebase/firestore';
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { db, storage } from '../firebase/firebase';
+import { uploadPhoto } from '../services/uploadService';
+import { countFailedUploads } from '../services/uploadManager';
+import { db } from '../firebase/firebase';
 import { useAuth } from '../contexts/AuthContext';
+import useScheduleConflicts from '../hooks/useScheduleConflicts';
+import ConflictWarning from '../components/ConflictWarning';
 
 function BusyOverlay({ open, text }) {
   return (
@@ -74,7 +77,6 @@ export default function CreateJobPage() {
 
   // Busy overlay
   const [saving, setSaving] = useState(false);
-  const [uploadingAssets, setUploadingAssets] = useState(false);
 
   // User loading (fallback if userMap is empty)
   const [fetchedUsers, setFetchedUsers] = useState([]);
@@ -170,6 +172,24 @@ export default function CreateJobPage() {
     return Number.isFinite(dt.getTime()) ? Timestamp.fromDate(dt) : null;
   };
 
+  // Same shape as the saved job so the conflict checker can read it
+  const draftSchedule = useMemo(() => {
+    if (!installDate) return null;
+    const start = new Date(`${installDate}T${installTime || '00:00'}:00`);
+    const end = new Date(`${(isMultiDay && endDate) || installDate}T00:00:00`);
+    return {
+      installDate: start,
+      installTime: installTime || null,
+      startDate: new Date(`${installDate}T00:00:00`),
+      endDate: end,
+      isMultiDay,
+      assignedTo,
+      allowedHours: allowedHours ? Number(allowedHours) : null,
+    };
+  }, [installDate, endDate, installTime, isMultiDay, assignedTo, allowedHours]);
+
+  const { conflicts, settings: schedulingSettings } = useScheduleConflicts(draftSchedule);
+
   const handleCreate = async () => {
     // Simple validation for multi-day range
     if (isMultiDay && endDate && installDate && endDate < installDate) {
@@ -177,6 +197,13 @@ export default function CreateJobPage() {
       return;
     }
 
+    if (
+      conflicts.length &&
+      !window.confirm('Some installers are already booked at this time. Create the job anyway?')
+    ) {
+      return;
+    }
+
     try {
       setSaving(true);
 
@@ -225,54 +252,55 @@ export default function CreateJobPage() {
 
       const jobRef = await addDoc(collection(db, 'jobs'), payload);
 
-      // Upload assets after doc creation (and write companyLogoUrl to job doc)
-      try {
-        setUploadingAssets(true);
-
-        if (logoFile) {
-          const r = ref(
-            storage,
-            `jobs/${jobRef.id}/logo_${Date.now()}_${logoFile.name}`
-          );
-          await uploadBytes(r, logoFile);
-          const logoUrl = await getDownloadURL(r);
-          // persist on job so it shows immediately on detail & list
-          await updateDoc(doc(db, 'jobs', jobRef.id), {
-            companyLogoUrl: logoUrl,
-            updatedAt: serverTimestamp(),
-          });
-        }
-
-        for (const f of refPhotoFiles) {
-          const r = ref(
-            storage,
-            `jobs/${jobRef.id}/reference/${Date.now()}_${f.name}`
-          );
-          await uploadBytes(r, f);
-          const url = await getDownloadURL(r);
-          await addDoc(collection(db, 'jobs', jobRef.id, 'referencePhotos'), {
-            url,
-            fileName: f.name,
-            createdAt: serverTimestamp(),
-          });
-        }
-
-        for (const f of planFiles) {
-          const r = ref(
-            storage,
-            `jobs/${jobRef.id}/plans/${Date.now()}_${f.name}`
-          );
-          await uploadBytes(r, f);
-          const url = await getDownloadURL(r);
-          await addDoc(collection(db, 'jobs', jobRef.id, 'plans'), {
-            url,
-            fileName: f.name,
-            createdAt: serverTimestamp(),
-          });
-        }
-      } finally {
-        setUploadingAssets(false);
+      // Upload assets after doc creation. They carry on in the background
+      // (progress in UploadOverlay) and each one is recorded as it lands.
+      const id = jobRef.id;
+      const uploads = [];
+      if (logoFile) {
+        uploads.push(
+          uploadPhoto(`jobs/${id}/logo`, logoFile, {
+            maxDim: 1024,
+            // persist on job so it shows immediately on detail & list
+            onUploaded: ({ url }) =>
+              updateDoc(doc(db, 'jobs', id), { companyLogoUrl: url, updatedAt: serverTimestamp() }),
+          })
+        );
       }
+      for (const f of refPhotoFiles) {
+        uploads.push(
+          uploadPhoto(`jobs/${id}/reference`, f, {
+            onUploaded: ({ url, path }) =>
+              addDoc(collection(db, 'jobs', id, 'referencePhotos'), {
+                url,
+                path,
+                fileName: f.name,
+                createdAt: serverTimestamp(),
+              }),
+          })
+        );
+      }
+      for (const f of planFiles) {
+        uploads.push(
+          uploadPhoto(`jobs/${id}/plans`, f, {
+            // Plans are drawings people zoom into, so keep the full-size file too
+            keepOriginal: true,
+            onUploaded: ({ url, path, originalUrl }) =>
+              addDoc(collection(db, 'jobs', id, 'plans'), {
+                url,
+                path,
+                fileName: f.name,
+                ...(originalUrl ? { originalUrl } : {}),
+                createdAt: serverTimestamp(),
+              }),
+          })
+        );
+      }
+      Promise.allSettled(uploads).then((results) => {
+        const failed = countFailedUploads(results);
+        if (failed) {
+          alert(`${failed} file(s) for ${clientName} failed to upload. You can retry them from the uploads panel.`);
+        }
+      });
 
       history.push('/');
     } catch (err) {
@@ -285,10 +313,7 @@ export default function CreateJobPage() {
 
   return (
     <Box sx={{ p: 2, maxWidth: 1100, mx: 'auto' }}>
-      <BusyOverlay
-        open={saving || uploadingAssets}
-        text={uploadingAssets ? 'Uploading files…' : 'Saving…'}
-      />
+      <BusyOverlay open={saving} text="Saving…" />
 
       <Paper sx={{ p: { xs: 2, md: 3 } }}>
         <Typography variant="h5" sx={{ mb: 2, fontWeight: 700 }}>
@@ -519,6 +544,11 @@ export default function CreateJobPage() {
           </Grid>
         </Grid>
 
+        <ConflictWarning
+          conflicts={conflicts}
+          bufferMinutes={schedulingSettings.travelBufferMinutes}
+        />
+
         <Divider sx={{ my: 2 }} />
 
         {/* UPLOADS */}
@@ -599,7 +629,7 @@ export default function CreateJobPage() {
           <Button
             variant="contained"
             onClick={handleCreate}
-            disabled={saving || uploadingAssets}
+            disabled={saving}
           >
             Create
           </Button>
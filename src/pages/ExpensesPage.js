@@ -0,0 +1,251 @@
+// src/pages/ExpensesPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  Link,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import ReceiptLongRoundedIcon from '@mui/icons-material/ReceiptLongRounded';
+import { useAuth } from '../contexts/AuthContext';
+import { FUNCTIONS_BASE } from '../firebase/firebase';
+import useJobNames from '../hooks/useJobNames';
+import { reviewExpense, subscribeToExpensesBetween } from '../services/expenseService';
+import { dayKey, toJSDate } from '../utils/jobUtils';
+import { fmtMoney } from '../utils/costing';
+import { EXPENSE_STATUS, expenseCategoryLabel, expenseExGst } from '../utils/expenses';
+
+const cellSx = { color: '#fff', borderColor: 'rgba(255,255,255,0.08)' };
+
+const FILTERS = [
+  { value: 'pending', label: 'To review' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'all', label: 'All' },
+];
+
+const monthKey = (d) => dayKey(d).slice(0, 7);
+
+/**
+ * Manager-only expenses for a month across all jobs: review what's been
+ * submitted and download the month as CSV (built by exportExpenses).
+ */
+export default function ExpensesPage() {
+  const { currentUser, isManager, userMap } = useAuth();
+  const [month, setMonth] = useState(monthKey(new Date()));
+  const [filter, setFilter] = useState('pending');
+  const [expenses, setExpenses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isManager || !/^\d{4}-\d{2}$/.test(month)) return undefined;
+    const [y, m] = month.split('-').map(Number);
+    setLoading(true);
+    return subscribeToExpensesBetween(
+      new Date(y, m - 1, 1),
+      new Date(y, m, 1),
+      (list) => {
+        setExpenses(list);
+        setLoading(false);
+      },
+      (err) => {
+        console.error('Failed to load expenses', err);
+        setError(err.message || 'Failed to load expenses.');
+        setLoading(false);
+      }
+    );
+  }, [isManager, month]);
+
+  const jobNames = useJobNames(useMemo(() => expenses.map((e) => e.jobId), [expenses]));
+
+  const countFor = (value) =>
+    value === 'all' ? expenses.length : expenses.filter((e) => (e.status || 'pending') === value).length;
+  const shown =
+    filter === 'all' ? expenses : expenses.filter((e) => (e.status || 'pending') === filter);
+  const shownExGst = shown.reduce((s, e) => s + expenseExGst(e), 0);
+
+  const actor = {
+    uid: currentUser?.uid,
+    name: userMap?.[currentUser?.uid || '']?.shortName || currentUser?.email || '',
+  };
+
+  const review = async (expense, status) => {
+    try {
+      await reviewExpense(expense.jobId, expense.id, status, actor);
+    } catch (err) {
+      console.error('Failed to review expense', err);
+      alert('Could not update the expense. Please try again.');
+    }
+  };
+
+  const download = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const token = await currentUser.getIdToken();
+      const status = filter === 'all' ? 'all' : 'approved';
+      const params = new URLSearchParams({ month, status });
+      const res = await fetch(`${FUNCTIONS_BASE}/exportExpenses?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) throw new Error(await res.text());
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `expenses_${month}${status === 'all' ? '_all' : ''}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Expense export failed', err);
+      setError(err.message || 'Export failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isManager) {
+    return (
+      <Box p={3}>
+        <Typography color="error">Access denied.</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 1200, mx: 'auto' }}>
+      <Typography variant="h4" gutterBottom>
+        Expenses
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        Receipts submitted against jobs. Approved expenses count towards job cost (ex GST). The CSV
+        holds approved expenses for the month, or everything when "All" is selected.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          label="Month"
+          type="month"
+          InputLabelProps={{ shrink: true }}
+          value={month}
+          onChange={(e) => setMonth(e.target.value)}
+        />
+        <Button variant="contained" onClick={download} disabled={busy || !month}>
+          {busy ? 'Working…' : 'Download CSV'}
+        </Button>
+        {loading && <Typography variant="body2">Loading…</Typography>}
+      </Paper>
+
+      {error && (
+        <Typography color="error" sx={{ mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+
+      <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap', rowGap: 1 }} alignItems="center">
+        {FILTERS.map((f) => (
+          <Chip
+            key={f.value}
+            label={`${f.label} (${countFor(f.value)})`}
+            onClick={() => setFilter(f.value)}
+            variant={filter === f.value ? 'filled' : 'outlined'}
+            sx={{ color: '#fff' }}
+          />
+        ))}
+        <Box sx={{ flexGrow: 1 }} />
+        <Typography sx={{ fontWeight: 700 }}>Ex GST: {fmtMoney(shownExGst)}</Typography>
+      </Stack>
+
+      <TableContainer
+        component={Paper}
+        sx={{ bgcolor: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.10)' }}
+      >
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Date</TableCell>
+              <TableCell sx={cellSx}>Job</TableCell>
+              <TableCell sx={cellSx}>Installer</TableCell>
+              <TableCell sx={cellSx}>Category</TableCell>
+              <TableCell sx={cellSx}>Supplier</TableCell>
+              <TableCell sx={cellSx} align="right">Amount</TableCell>
+              <TableCell sx={cellSx} align="right">Ex GST</TableCell>
+              <TableCell sx={cellSx}>Status</TableCell>
+              <TableCell sx={cellSx} />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {shown.map((e) => {
+              const status = EXPENSE_STATUS[e.status] || EXPENSE_STATUS.pending;
+              return (
+                <TableRow key={`${e.jobId}/${e.id}`}>
+                  <TableCell sx={cellSx}>{dayKey(toJSDate(e.date) || new Date())}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <Link component={RouterLink} to={`/jobs/${e.jobId}`} sx={{ color: '#90caf9' }}>
+                      {jobNames[e.jobId] || 'job'}
+                    </Link>
+                  </TableCell>
+                  <TableCell sx={cellSx}>{e.userShortName || '—'}</TableCell>
+                  <TableCell sx={cellSx}>{expenseCategoryLabel(e.category)}</TableCell>
+                  <TableCell sx={cellSx}>{e.supplier || '—'}</TableCell>
+                  <TableCell sx={cellSx} align="right">{fmtMoney(e.amount || 0)}</TableCell>
+                  <TableCell sx={cellSx} align="right">{fmtMoney(expenseExGst(e))}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <Chip size="small" label={status.label} sx={{ bgcolor: status.color, color: '#fff' }} />
+                  </TableCell>
+                  <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }} align="right">
+                    {e.receiptURL && (
+                      <IconButton
+                        size="small"
+                        href={e.receiptURL}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        sx={{ color: '#90caf9' }}
+                        title="View receipt"
+                      >
+                        <ReceiptLongRoundedIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                    {e.status !== 'approved' && (
+                      <Button size="small" color="success" onClick={() => review(e, 'approved')}>
+                        Approve
+                      </Button>
+                    )}
+                    {e.status !== 'rejected' && (
+                      <Button size="small" color="error" onClick={() => review(e, 'rejected')}>
+                        Reject
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+            {!loading && shown.length === 0 && (
+              <TableRow>
+                <TableCell sx={cellSx} colSpan={9}>
+                  Nothing here.
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
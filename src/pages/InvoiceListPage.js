@@ -0,0 +1,146 @@
+// src/pages/InvoiceListPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { useHistory } from 'react-router-dom';
+import {
+  Box,
+  Chip,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import { subscribeToInvoices } from '../services/invoiceService';
+import { dayKey, toJSDate } from '../utils/jobUtils';
+import { fmtMoney } from '../utils/costing';
+import { INVOICE_STATES, invoiceState } from '../utils/invoices';
+
+const cellSx = { color: '#fff', borderColor: 'rgba(255,255,255,0.08)' };
+
+const FILTERS = [
+  { value: 'outstanding', label: 'Outstanding', match: (s) => s !== 'paid' },
+  { value: 'overdue', label: 'Overdue', match: (s) => s === 'overdue' },
+  { value: 'paid', label: 'Paid', match: (s) => s === 'paid' },
+  { value: 'all', label: 'All', match: () => true },
+];
+
+/** Manager-only invoice list; opens on what's still owed. */
+export default function InvoiceListPage() {
+  const { isManager } = useAuth();
+  const history = useHistory();
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('outstanding');
+
+  useEffect(() => {
+    if (!isManager) return undefined;
+    return subscribeToInvoices(
+      (list) => {
+        setInvoices(list);
+        setLoading(false);
+      },
+      (err) => {
+        console.error('Failed to load invoices', err);
+        setLoading(false);
+      }
+    );
+  }, [isManager]);
+
+  const withState = useMemo(() => {
+    const now = new Date();
+    return invoices.map((inv) => ({ inv, state: invoiceState(inv, now) }));
+  }, [invoices]);
+
+  const active = FILTERS.find((f) => f.value === filter) || FILTERS[0];
+  const shown = withState.filter(({ state }) => active.match(state));
+  const shownTotal = shown.reduce((s, { inv }) => s + (Number(inv.total) || 0), 0);
+
+  if (!isManager) {
+    return (
+      <Box p={3}>
+        <Typography color="error">Access denied.</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 1100, mx: 'auto' }}>
+      <Typography variant="h4" gutterBottom>
+        Invoices
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        Invoices are raised automatically when a job is marked completed.
+      </Typography>
+
+      <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap', rowGap: 1 }} alignItems="center">
+        {FILTERS.map((f) => (
+          <Chip
+            key={f.value}
+            label={`${f.label} (${withState.filter(({ state }) => f.match(state)).length})`}
+            onClick={() => setFilter(f.value)}
+            variant={filter === f.value ? 'filled' : 'outlined'}
+            sx={{ color: '#fff' }}
+          />
+        ))}
+        <Box sx={{ flexGrow: 1 }} />
+        <Typography sx={{ fontWeight: 700 }}>
+          {active.label}: {fmtMoney(shownTotal)}
+        </Typography>
+      </Stack>
+
+      <TableContainer
+        component={Paper}
+        sx={{ bgcolor: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.10)' }}
+      >
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Number</TableCell>
+              <TableCell sx={cellSx}>Client</TableCell>
+              <TableCell sx={cellSx}>Issued</TableCell>
+              <TableCell sx={cellSx}>Due</TableCell>
+              <TableCell sx={cellSx}>Status</TableCell>
+              <TableCell sx={cellSx} align="right">Total (inc GST)</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {shown.map(({ inv, state }) => {
+              const meta = INVOICE_STATES[state];
+              const issued = toJSDate(inv.issuedAt);
+              const due = toJSDate(inv.dueDate);
+              return (
+                <TableRow
+                  key={inv.id}
+                  hover
+                  sx={{ cursor: 'pointer' }}
+                  onClick={() => history.push(`/invoices/${inv.id}`)}
+                >
+                  <TableCell sx={cellSx}>{inv.number || '—'}</TableCell>
+                  <TableCell sx={cellSx}>{inv.clientName || inv.company || '—'}</TableCell>
+                  <TableCell sx={cellSx}>{issued ? dayKey(issued) : '—'}</TableCell>
+                  <TableCell sx={cellSx}>{due ? dayKey(due) : '—'}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <Chip size="small" label={meta.label} sx={{ bgcolor: meta.color, color: '#fff' }} />
+                  </TableCell>
+                  <TableCell sx={cellSx} align="right">{fmtMoney(inv.total || 0)}</TableCell>
+                </TableRow>
+              );
+            })}
+            {!loading && shown.length === 0 && (
+              <TableRow>
+                <TableCell sx={cellSx} colSpan={6}>
+                  Nothing here.
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
@@ -0,0 +1,259 @@
+// src/pages/InvoicePage.js
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useHistory, useParams } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Paper,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import PictureAsPdfRoundedIcon from '@mui/icons-material/PictureAsPdfRounded';
+import { useAuth } from '../contexts/AuthContext';
+import useSettings from '../hooks/useSettings';
+import { QUOTE_DEFAULTS } from '../services/settingsService';
+import { getInvoice, saveInvoice, setInvoicePaid } from '../services/invoiceService';
+import { dayKey, toJSDate } from '../utils/jobUtils';
+import { fmtMoney } from '../utils/costing';
+import { lineItemTotals } from '../utils/quotes';
+import { INVOICE_STATES, invoiceState } from '../utils/invoices';
+import generateLineItemPDF from '../utils/lineItemPdf';
+import LineItemsEditor from '../components/LineItemsEditor';
+
+const parseDay = (key) => {
+  if (!key) return null;
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/** Manager-only invoice view: adjust lines while unpaid, PDF, mark paid. */
+export default function InvoicePage() {
+  const { invoiceId } = useParams();
+  const history = useHistory();
+  const { currentUser, isManager } = useAuth();
+  const { businessName } = useSettings('quotes', QUOTE_DEFAULTS);
+
+  const [invoice, setInvoice] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [taxRate, setTaxRate] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    const inv = await getInvoice(invoiceId);
+    setInvoice(inv);
+    if (!inv) return;
+    setLines(inv.lines || []);
+    setTaxRate(String(inv.taxRate ?? ''));
+    const due = toJSDate(inv.dueDate);
+    setDueDate(due ? dayKey(due) : '');
+  }, [invoiceId]);
+
+  useEffect(() => {
+    load()
+      .catch((err) => {
+        console.error('Failed to load invoice', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [load]);
+
+  const totals = useMemo(() => lineItemTotals(lines, taxRate), [lines, taxRate]);
+  const paid = invoice?.status === 'paid';
+
+  const cleanLines = () =>
+    lines
+      .filter((l) => l.description.trim() || Number(l.unitPrice))
+      .map((l) => ({
+        id: l.id,
+        type: l.type,
+        description: l.description.trim(),
+        qty: Number(l.qty) || 0,
+        unitPrice: Number(l.unitPrice) || 0,
+      }));
+
+  const run = async (fn) => {
+    setError('');
+    setBusy(true);
+    try {
+      await fn();
+      await load();
+    } catch (err) {
+      console.error('Invoice action failed', err);
+      setError(err.message || 'Something went wrong.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () =>
+    run(() =>
+      saveInvoice(invoiceId, {
+        lines: cleanLines(),
+        taxRate: Number(taxRate) || 0,
+        dueDate: parseDay(dueDate),
+        finalise: invoice.status === 'draft',
+      })
+    );
+
+  const togglePaid = () => {
+    if (!paid && !window.confirm(`Mark ${invoice.number} as paid?`)) return;
+    run(() => setInvoicePaid(invoiceId, !paid, currentUser?.uid));
+  };
+
+  const downloadPdf = () => {
+    const clean = cleanLines();
+    generateLineItemPDF({
+      title: 'TAX INVOICE',
+      businessName,
+      meta: [
+        ['Invoice', invoice.number],
+        ['Date', dayKey(toJSDate(invoice.issuedAt) || new Date())],
+        ['Due', dueDate],
+      ],
+      client: invoice,
+      lines: clean,
+      totals: lineItemTotals(clean, taxRate),
+      taxRate: Number(taxRate) || 0,
+      notes: paid ? 'PAID — thank you.' : '',
+      fileName: `Invoice_${invoice.number}.pdf`,
+    });
+  };
+
+  if (!isManager) {
+    return (
+      <Box p={3}>
+        <Typography color="error">Access denied.</Typography>
+      </Box>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Box textAlign="center" mt={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!invoice) {
+    return (
+      <Box p={3}>
+        <Typography>Invoice not found.</Typography>
+      </Box>
+    );
+  }
+
+  const state = INVOICE_STATES[invoiceState(invoice)];
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 1000, mx: 'auto' }}>
+      <Stack direction="row" alignItems="center" spacing={1.5} sx={{ mb: 2 }}>
+        <Typography variant="h4">Invoice {invoice.number}</Typography>
+        <Chip label={state.label} sx={{ bgcolor: state.color, color: '#fff' }} />
+        <Chip
+          label={invoice.basis === 'quote' ? 'From quote' : 'Actual hours & materials'}
+          variant="outlined"
+          sx={{ color: '#fff' }}
+        />
+      </Stack>
+      {error && (
+        <Typography color="error" sx={{ mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+      {invoice.status === 'draft' && (
+        <Paper sx={{ p: 2, mb: 2, border: '1px solid rgba(255,152,0,0.6)' }}>
+          <Typography sx={{ fontWeight: 700, color: '#ffb74d' }}>Draft: check before sending</Typography>
+          {(invoice.issues || []).map((issue) => (
+            <Typography key={issue} variant="body2">
+              {issue}
+            </Typography>
+          ))}
+          <Typography variant="body2" sx={{ opacity: 0.8, mt: 0.5 }}>
+            Fix the lines below and Save to issue it.
+          </Typography>
+        </Paper>
+      )}
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Typography sx={{ fontWeight: 700 }}>{invoice.clientName || '—'}</Typography>
+        {[invoice.company, invoice.contact, invoice.address, invoice.phone, invoice.email]
+          .filter(Boolean)
+          .map((line) => (
+            <Typography key={line} variant="body2">
+              {line}
+            </Typography>
+          ))}
+        <Typography variant="body2" sx={{ mt: 1, opacity: 0.8 }}>
+          Issued {dayKey(toJSDate(invoice.issuedAt) || new Date())}
+          {paid && toJSDate(invoice.paidAt) ? ` · Paid ${dayKey(toJSDate(invoice.paidAt))}` : ''}
+        </Typography>
+      </Paper>
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Typography variant="h6" sx={{ mb: 1 }}>
+          Line Items
+        </Typography>
+        <LineItemsEditor lines={lines} onChange={setLines} disabled={paid} />
+
+        <Stack direction="row" spacing={2} sx={{ mt: 2, flexWrap: 'wrap', rowGap: 1 }} alignItems="center">
+          <TextField
+            size="small"
+            label="GST %"
+            type="number"
+            disabled={paid}
+            value={taxRate}
+            onChange={(e) => setTaxRate(e.target.value)}
+            sx={{ width: 100 }}
+          />
+          <TextField
+            size="small"
+            label="Due date"
+            type="date"
+            InputLabelProps={{ shrink: true }}
+            disabled={paid}
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+          />
+          <Box sx={{ flexGrow: 1 }} />
+          <Box sx={{ textAlign: 'right' }}>
+            <Typography variant="body2">Subtotal: {fmtMoney(totals.subtotal)}</Typography>
+            <Typography variant="body2">GST: {fmtMoney(totals.tax)}</Typography>
+            <Typography sx={{ fontWeight: 700 }}>Total: {fmtMoney(totals.total)}</Typography>
+          </Box>
+        </Stack>
+      </Paper>
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+        {!paid && (
+          <Button variant="contained" onClick={save} disabled={busy}>
+            {busy ? 'Working…' : 'Save'}
+          </Button>
+        )}
+        <Button variant="outlined" startIcon={<PictureAsPdfRoundedIcon />} onClick={downloadPdf}>
+          Download PDF
+        </Button>
+        <Button
+          variant={paid ? 'outlined' : 'contained'}
+          color={paid ? 'inherit' : 'success'}
+          onClick={togglePaid}
+          disabled={busy}
+        >
+          {paid ? 'Mark Unpaid' : 'Mark Paid'}
+        </Button>
+        {invoice.jobId && (
+          <Button variant="outlined" onClick={() => history.push(`/jobs/${invoice.jobId}`)}>
+            Open Job
+          </Button>
+        )}
+        <Button onClick={() => history.push('/invoices')}>Back to Invoices</Button>
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,353 @@
+// src/pages/JobCalendarPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Switch,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import ChevronLeftRoundedIcon from '@mui/icons-material/ChevronLeftRounded';
+import ChevronRightRoundedIcon from '@mui/icons-material/ChevronRightRounded';
+import { useHistory } from 'react-router-dom';
+import { subscribeToStaffJobs, subscribeToUnscheduledJobs } from '../services/jobService';
+import { useAuth } from '../contexts/AuthContext';
+import useJobsBetween from '../hooks/useJobsBetween';
+import {
+  addDays,
+  dayKey,
+  isCompleted,
+  isScheduleVisible,
+  jobDayRange,
+  layoutDaySegments,
+  startOfDay,
+  startOfWeek,
+  toJSDate,
+} from '../utils/jobUtils';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const LANE_HEIGHT = 30;
+
+function barColors(job) {
+  if (isCompleted(job)) {
+    return { bg: 'rgba(158,158,158,0.25)', border: 'rgba(158,158,158,0.5)', color: '#e0e0e0' };
+  }
+  if (String(job.status || '').toLowerCase() === 'survey-request' || job.isSurveyRequest) {
+    return { bg: 'rgba(255,193,7,0.18)', border: 'rgba(255,193,7,0.5)', color: '#ffe082' };
+  }
+  return { bg: 'rgba(33,150,243,0.25)', border: 'rgba(33,150,243,0.55)', color: '#bbdefb' };
+}
+
+function JobBar({ segment, userMap, onOpen }) {
+  const { job, startsBefore, endsAfter } = segment;
+  const c = barColors(job);
+  const install = toJSDate(job.installDate);
+  const timeStr =
+    job.installTime && install && !startsBefore
+      ? install.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' })
+      : '';
+  const assigned = (Array.isArray(job.assignedTo) ? job.assignedTo : [])
+    .map((uid) => userMap?.[uid]?.shortName || userMap?.[uid]?.displayName || userMap?.[uid]?.email || 'User')
+    .join(', ');
+
+  return (
+    <Tooltip title={`${job.clientName || 'Untitled'}${assigned ? ` — ${assigned}` : ''}`}>
+      <Box
+        onClick={() => onOpen(job.id)}
+        sx={{
+          gridColumn: `${segment.col} / span ${segment.span}`,
+          gridRow: segment.lane + 2,
+          zIndex: 1,
+          mx: 0.5,
+          px: 1,
+          height: LANE_HEIGHT - 4,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 0.75,
+          overflow: 'hidden',
+          whiteSpace: 'nowrap',
+          cursor: 'pointer',
+          bgcolor: c.bg,
+          color: c.color,
+          border: `1px solid ${c.border}`,
+          borderTopLeftRadius: startsBefore ? 0 : 6,
+          borderBottomLeftRadius: startsBefore ? 0 : 6,
+          borderTopRightRadius: endsAfter ? 0 : 6,
+          borderBottomRightRadius: endsAfter ? 0 : 6,
+          fontSize: 13,
+          fontWeight: 700,
+          ':hover': { filter: 'brightness(1.2)' },
+        }}
+      >
+        {timeStr && <span style={{ color: '#ffc107' }}>{timeStr}</span>}
+        <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>
+          {startsBefore ? '… ' : ''}
+          {job.clientName || 'Untitled'}
+        </span>
+      </Box>
+    </Tooltip>
+  );
+}
+
+function WeekRow({ weekStart, jobs, userMap, onOpen, minHeight, monthIndex }) {
+  const segments = useMemo(() => layoutDaySegments(jobs, weekStart, 7), [jobs, weekStart]);
+  const lanes = segments.reduce((m, s) => Math.max(m, s.lane + 1), 0);
+  const todayKey = dayKey(new Date());
+
+  return (
+    <Box
+      sx={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(7, minmax(0, 1fr))',
+        gridTemplateRows: `auto repeat(${lanes}, ${LANE_HEIGHT}px) 1fr`,
+        minHeight,
+        rowGap: 0.25,
+        pb: 1,
+        position: 'relative',
+      }}
+    >
+      {Array.from({ length: 7 }, (_, i) => {
+        const d = addDays(weekStart, i);
+        const outside = typeof monthIndex === 'number' && d.getMonth() !== monthIndex;
+        const isToday = dayKey(d) === todayKey;
+        return (
+          <Box
+            key={dayKey(d)}
+            sx={{
+              gridColumn: i + 1,
+              gridRow: `1 / ${lanes + 3}`,
+              borderLeft: i ? '1px solid rgba(255,255,255,0.08)' : 'none',
+              borderTop: '1px solid rgba(255,255,255,0.08)',
+              bgcolor: isToday ? 'rgba(255,193,7,0.06)' : 'transparent',
+              opacity: outside ? 0.45 : 1,
+              px: 0.75,
+              pt: 0.5,
+            }}
+          >
+            <Typography
+              variant="caption"
+              sx={{ fontWeight: isToday ? 800 : 600, color: isToday ? '#ffc107' : '#fff' }}
+            >
+              {d.getDate()}
+            </Typography>
+          </Box>
+        );
+      })}
+
+      {segments.map((s) => (
+        <JobBar key={`${s.job.id}-${dayKey(weekStart)}`} segment={s} userMap={userMap} onOpen={onOpen} />
+      ))}
+    </Box>
+  );
+}
+
+export default function JobCalendarPage() {
+  const history = useHistory();
+  const { userMap, currentUser, isManager } = useAuth();
+
+  const [view, setView] = useState('week'); // 'week' | 'month'
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+  const [showCompleted, setShowCompleted] = useState(false); // default OFF
+
+  const weeks = useMemo(() => {
+    if (view === 'week') return [startOfWeek(anchor)];
+    const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+    const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+    const out = [];
+    for (let w = startOfWeek(first); w <= last; w = addDays(w, 7)) out.push(w);
+    return out;
+  }, [view, anchor]);
+
+  // Managers read only the jobs on the weeks shown, plus unscheduled ones;
+  // staff only see their own jobs, same as the My Jobs list
+  const uid = currentUser?.uid;
+  const rangeEnd = useMemo(() => addDays(weeks[weeks.length - 1], 7), [weeks]);
+  const { jobs: inRange, loading: rangeLoading } = useJobsBetween(
+    isManager ? weeks[0] : null,
+    isManager ? rangeEnd : null
+  );
+  const [otherJobs, setOtherJobs] = useState([]);
+  const [otherLoading, setOtherLoading] = useState(true);
+
+  useEffect(() => {
+    const onJobs = (snap) => {
+      setOtherJobs(snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) })));
+      setOtherLoading(false);
+    };
+    const onError = (err) => {
+      console.error('Failed to load jobs', err);
+      setOtherLoading(false);
+    };
+    const unsub = isManager
+      ? subscribeToUnscheduledJobs(onJobs, onError)
+      : subscribeToStaffJobs(uid, onJobs, onError);
+    return () => unsub();
+  }, [isManager, uid]);
+
+  const jobs = useMemo(
+    () => (isManager ? [...inRange, ...otherJobs] : otherJobs),
+    [isManager, inRange, otherJobs]
+  );
+  const loading = otherLoading || (isManager && rangeLoading);
+
+  // Same rules as JobListPage: jobs + survey requests, completed only when toggled
+  const visible = useMemo(
+    () => jobs.filter((j) => isScheduleVisible(j, { showCompleted })),
+    [jobs, showCompleted]
+  );
+
+  const unscheduled = useMemo(() => visible.filter((j) => !jobDayRange(j)), [visible]);
+
+  const title = useMemo(() => {
+    if (view === 'month') {
+      return anchor.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' });
+    }
+    const from = weeks[0];
+    const to = addDays(from, 6);
+    const fmt = (d) => d.toLocaleDateString('en-AU', { day: 'numeric', month: 'short' });
+    return `${fmt(from)} – ${fmt(to)} ${to.getFullYear()}`;
+  }, [view, anchor, weeks]);
+
+  const step = (dir) => {
+    setAnchor((prev) =>
+      view === 'week'
+        ? addDays(prev, 7 * dir)
+        : new Date(prev.getFullYear(), prev.getMonth() + dir, 1)
+    );
+  };
+
+  const openJob = (id) => history.push(`/jobs/${id}`);
+
+  if (loading) {
+    return (
+      <Box
+        sx={{
+          p: 4,
+          color: '#fff',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          gap: 2,
+        }}
+      >
+        <CircularProgress sx={{ color: '#fff' }} />
+        <Typography>Loading jobs…</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: { xs: 1.5, sm: 2, md: 3 } }}>
+      {/* Top controls */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap', mb: 2 }}>
+        <Button variant="contained" onClick={() => history.push('/jobs/new')}>
+          Add Job
+        </Button>
+        <Button variant="outlined" sx={{ color: '#fff' }} onClick={() => history.push('/')}>
+          List
+        </Button>
+
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={view}
+          onChange={(_, v) => v && setView(v)}
+          sx={{ '.MuiToggleButton-root': { color: 'rgba(255,255,255,0.8)' } }}
+        >
+          <ToggleButton value="week">Week</ToggleButton>
+          <ToggleButton value="month">Month</ToggleButton>
+        </ToggleButtonGroup>
+
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <IconButton onClick={() => step(-1)} sx={{ color: '#fff' }} aria-label="Previous">
+            <ChevronLeftRoundedIcon />
+          </IconButton>
+          <Button size="small" sx={{ color: '#fff' }} onClick={() => setAnchor(startOfDay(new Date()))}>
+            Today
+          </Button>
+          <IconButton onClick={() => step(1)} sx={{ color: '#fff' }} aria-label="Next">
+            <ChevronRightRoundedIcon />
+          </IconButton>
+        </Box>
+
+        <Typography variant="h6" sx={{ fontWeight: 700 }}>
+          {title}
+        </Typography>
+
+        <Box sx={{ ml: 'auto', display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Switch
+            checked={showCompleted}
+            onChange={(e) => setShowCompleted(e.target.checked)}
+            color="default"
+          />
+          <Typography>Show Completed</Typography>
+        </Box>
+      </Box>
+
+      {/* Calendar */}
+      <Box
+        sx={{
+          borderRadius: 2,
+          bgcolor: 'rgba(255,255,255,0.04)',
+          border: '1px solid rgba(255,255,255,0.10)',
+          overflowX: 'auto',
+        }}
+      >
+        <Box sx={{ minWidth: 700 }}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))' }}>
+            {WEEKDAYS.map((label, i) => {
+              const d = addDays(weeks[0], i);
+              return (
+                <Typography
+                  key={label}
+                  variant="subtitle2"
+                  sx={{ px: 1, py: 0.75, fontWeight: 700, opacity: 0.85 }}
+                >
+                  {view === 'week'
+                    ? d.toLocaleDateString('en-AU', { weekday: 'short', day: '2-digit', month: '2-digit' })
+                    : label}
+                </Typography>
+              );
+            })}
+          </Box>
+
+          {weeks.map((w) => (
+            <WeekRow
+              key={dayKey(w)}
+              weekStart={w}
+              jobs={visible}
+              userMap={userMap}
+              onOpen={openJob}
+              minHeight={view === 'week' ? 360 : 110}
+              monthIndex={view === 'month' ? anchor.getMonth() : undefined}
+            />
+          ))}
+        </Box>
+      </Box>
+
+      {/* Unscheduled */}
+      {unscheduled.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 700, mb: 1 }}>
+            Unscheduled
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {unscheduled.map((j) => (
+              <Chip
+                key={j.id}
+                label={j.clientName || 'Untitled'}
+                onClick={() => openJob(j.id)}
+                sx={{ bgcolor: 'rgba(255,255,255,0.08)', color: '#fff', fontWeight: 700 }}
+              />
+            ))}
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -24,10 +24,12 @@ import {
   MenuItem,
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
+import EditRoundedIcon from '@mui/icons-material/EditRounded';
+import HistoryRoundedIcon from '@mui/icons-material/HistoryRounded';
 import AccessTimeRoundedIcon from '@mui/icons-material/AccessTimeRounded';
 import PictureAsPdfRoundedIcon from '@mui/icons-material/PictureAsPdfRounded';
 import InsertPhotoRoundedIcon from '@mui/icons-material/InsertPhotoRounded';
-import { useParams, useHistory } from 'react-router-dom';
+import { Link as RouterLink, useParams, useHistory } from 'react-router-dom';
 import {
   doc,
   getDoc,
@@ -37,12 +39,51 @@ import {
   getDocs,
   serverTimestamp,
   deleteDoc,
-  Timestamp,
 } from 'firebase/firestore';
-import { db, storage } from '../firebase/firebase';
-import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { FUNCTIONS_BASE, db, storage } from '../firebase/firebase';
+import { ref, deleteObject } from 'firebase/storage';
+import { countFailedUploads } from '../services/uploadManager';
 import SignatureCanvas from 'react-signature-canvas';
 import { useAuth } from '../contexts/AuthContext';
+import useRunningTimers from '../hooks/useRunningTimers';
+import {
+  setTimerCategory,
+  startCrewTimer,
+  stopCrewTimer,
+  subscribeToJobRunningTimers,
+} from '../services/timerService';
+import {
+  addCompletedPhoto,
+  saveInstallerNotes,
+  saveJobSignature,
+  startTimer as startQueuedTimer,
+  stopTimer as stopQueuedTimer,
+} from '../services/offlineQueue';
+import useOfflineQueue from '../hooks/useOfflineQueue';
+import { openJobFile } from '../utils/offlineFiles';
+import {
+  canEditTimeEntry,
+  deleteTimeEntry,
+  setTimeEntryApproved,
+  updateTimeEntry,
+} from '../services/timeEntryService';
+import TimeEntryDialog from '../components/TimeEntryDialog';
+import CrewTimerDialog from '../components/CrewTimerDialog';
+import BudgetBar from '../components/BudgetBar';
+import JobCostingPanel from '../components/JobCostingPanel';
+import VariationsPanel from '../components/VariationsPanel';
+import ExpensesPanel from '../components/ExpensesPanel';
+import useActiveTimers from '../hooks/useActiveTimers';
+import { runningHours } from '../utils/budget';
+import { hoursByUserFrom } from '../utils/costing';
+import { round2 } from '../utils/money';
+import { photoSrc } from '../utils/jobUtils';
+import {
+  categoryMeta,
+  categoryOf,
+  DEFAULT_TIME_CATEGORY,
+  TIME_CATEGORIES,
+} from '../utils/timeCategories';
 
 function BusyOverlay({ open, text }) {
   return (
@@ -80,8 +121,6 @@ const fmtTime = (date) =>
 const fmtTimeHM = (date) =>
   !date ? '—' : date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
 
-const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
-
 // NEW: format install window from startDate/endDate/installDate
 const formatInstallWindow = (job) => {
   if (!job) return '—';
@@ -97,16 +136,11 @@ const formatInstallWindow = (job) => {
   return `${fmtDate(start)} → ${fmtDate(end)}`;
 };
 
-// Cloud Functions base (override via REACT_APP_FUNCTIONS_BASE_URL if desired)
-const FUNCTIONS_BASE =
-  process.env.REACT_APP_FUNCTIONS_BASE_URL ||
-  'https://australia-southeast1-install-scheduler.cloudfunctions.net';
-
 export default function JobDetailPage() {
   const params = useParams();
   const jobId = params.id || params.jobId;
   const history = useHistory();
-  const { userMap, currentUser } = useAuth();
+  const { userMap, currentUser, isManager } = useAuth();
 
   const [job, setJob] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -120,13 +154,34 @@ export default function JobDetailPage() {
   const [plans, setPlans] = useState([]); // [{id,url,name,createdAt}]
   const [timeEntries, setTimeEntries] = useState([]); // [{id,userId,hours,createdAt,start,end,source}]
   const [newHours, setNewHours] = useState('');
-
-  // Timer (persistent, backed by Firestore running entry)
-  const [timerRunning, setTimerRunning] = useState(false);
-  const [timerStart, setTimerStart] = useState(null); // ms
+  const [entryCategory, setEntryCategory] = useState(DEFAULT_TIME_CATEGORY); // for Add hours / Start Timer
+  const [entryDialog, setEntryDialog] = useState(null); // { entry, readOnly }
+
+  // Timer: the open timeEntries doc for this user is the source of truth,
+  // so a timer started on one device can be stopped from another
+  const { timers: myTimers } = useRunningTimers();
+  const runningEntry = useMemo(
+    () => myTimers.find((t) => t.jobId === jobId) || null,
+    [myTimers, jobId]
+  );
+  const timerRunning = !!runningEntry;
+  const timerStart = runningEntry ? runningEntry.start.getTime() : null; // ms
   const [elapsed, setElapsed] = useState(0);
-  const LS_TIMER_START_KEY = `timer:${jobId}:startMs`;
-  const LS_TIMER_ENTRY_KEY = `timer:${jobId}:entryId`;
+  const [timerBusy, setTimerBusy] = useState(false);
+
+  // Everyone's live timers on this job, for the budget bar
+  const activeJobIds = useMemo(() => [jobId], [jobId]);
+
+  // Photos taken here without reception, waiting in the offline queue
+  const { items: offlineItems } = useOfflineQueue();
+  const pendingPhotoCount = offlineItems.filter(
+    (i) => i.type === 'completedPhoto' && i.jobId === jobId
+  ).length;
+  const { byJob: activeTimersByJob } = useActiveTimers(activeJobIds);
+
+  // Crew timers: every open entry on this job, grouped by crewId
+  const [jobRunning, setJobRunning] = useState([]);
+  const [crewDialog, setCrewDialog] = useState(null); // { mode, members }
 
   // Signature dialog
   const [sigDialogOpen, setSigDialogOpen] = useState(false);
@@ -184,9 +239,11 @@ export default function JobDetailPage() {
 
       // keep a count on the job doc for JobListPage
       const completedCount = compSnap.size;
+      // Offline the write would wait for a connection and hold up the page
       if (
-        typeof data.completedPhotoCount !== 'number' ||
-        data.completedPhotoCount !== completedCount
+        navigator.onLine &&
+        (typeof data.completedPhotoCount !== 'number' ||
+          data.completedPhotoCount !== completedCount)
       ) {
         try {
           await updateDoc(doc(db, 'jobs', jobId), {
@@ -204,7 +261,12 @@ export default function JobDetailPage() {
       setPlans(planSnap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) })));
 
       const hoursSnap = await getDocs(collection(db, 'jobs', jobId, 'timeEntries'));
-      setTimeEntries(hoursSnap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) })));
+      // Deleted entries are kept for their history but never shown or counted
+      setTimeEntries(
+        hoursSnap.docs
+          .map((d) => ({ id: d.id, ...(d.data() || {}) }))
+          .filter((e) => !e.deleted)
+      );
     } finally {
       setLoading(false);
     }
@@ -214,23 +276,39 @@ export default function JobDetailPage() {
     loadAll();
   }, [loadAll]);
 
-  // Restore timer on mount and keep ticking
+  // Keep the running timer ticking
   useEffect(() => {
-    const startMs = Number(localStorage.getItem(LS_TIMER_START_KEY));
-    const entryId = localStorage.getItem(LS_TIMER_ENTRY_KEY);
-    if (Number.isFinite(startMs) && entryId) {
-      setTimerRunning(true);
-      setTimerStart(startMs);
-      setElapsed(Date.now() - startMs);
+    if (!timerRunning || !timerStart) {
+      setElapsed(0);
+      return;
     }
-  }, [jobId]);
-
-  useEffect(() => {
-    if (!timerRunning || !timerStart) return;
+    setElapsed(Date.now() - timerStart);
     const id = setInterval(() => setElapsed(Date.now() - timerStart), 1000);
     return () => clearInterval(id);
   }, [timerRunning, timerStart]);
 
+  useEffect(() => {
+    if (!jobId) return;
+    const unsub = subscribeToJobRunningTimers(jobId, setJobRunning, (err) =>
+      console.error('Failed to load running timers for job', err)
+    );
+    return () => unsub();
+  }, [jobId]);
+
+  const runningCrews = useMemo(() => {
+    const map = new Map();
+    for (const t of jobRunning) {
+      if (!t.crewId) continue;
+      if (!map.has(t.crewId)) map.set(t.crewId, []);
+      map.get(t.crewId).push(t);
+    }
+    return Array.from(map.entries()).map(([crewId, entries]) => ({
+      crewId,
+      entries,
+      start: entries[0].start,
+    }));
+  }, [jobRunning]);
+
   const assignedNames = useMemo(() => {
     if (!job) return '—';
     const ids = Array.isArray(job.assignedTo)
@@ -303,22 +381,16 @@ export default function JobDetailPage() {
   // --- Completed photos: upload & remove
   const handleUploadCompleted = async (files) => {
     const arr = Array.from(files || []);
-       if (!arr.length) return;
-    setBusy(true);
-    try {
-      for (const f of arr) {
-        const r = ref(storage, `jobs/${jobId}/completed/${Date.now()}_${f.name}`);
-        await uploadBytes(r, f);
-        const url = await getDownloadURL(r);
-        await addDoc(collection(db, 'jobs', jobId, 'completedPhotos'), {
-          url,
-          createdAt: serverTimestamp(),
-        });
-      }
-      await loadAll();
-    } finally {
-      setBusy(false);
-    }
+    if (!arr.length) return;
+    // No busy overlay: progress shows in UploadOverlay and each photo's doc
+    // is written as it lands, so leaving the page keeps what has finished.
+    // Without reception the photos wait in the offline queue instead.
+    const results = await Promise.allSettled(arr.map((f) => addCompletedPhoto(jobId, f)));
+    const queued = results.filter((r) => r.status === 'fulfilled' && r.value.queued).length;
+    const failed = countFailedUploads(results);
+    if (queued) alert(`No connection: ${queued} photo(s) saved on this device. They'll upload when you're back online.`);
+    if (failed) alert(`${failed} photo(s) failed to upload. You can retry them from the uploads panel.`);
+    await loadAll();
   };
 
   const removeCompletedPhoto = async (item) => {
@@ -343,10 +415,11 @@ export default function JobDetailPage() {
   const saveNotes = async () => {
     try {
       setSavingNotes(true);
-      await updateDoc(doc(db, 'jobs', jobId), {
-        installerNotes,
-        updatedAt: serverTimestamp(),
-      });
+      const { queued } = await saveInstallerNotes(jobId, installerNotes);
+      if (queued) alert("No connection: notes saved on this device. They'll sync when you're back online.");
+    } catch (e) {
+      console.error('Failed to save notes', e);
+      alert('Could not save the notes. Please try again.');
     } finally {
       setSavingNotes(false);
     }
@@ -360,6 +433,7 @@ export default function JobDetailPage() {
       userId: currentUser?.uid || 'unknown',
       userShortName: userMap?.[currentUser?.uid || '']?.shortName,
       hours: h,
+      category: entryCategory,
       createdAt: serverTimestamp(),
       source: 'manual',
     });
@@ -369,61 +443,122 @@ export default function JobDetailPage() {
 
   // --- Timer start/stop with running entry
   const startTimer = async () => {
-    if (!currentUser) return;
-    const startMs = Date.now();
-    const startTs = Timestamp.fromDate(new Date(startMs));
-    const docRef = await addDoc(collection(db, 'jobs', jobId, 'timeEntries'), {
-      userId: currentUser.uid,
-      userShortName: userMap?.[currentUser.uid]?.shortName,
-      start: startTs,
-      end: null,
-      createdAt: serverTimestamp(),
-      source: 'timer',
-    });
-    localStorage.setItem(LS_TIMER_START_KEY, String(startMs));
-    localStorage.setItem(LS_TIMER_ENTRY_KEY, docRef.id);
+    if (!currentUser || timerBusy) return;
+    setTimerBusy(true);
+    try {
+      await startQueuedTimer(jobId, {
+        uid: currentUser.uid,
+        shortName: userMap?.[currentUser.uid]?.shortName,
+        category: entryCategory,
+      });
+    } catch (e) {
+      console.error('Failed to start timer', e);
+      alert('Could not start the timer. Please try again.');
+    } finally {
+      setTimerBusy(false);
+    }
+  };
 
-    setTimerRunning(true);
-    setTimerStart(startMs);
-    setElapsed(0);
+  // Category picker: before starting it sets the new timer's category,
+  // while running it re-categorises the open entry
+  const changeCategory = async (value) => {
+    setEntryCategory(value);
+    // A timer started offline takes its category with it when it syncs
+    if (!runningEntry || runningEntry.pending) return;
+    try {
+      await setTimerCategory(jobId, runningEntry.id, value);
+    } catch (e) {
+      console.error('Failed to update timer category', e);
+    }
   };
 
-  const stopTimer = async () => {
-    if (!timerRunning || !timerStart) return;
-    const entryId = localStorage.getItem(LS_TIMER_ENTRY_KEY);
-    const startMs = Number(localStorage.getItem(LS_TIMER_START_KEY));
-    const startMillis = Number.isFinite(startMs) ? startMs : Date.now();
-    const elapsedMs = Date.now() - startMillis;
-    const hours = elapsedMs / 3600000;
-
-    if (entryId) {
-      try {
-        await updateDoc(doc(db, 'jobs', jobId, 'timeEntries', entryId), {
-          end: serverTimestamp(),
-          hours,
-          updatedAt: serverTimestamp(),
-        });
-      } catch (e) {
-        console.error('Failed to close timer entry', e);
+  const nameOf = (uid) =>
+    userMap?.[uid]?.shortName || userMap?.[uid]?.displayName || userMap?.[uid]?.email || uid;
+
+  const openStartCrew = () => {
+    const ids = Array.isArray(job?.assignedTo) ? job.assignedTo : [];
+    setCrewDialog({ mode: 'start', members: ids.map((uid) => ({ uid, name: nameOf(uid) })) });
+  };
+
+  const openStopCrew = (crew) => {
+    setCrewDialog({
+      mode: 'stop',
+      members: crew.entries.map((t) => ({
+        entryId: t.id,
+        uid: t.userId,
+        name: t.userShortName || nameOf(t.userId),
+        start: t.start,
+      })),
+    });
+  };
+
+  const confirmCrew = async (payload) => {
+    if (crewDialog.mode === 'start') {
+      const { skipped } = await startCrewTimer(
+        jobId,
+        payload.map((uid) => ({ uid, shortName: userMap?.[uid]?.shortName })),
+        { category: entryCategory, startedBy: currentUser?.uid }
+      );
+      if (skipped.length) {
+        alert(`Already on a timer here, left out of the crew: ${skipped.map(nameOf).join(', ')}`);
       }
     } else {
-      await addDoc(collection(db, 'jobs', jobId, 'timeEntries'), {
-        userId: currentUser?.uid || 'unknown',
-        userShortName: userMap?.[currentUser?.uid || '']?.shortName,
-        hours,
-        createdAt: serverTimestamp(),
-        source: 'timer-fallback',
+      await stopCrewTimer(jobId, payload.entryIds, {
+        endTimes: payload.endTimes,
+        stoppedBy: currentUser?.uid,
       });
+      loadAll();
     }
+    setCrewDialog(null);
+  };
 
-    localStorage.removeItem(LS_TIMER_START_KEY);
-    localStorage.removeItem(LS_TIMER_ENTRY_KEY);
-    setTimerRunning(false);
-    setTimerStart(null);
-    setElapsed(0);
+  const stopTimer = async () => {
+    if (!runningEntry || timerBusy) return;
+    setTimerBusy(true);
+    try {
+      await stopQueuedTimer(jobId, runningEntry.id);
+      loadAll();
+    } catch (e) {
+      console.error('Failed to close timer entry', e);
+      alert('Could not stop the timer. Please try again.');
+    } finally {
+      setTimerBusy(false);
+    }
+  };
+
+  // --- Edit / delete / approve time entries (history kept on the entry)
+  const actor = {
+    uid: currentUser?.uid,
+    name: userMap?.[currentUser?.uid || '']?.shortName || currentUser?.email || '',
+  };
+
+  const saveEntryEdit = async (patch) => {
+    await updateTimeEntry(jobId, entryDialog.entry, patch, actor);
+    setEntryDialog(null);
     loadAll();
   };
 
+  const removeEntry = async (entry) => {
+    if (!window.confirm('Delete this time entry? It will be kept in the change history.')) return;
+    try {
+      await deleteTimeEntry(jobId, entry, actor);
+      loadAll();
+    } catch (e) {
+      console.error('Failed to delete time entry', e);
+      alert('Could not delete the entry. Please try again.');
+    }
+  };
+
+  const toggleApproved = async (entry) => {
+    try {
+      await setTimeEntryApproved(jobId, entry, !entry.approved, actor);
+      loadAll();
+    } catch (e) {
+      console.error('Failed to update approval', e);
+      alert('Could not update approval. Please try again.');
+    }
+  };
+
   // --- Complete / reopen
   const completeJob = async () => {
     await updateDoc(doc(db, 'jobs', jobId), {
@@ -452,15 +587,14 @@ export default function JobDetailPage() {
     try {
       const dataUrl = sigPad.getTrimmedCanvas().toDataURL('image/png');
       const blob = await (await fetch(dataUrl)).blob();
-      const r = ref(storage, `jobs/${jobId}/signature.png`);
-      await uploadBytes(r, blob);
-      const url = await getDownloadURL(r);
-      await updateDoc(doc(db, 'jobs', jobId), {
-        signatureURL: url,
-        updatedAt: serverTimestamp(),
-      });
-      setSignatureURL(url);
+      const { queued, url } = await saveJobSignature(jobId, blob);
+      // Offline: show the local copy until the queued one syncs
+      setSignatureURL(queued ? URL.createObjectURL(blob) : url);
+      if (queued) alert("No connection: signature saved on this device. It'll sync when you're back online.");
       closeSignatureDialog();
+    } catch (e) {
+      console.error('Failed to save signature', e);
+      alert('Could not save the signature. Please try again.');
     } finally {
       setBusy(false);
     }
@@ -560,6 +694,21 @@ export default function JobDetailPage() {
     [timeEntries]
   );
 
+  const hoursByUser = useMemo(() => hoursByUserFrom(timeEntries), [timeEntries]);
+
+  // Hours per category (only categories with time logged)
+  const categoryTotals = useMemo(() => {
+    const totals = {};
+    for (const e of timeEntries) {
+      const c = categoryOf(e);
+      totals[c] = (totals[c] || 0) + (Number(e.hours) || 0);
+    }
+    return TIME_CATEGORIES.filter((c) => totals[c.value]).map((c) => ({
+      ...c,
+      hours: round2(totals[c.value]),
+    }));
+  }, [timeEntries]);
+
   // Group entries by user for readability
   const entriesByUser = useMemo(() => {
     const map = new Map();
@@ -623,6 +772,21 @@ export default function JobDetailPage() {
   return (
     <Box sx={{ p: 2, maxWidth: 1100, mx: 'auto' }}>
       <BusyOverlay open={busy} text="Working… uploading files" />
+      <CrewTimerDialog
+        open={!!crewDialog}
+        mode={crewDialog?.mode}
+        members={crewDialog?.members}
+        onClose={() => setCrewDialog(null)}
+        onConfirm={confirmCrew}
+      />
+      <TimeEntryDialog
+        open={!!entryDialog}
+        entry={entryDialog?.entry}
+        readOnly={!!entryDialog?.readOnly}
+        userMap={userMap}
+        onClose={() => setEntryDialog(null)}
+        onSave={saveEntryEdit}
+      />
 
       {/* Image preview dialog */}
       <Dialog open={previewOpen} onClose={closePreview} maxWidth="md" fullWidth>
@@ -852,6 +1016,27 @@ export default function JobDetailPage() {
           <strong>Assigned To:</strong> {assignedNames}
         </Typography>
 
+        {isManager && (job.quoteNumber || job.invoiceNumber) && (
+          <Typography>
+            {job.quoteNumber && (
+              <>
+                <strong>Quote:</strong>{' '}
+                <Link component={RouterLink} to={`/quotes/${job.quoteId}`}>
+                  {job.quoteNumber}
+                </Link>{' '}
+              </>
+            )}
+            {job.invoiceNumber && (
+              <>
+                <strong>Invoice:</strong>{' '}
+                <Link component={RouterLink} to={`/invoices/${job.invoiceId}`}>
+                  {job.invoiceNumber}
+                </Link>
+              </>
+            )}
+          </Typography>
+        )}
+
         {Number.isFinite(Number(job.allowedHours)) && (
           <Typography sx={{ mt: 1 }}>
             <strong>Quoted Hours:</strong> {Number(job.allowedHours)}
@@ -883,7 +1068,7 @@ export default function JobDetailPage() {
                   onClick={() => openPreview(p.url)}
                 >
                   <img
-                    src={p.url}
+                    src={photoSrc(p)}
                     alt="reference"
                     style={{
                       width: '100%',
@@ -911,7 +1096,8 @@ export default function JobDetailPage() {
         <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5, mt: 1 }}>
           {plans.length > 0 ? (
             plans.map((pl) => {
-              const url = pl.url;
+              // Plans keep their full-size original for reading fine detail
+              const url = pl.originalUrl || pl.url;
               const name = pl.name || url?.split('?')[0]?.split('/').pop() || 'plan';
               const isImage = /\.(png|jpg|jpeg|webp|gif)$/i.test(name);
               const isPdf = /\.pdf$/i.test(name);
@@ -925,7 +1111,7 @@ export default function JobDetailPage() {
                     title={name}
                   >
                     <img
-                      src={url}
+                      src={photoSrc(pl)}
                       alt={name}
                       style={{
                         width: '100%',
@@ -944,7 +1130,7 @@ export default function JobDetailPage() {
                   icon={<PictureAsPdfRoundedIcon />}
                   label={name}
                   clickable
-                  onClick={() => window.open(url, '_blank', 'noopener,noreferrer')}
+                  onClick={() => openJobFile(url)}
                   sx={{
                     bgcolor: isPdf ? 'rgba(244, 67, 54, 0.15)' : 'rgba(255,255,255,0.08)',
                     color: isPdf ? '#ef9a9a' : '#90caf9',
@@ -979,7 +1165,7 @@ export default function JobDetailPage() {
             <Grid item key={p.id}>
               <Box sx={{ position: 'relative', width: 140, height: 100 }}>
                 <img
-                  src={p.url}
+                  src={photoSrc(p)}
                   alt="completed"
                   style={{
                     width: '100%',
@@ -1006,11 +1192,18 @@ export default function JobDetailPage() {
               </Box>
             </Grid>
           ))}
-          {completedPhotos.length === 0 && (
+          {completedPhotos.length === 0 && pendingPhotoCount === 0 && (
             <Grid item xs={12}>
               <Typography color="text.secondary">No completed photos yet.</Typography>
             </Grid>
           )}
+          {pendingPhotoCount > 0 && (
+            <Grid item xs={12}>
+              <Typography sx={{ color: '#ffa726' }}>
+                {pendingPhotoCount} photo{pendingPhotoCount === 1 ? '' : 's'} waiting to sync from this device.
+              </Typography>
+            </Grid>
+          )}
         </Grid>
       </Paper>
 
@@ -1031,6 +1224,12 @@ export default function JobDetailPage() {
         </Button>
       </Paper>
 
+      {/* Variations: extra work signed for on site */}
+      <VariationsPanel jobId={jobId} actor={actor} onApproved={loadAll} onPreview={openPreview} />
+
+      {/* Expenses: receipts for things bought for this job */}
+      <ExpensesPanel jobId={jobId} actor={actor} onReviewed={loadAll} onPreview={openPreview} />
+
       {/* Signature (preview + open dialog) */}
       <Paper sx={{ p: 2, mb: 2 }}>
         <Typography variant="h6">Client Signature</Typography>
@@ -1069,6 +1268,27 @@ export default function JobDetailPage() {
           </Typography>
         )}
 
+        <Box sx={{ mb: 1.5 }}>
+          <BudgetBar
+            logged={totalHours}
+            running={runningHours(activeTimersByJob[jobId])}
+            allowed={job.allowedHours}
+          />
+        </Box>
+
+        {categoryTotals.length > 0 && (
+          <Stack direction="row" spacing={1} sx={{ mb: 1.5, flexWrap: 'wrap', rowGap: 1 }}>
+            {categoryTotals.map((c) => (
+              <Chip
+                key={c.value}
+                size="small"
+                label={`${c.label}: ${c.hours.toFixed(2)} h`}
+                sx={{ bgcolor: c.color, color: '#fff', fontWeight: 600 }}
+              />
+            ))}
+          </Stack>
+        )}
+
         {/* Per-user grouped list with readable entries */}
         <Box sx={{ display: 'grid', gap: 1.25 }}>
           {entriesByUser.length ? (
@@ -1109,6 +1329,8 @@ export default function JobDetailPage() {
                           : '—';
                       const hrs = round2(e.hours || 0);
                       const type = (e.source || (e.start ? 'timer' : 'manual')).toUpperCase();
+                      const editable = canEditTimeEntry(e, { uid: currentUser?.uid, isManager });
+                      const hasHistory = Array.isArray(e.history) && e.history.length > 0;
                       return (
                         <Box
                           key={e.id}
@@ -1125,6 +1347,62 @@ export default function JobDetailPage() {
                           </Typography>
                           <Chip size="small" variant="outlined" label={`${hrs} h`} />
                           <Chip size="small" variant="outlined" label={type} />
+                          <Chip
+                            size="small"
+                            label={categoryMeta(categoryOf(e)).label}
+                            sx={{ bgcolor: categoryMeta(categoryOf(e)).color, color: '#fff' }}
+                          />
+                          {e.autoStopped && (
+                            <Chip
+                              size="small"
+                              color="warning"
+                              label={
+                                e.autoStopReason === 'end-of-day'
+                                  ? 'AUTO-STOPPED · END OF DAY'
+                                  : 'AUTO-STOPPED · TOO LONG'
+                              }
+                              title="Timer was left running and stopped automatically — please check the hours"
+                            />
+                          )}
+                          {e.approved && <Chip size="small" color="success" label="APPROVED" />}
+                          {!e.approved && e.edited && (
+                            <Chip size="small" variant="outlined" label="EDITED" />
+                          )}
+                          <Box sx={{ ml: 'auto', display: 'flex', alignItems: 'center' }}>
+                            {editable ? (
+                              <>
+                                <IconButton
+                                  size="small"
+                                  title="Edit entry"
+                                  onClick={() => setEntryDialog({ entry: e, readOnly: false })}
+                                >
+                                  <EditRoundedIcon fontSize="small" />
+                                </IconButton>
+                                <IconButton
+                                  size="small"
+                                  title="Delete entry"
+                                  onClick={() => removeEntry(e)}
+                                >
+                                  <DeleteIcon fontSize="small" />
+                                </IconButton>
+                              </>
+                            ) : (
+                              hasHistory && (
+                                <IconButton
+                                  size="small"
+                                  title="Change history"
+                                  onClick={() => setEntryDialog({ entry: e, readOnly: true })}
+                                >
+                                  <HistoryRoundedIcon fontSize="small" />
+                                </IconButton>
+                              )
+                            )}
+                            {isManager && e.end !== null && (
+                              <Button size="small" onClick={() => toggleApproved(e)}>
+                                {e.approved ? 'Unapprove' : 'Approve'}
+                              </Button>
+                            )}
+                          </Box>
                         </Box>
                       );
                     })}
@@ -1147,6 +1425,20 @@ export default function JobDetailPage() {
             flexWrap: 'wrap',
           }}
         >
+          <TextField
+            select
+            size="small"
+            label="Category"
+            value={runningEntry ? categoryOf(runningEntry) : entryCategory}
+            onChange={(e) => changeCategory(e.target.value)}
+            sx={{ width: 140 }}
+          >
+            {TIME_CATEGORIES.map((c) => (
+              <MenuItem key={c.value} value={c.value}>
+                {c.label}
+              </MenuItem>
+            ))}
+          </TextField>
           <TextField
             type="number"
             inputProps={{ step: '0.1', min: '0' }}
@@ -1160,20 +1452,54 @@ export default function JobDetailPage() {
           </Button>
 
           {!timerRunning ? (
-            <Button variant="contained" onClick={startTimer}>
+            <Button variant="contained" onClick={startTimer} disabled={timerBusy}>
               Start Timer
             </Button>
           ) : (
             <>
-              <Button variant="outlined" color="error" onClick={stopTimer}>
+              <Button variant="outlined" color="error" onClick={stopTimer} disabled={timerBusy}>
                 Stop Timer
               </Button>
               <Chip label={`Running: ${fmtElapsed(elapsed)}`} />
             </>
           )}
+
+          {Array.isArray(job.assignedTo) && job.assignedTo.length > 1 && (
+            <Button variant="outlined" onClick={openStartCrew} disabled={timerBusy}>
+              Start Crew Timer
+            </Button>
+          )}
+        </Box>
+
+        {/* Running crew timers — anyone can stop the whole crew */}
+        <Box sx={{ display: 'grid', gap: 1, mt: runningCrews.length ? 1.5 : 0 }}>
+          {runningCrews.map((crew) => (
+            <Box
+              key={crew.crewId}
+              sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}
+            >
+              <Chip
+                color="primary"
+                label={`Crew (${crew.entries.length}): ${crew.entries
+                  .map((t) => t.userShortName || nameOf(t.userId))
+                  .join(', ')}`}
+              />
+              <Chip label={`Since ${fmtTimeHM(crew.start)}`} variant="outlined" />
+              <Button size="small" variant="outlined" color="error" onClick={() => openStopCrew(crew)}>
+                Stop Crew Timer
+              </Button>
+            </Box>
+          ))}
         </Box>
       </Paper>
 
+      {/* Costing (managers only) */}
+      <JobCostingPanel
+        job={job}
+        hoursByUser={hoursByUser}
+        onSaved={(patch) => setJob((prev) => ({ ...prev, ...patch }))}
+      />
+
       {/* Footer */}
       <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
         <Button variant="contained" onClick={() => history.push(`/jobs/${jobId}/edit`)}>
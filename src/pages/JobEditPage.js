@@ -32,9 +32,14 @@ import {
   serverTimestamp,
 } from "firebase/firestore";
 import { db, storage } from "../firebase/firebase";
-import { ref, uploadBytes, getDownloadURL, deleteObject } from "firebase/storage";
+import { ref, deleteObject } from "firebase/storage";
+import { uploadPhoto } from "../services/uploadService";
+import { countFailedUploads } from "../services/uploadManager";
+import { photoSrc } from "../utils/jobUtils";
 import { useAuth } from "../contexts/AuthContext";
 import { DatePicker, TimeField } from "@mui/x-date-pickers";
+import useScheduleConflicts from "../hooks/useScheduleConflicts";
+import ConflictWarning from "../components/ConflictWarning";
 
 // ---------- helpers ----------
 const toJSDate = (tsOrDate) =>
@@ -159,28 +164,53 @@ export default function JobEditPage() {
     load();
   }, [load]);
 
+  // ---------- conflict check (uses the unsaved form values) ----------
+  const draftSchedule = useMemo(() => {
+    if (!job || !(installDate instanceof Date) || Number.isNaN(installDate.getTime())) return null;
+    const start = new Date(installDate);
+    if (installTime instanceof Date) {
+      start.setHours(installTime.getHours(), installTime.getMinutes(), 0, 0);
+    }
+    return {
+      id: job.id,
+      installDate: start,
+      installTime: installTime instanceof Date,
+      startDate: job.startDate || null,
+      endDate: job.endDate || null,
+      isMultiDay: Boolean(job.isMultiDay),
+      assignedTo: assignedSelected.map((o) => o.uid),
+      allowedHours: allowedHours === "" ? null : Number(allowedHours),
+    };
+  }, [job, installDate, installTime, assignedSelected, allowedHours]);
+
+  const { conflicts, settings: schedulingSettings } = useScheduleConflicts(draftSchedule);
+
   // ---------- upload / delete shared helpers ----------
   const handleUpload = async (files, subcollection, setState) => {
     const arr = Array.from(files || []);
     if (!arr.length) return;
-    setBusy(true);
-    try {
-      for (const f of arr) {
-        const r = ref(storage, `jobs/${resolvedId}/${subcollection}/${Date.now()}_${f.name}`);
-        await uploadBytes(r, f);
-        const url = await getDownloadURL(r);
-        await addDoc(collection(db, "jobs", resolvedId, subcollection), {
-          url,
-          name: f.name || null,
-          mime: f.type || null,
-          createdAt: serverTimestamp(),
-        });
-      }
-      const snap = await getDocs(collection(db, "jobs", resolvedId, subcollection));
-      setState(snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) })));
-    } finally {
-      setBusy(false);
-    }
+    // Progress shows in UploadOverlay; each file's doc is written as it lands
+    const results = await Promise.allSettled(
+      arr.map((f) =>
+        uploadPhoto(`jobs/${resolvedId}/${subcollection}`, f, {
+          // Plans are drawings people zoom into, so keep the full-size file too
+          keepOriginal: subcollection === "plans",
+          onUploaded: (uploaded) =>
+            addDoc(collection(db, "jobs", resolvedId, subcollection), {
+              url: uploaded.url,
+              path: uploaded.path,
+              name: f.name || null,
+              mime: uploaded.mime,
+              ...(uploaded.originalUrl ? { originalUrl: uploaded.originalUrl } : {}),
+              createdAt: serverTimestamp(),
+            }),
+        })
+      )
+    );
+    const failed = countFailedUploads(results);
+    if (failed) alert(`${failed} file(s) failed to upload. You can retry them from the uploads panel.`);
+    const snap = await getDocs(collection(db, "jobs", resolvedId, subcollection));
+    setState(snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) })));
   };
 
   const handleDelete = async (item, subcollection, setState) => {
@@ -207,9 +237,7 @@ export default function JobEditPage() {
     if (!file) return;
     setBusy(true);
     try {
-      const r = ref(storage, `jobs/${resolvedId}/logo/${Date.now()}_${file.name}`);
-      await uploadBytes(r, file);
-      const url = await getDownloadURL(r);
+      const { url } = await uploadPhoto(`jobs/${resolvedId}/logo`, file, { maxDim: 1024 });
       setCompanyLogoUrl(url);
     } finally {
       setBusy(false);
@@ -219,6 +247,12 @@ export default function JobEditPage() {
   // ---------- save ----------
   const save = async () => {
     if (!job) return;
+    if (
+      conflicts.length &&
+      !window.confirm("Some installers are already booked at this time. Save anyway?")
+    ) {
+      return;
+    }
     setBusy(true);
     try {
       // combine date + time (if time set)
@@ -398,6 +432,12 @@ export default function JobEditPage() {
           </Grid>
         </Grid>
 
+        <ConflictWarning
+          conflicts={conflicts}
+          bufferMinutes={schedulingSettings.travelBufferMinutes}
+          sx={{ mt: 2, mb: 0 }}
+        />
+
         <Box sx={{ mt: 2, display: "flex", gap: 1, flexWrap: "wrap" }}>
           <Button variant="contained" onClick={save}>
             Save
@@ -477,7 +517,7 @@ export default function JobEditPage() {
                     </Box>
                   ) : (
                     <img
-                      src={p.url}
+                      src={photoSrc(p)}
                       alt={p.name || "reference"}
                       style={{ width: "100%", height: "100%", objectFit: "cover", borderRadius: 6 }}
                     />
@@ -575,7 +615,7 @@ export default function JobEditPage() {
                     </Box>
                   ) : (
                     <img
-                      src={p.url}
+                      src={photoSrc(p)}
                       alt={p.name || "plan"}
                       style={{ width: "100%", height: "100%", objectFit: "cover", borderRadius: 6 }}
                     />
@@ -0,0 +1,234 @@
+// src/pages/JobReportPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Link,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import useUserRates from '../hooks/useUserRates';
+import { getJobsInstalledBetween } from '../services/jobService';
+import { addDays, dayKey, startOfDay, toJSDate } from '../utils/jobUtils';
+import { fmtMoney, jobCosting } from '../utils/costing';
+
+const cellSx = { color: '#fff', borderColor: 'rgba(255,255,255,0.08)' };
+
+const parseDay = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/**
+ * Manager-only job report: cost and margin for jobs installed in a date
+ * range. Labour uses the per-user totals kept on each job by
+ * recalcJobHoursOnTimeEntryWrite.
+ */
+export default function JobReportPage() {
+  const { isManager, userMap } = useAuth();
+  const { rates, roleRates: costing } = useUserRates();
+
+  // Default to the current month
+  const monthStart = useMemo(() => {
+    const d = startOfDay(new Date());
+    d.setDate(1);
+    return d;
+  }, []);
+  const [from, setFrom] = useState(dayKey(monthStart));
+  const [to, setTo] = useState(
+    dayKey(addDays(new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1), -1))
+  );
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isManager || !from || !to) return;
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    getJobsInstalledBetween(parseDay(from), addDays(parseDay(to), 1))
+      .then((list) => !cancelled && setJobs(list))
+      .catch((err) => {
+        console.error('Job report failed', err);
+        if (!cancelled) setError(err.message || 'Failed to load jobs.');
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [isManager, from, to]);
+
+  const rows = useMemo(
+    () =>
+      jobs.map((job) => ({
+        job,
+        c: jobCosting(job, job.hoursByUser, userMap, costing, rates),
+      })),
+    [jobs, userMap, costing, rates]
+  );
+
+  const totals = useMemo(() => {
+    const t = { hours: 0, labour: 0, materials: 0, expenses: 0, cost: 0, sell: 0, margin: 0 };
+    for (const { c } of rows) {
+      t.hours += c.labourHours;
+      t.labour += c.labourCost;
+      t.materials += c.materialsCost;
+      t.expenses += c.expensesCost;
+      t.cost += c.totalCost;
+      if (c.sellPrice !== null) {
+        t.sell += c.sellPrice;
+        t.margin += c.margin;
+      }
+    }
+    return t;
+  }, [rows]);
+
+  if (!isManager) {
+    return (
+      <Box p={3}>
+        <Typography color="error">Access denied.</Typography>
+      </Box>
+    );
+  }
+
+  const pct = (margin, sell) => (sell ? `${((margin / sell) * 100).toFixed(1)}%` : '—');
+  const marginSx = (margin) => ({
+    ...cellSx,
+    color: margin === null ? '#fff' : margin < 0 ? '#ef5350' : '#66bb6a',
+    fontWeight: 700,
+  });
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 1200, mx: 'auto' }}>
+      <Typography variant="h4" gutterBottom>
+        Job Report
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        Costs are ex GST. Jobs without a sell price show no margin.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          label="Installed from"
+          type="date"
+          InputLabelProps={{ shrink: true }}
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+        />
+        <TextField
+          label="To"
+          type="date"
+          InputLabelProps={{ shrink: true }}
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+        />
+        {loading && <Typography variant="body2">Loading…</Typography>}
+      </Paper>
+
+      {error && (
+        <Typography color="error" sx={{ mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+
+      <TableContainer
+        component={Paper}
+        sx={{ bgcolor: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.10)' }}
+      >
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Job</TableCell>
+              <TableCell sx={cellSx}>Installed</TableCell>
+              <TableCell sx={cellSx}>Status</TableCell>
+              <TableCell sx={cellSx} align="right">Hours</TableCell>
+              <TableCell sx={cellSx} align="right">Labour</TableCell>
+              <TableCell sx={cellSx} align="right">Materials</TableCell>
+              <TableCell sx={cellSx} align="right">Expenses</TableCell>
+              <TableCell sx={cellSx} align="right">Total cost</TableCell>
+              <TableCell sx={cellSx} align="right">Sell price</TableCell>
+              <TableCell sx={cellSx} align="right">Margin</TableCell>
+              <TableCell sx={cellSx} align="right">Margin %</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(({ job, c }) => (
+              <TableRow key={job.id}>
+                <TableCell sx={cellSx}>
+                  <Link component={RouterLink} to={`/jobs/${job.id}`} sx={{ color: '#90caf9' }}>
+                    {job.clientName || job.company || job.id}
+                  </Link>
+                </TableCell>
+                <TableCell sx={cellSx}>{dayKey(toJSDate(job.installDate))}</TableCell>
+                <TableCell sx={cellSx}>{job.status || '—'}</TableCell>
+                <TableCell sx={cellSx} align="right">
+                  {c.labourHours.toFixed(2)}
+                  {c.unrated.length > 0 && ' *'}
+                </TableCell>
+                <TableCell sx={cellSx} align="right">{fmtMoney(c.labourCost)}</TableCell>
+                <TableCell sx={cellSx} align="right">{fmtMoney(c.materialsCost)}</TableCell>
+                <TableCell sx={cellSx} align="right">{fmtMoney(c.expensesCost)}</TableCell>
+                <TableCell sx={cellSx} align="right">{fmtMoney(c.totalCost)}</TableCell>
+                <TableCell sx={cellSx} align="right">{fmtMoney(c.sellPrice)}</TableCell>
+                <TableCell sx={marginSx(c.margin)} align="right">{fmtMoney(c.margin)}</TableCell>
+                <TableCell sx={marginSx(c.margin)} align="right">
+                  {c.margin === null ? '—' : pct(c.margin, c.sellPrice)}
+                </TableCell>
+              </TableRow>
+            ))}
+            {rows.length > 0 && (
+              <TableRow>
+                <TableCell sx={{ ...cellSx, fontWeight: 700 }} colSpan={3}>
+                  Total ({rows.length} jobs)
+                </TableCell>
+                <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                  {totals.hours.toFixed(2)}
+                </TableCell>
+                <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                  {fmtMoney(totals.labour)}
+                </TableCell>
+                <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                  {fmtMoney(totals.materials)}
+                </TableCell>
+                <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                  {fmtMoney(totals.expenses)}
+                </TableCell>
+                <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                  {fmtMoney(totals.cost)}
+                </TableCell>
+                <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                  {fmtMoney(totals.sell)}
+                </TableCell>
+                <TableCell sx={marginSx(totals.margin)} align="right">
+                  {fmtMoney(totals.margin)}
+                </TableCell>
+                <TableCell sx={marginSx(totals.margin)} align="right">
+                  {pct(totals.margin, totals.sell)}
+                </TableCell>
+              </TableRow>
+            )}
+            {!loading && rows.length === 0 && (
+              <TableRow>
+                <TableCell sx={cellSx} colSpan={11}>
+                  No jobs installed in this period.
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <Typography variant="caption" sx={{ display: 'block', mt: 1, opacity: 0.7 }}>
+        * Some hours have no cost rate and are costed at $0.
+      </Typography>
+    </Box>
+  );
+}
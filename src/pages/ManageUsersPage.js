@@ -28,10 +28,13 @@ import {
 } from 'firebase/firestore';
 import { auth, db } from '../firebase/firebase';
 import { useAuth } from '../contexts/AuthContext';
+import useUserRates from '../hooks/useUserRates';
+import { setUserCostRate } from '../services/userRateService';
 
 export default function ManageUsersPage() {
   const { currentUser, userProfile } = useAuth();
   const [users, setUsers] = useState([]);
+  const { rates } = useUserRates();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -122,6 +125,19 @@ export default function ManageUsersPage() {
     }
   };
 
+  // Hourly cost for job costing; blank falls back to the role rate in Settings
+  const handleCostRateChange = async (uid, newVal) => {
+    const rate = newVal === '' ? null : Number(newVal);
+    if (rate !== null && (!Number.isFinite(rate) || rate < 0)) return;
+
+    try {
+      await setUserCostRate(uid, rate);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
   if (loading) {
     return (
       <Box textAlign="center" mt={4}>
@@ -216,6 +232,15 @@ export default function ManageUsersPage() {
                 onChange={e => handleShortNameChange(user.id, e.target.value)}
                 size="small"
               />
+              <TextField
+                label="Cost $/h"
+                type="number"
+                value={rates[user.id] ?? ''}
+                onChange={e => handleCostRateChange(user.id, e.target.value)}
+                inputProps={{ min: 0, step: 0.5 }}
+                size="small"
+                sx={{ width: 110 }}
+              />
               <FormControl sx={{ minWidth: 120 }}>
                 <Select
                   value={user.role}
@@ -0,0 +1,152 @@
+// src/pages/MyJobsPage.js
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Box,
+  CircularProgress,
+  Switch,
+  Stack,
+  Typography,
+} from "@mui/material";
+import { useHistory } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import { subscribeToStaffJobs } from "../services/jobService";
+import { cacheAssignedJobs } from "../services/offlineCache";
+import useActiveTimers from "../hooks/useActiveTimers";
+import {
+  groupByInstallDay,
+  isScheduleVisible,
+  sortForSchedule,
+} from "../utils/jobUtils";
+import JobCard from "../components/JobCard";
+
+/**
+ * Staff landing page: only the jobs the signed-in installer is assigned to,
+ * kept live so reassignments by a manager show up straight away.
+ */
+export default function MyJobsPage() {
+  const history = useHistory();
+  const { currentUser, userMap } = useAuth();
+  const uid = currentUser?.uid;
+
+  const [showCompleted, setShowCompleted] = useState(false); // default OFF
+  const [loading, setLoading] = useState(true);
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => {
+    if (!uid) return;
+    setLoading(true);
+    const unsub = subscribeToStaffJobs(
+      uid,
+      (snap) => {
+        setJobs(snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) })));
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Failed to load my jobs", err);
+        setLoading(false);
+      }
+    );
+    return () => unsub();
+  }, [uid]);
+
+  // Keep today's jobs, plans and photos on the device for no-signal sites
+  useEffect(() => {
+    if (!uid) return;
+    cacheAssignedJobs(uid);
+    const onOnline = () => cacheAssignedJobs(uid);
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, [uid]);
+
+  const filtered = useMemo(
+    () =>
+      sortForSchedule(
+        jobs.filter((j) => isScheduleVisible(j, { showCompleted }))
+      ),
+    [jobs, showCompleted]
+  );
+
+  const jobIds = useMemo(() => filtered.map((j) => j.id), [filtered]);
+  const { byJob: timersByJob } = useActiveTimers(jobIds);
+
+  const groups = useMemo(() => groupByInstallDay(filtered), [filtered]);
+
+  const me =
+    userMap?.[uid]?.shortName ||
+    userMap?.[uid]?.displayName ||
+    currentUser?.email ||
+    "";
+
+  if (loading) {
+    return (
+      <Box
+        sx={{
+          p: 4,
+          color: "#fff",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          gap: 2,
+        }}
+      >
+        <CircularProgress sx={{ color: "#fff" }} />
+        <Typography>Loading your jobs…</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: { xs: 1.5, sm: 2, md: 3 } }}>
+      {/* Top controls */}
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          gap: 2,
+          flexWrap: "wrap",
+          mb: 2,
+        }}
+      >
+        <Typography variant="h6" sx={{ fontWeight: 700 }}>
+          My Jobs{me ? ` — ${me}` : ""}
+        </Typography>
+
+        <Box sx={{ ml: "auto", display: "flex", alignItems: "center", gap: 1 }}>
+          <Switch
+            checked={showCompleted}
+            onChange={(e) => setShowCompleted(e.target.checked)}
+            color="default"
+          />
+          <Typography>Show Completed</Typography>
+        </Box>
+      </Box>
+
+      {groups.length === 0 && (
+        <Typography sx={{ opacity: 0.8 }}>
+          No jobs are assigned to you right now.
+        </Typography>
+      )}
+
+      {groups.map((g) => (
+        <Box key={g.label} sx={{ mb: 3 }}>
+          <Typography
+            variant="h5"
+            sx={{ color: "#fff", mb: 1.5, fontWeight: 700 }}
+          >
+            {g.label}
+          </Typography>
+          <Stack spacing={1.25}>
+            {g.items.map((j) => (
+              <JobCard
+                key={j.id}
+                job={j}
+                timers={timersByJob[j.id]}
+                onClick={() => history.push(`/jobs/${j.id}`)}
+              />
+            ))}
+          </Stack>
+        </Box>
+      ))}
+    </Box>
+  );
+}
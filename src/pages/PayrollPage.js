@@ -0,0 +1,206 @@
+// src/pages/PayrollPage.js
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import { FUNCTIONS_BASE } from '../firebase/firebase';
+import { addDays, dayKey, startOfDay, startOfWeek } from '../utils/jobUtils';
+
+// Keys match PAYROLL_LAYOUTS in functions/index.js; "custom" is set up in Settings
+const LAYOUTS = [
+  { value: 'generic', label: 'Generic CSV' },
+  { value: 'xero', label: 'Xero-style timesheet' },
+  { value: 'myob', label: 'MYOB-style timesheet' },
+  { value: 'custom', label: 'Custom (from Settings)' },
+];
+
+const cellSx = { color: '#fff', borderColor: 'rgba(255,255,255,0.08)' };
+
+/**
+ * Manager-only payroll export: approved hours per employee per day for a
+ * pay period, built by the exportPayroll function so the maths matches
+ * job hoursTotal.
+ */
+export default function PayrollPage() {
+  const { currentUser, isManager } = useAuth();
+
+  // Default to last full week (Mon–Sun)
+  const lastWeek = useMemo(() => addDays(startOfWeek(startOfDay(new Date())), -7), []);
+  const [from, setFrom] = useState(dayKey(lastWeek));
+  const [to, setTo] = useState(dayKey(addDays(lastWeek, 6)));
+  const [layout, setLayout] = useState('generic');
+  const [rows, setRows] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const callExport = async (extra = {}) => {
+    const token = await currentUser.getIdToken();
+    const params = new URLSearchParams({ from, to, layout, ...extra });
+    const res = await fetch(`${FUNCTIONS_BASE}/exportPayroll?${params}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!res.ok) throw new Error(await res.text());
+    return res;
+  };
+
+  const preview = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await callExport({ preview: '1' });
+      const data = await res.json();
+      setRows(data.rows || []);
+    } catch (err) {
+      console.error('Payroll preview failed', err);
+      setError(err.message || 'Preview failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const download = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await callExport();
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `payroll_${layout}_${from}_${to}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Payroll export failed', err);
+      setError(err.message || 'Export failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const totals = useMemo(() => {
+    const byName = new Map();
+    for (const r of rows || []) byName.set(r.name, (byName.get(r.name) || 0) + r.hours);
+    return Array.from(byName.entries());
+  }, [rows]);
+
+  if (!isManager) {
+    return (
+      <Box p={3}>
+        <Typography color="error">Access denied.</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 1000, mx: 'auto' }}>
+      <Typography variant="h4" gutterBottom>
+        Payroll Export
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        Only approved time entries are included. Approve entries on each job first.
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          label="From"
+          type="date"
+          InputLabelProps={{ shrink: true }}
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+        />
+        <TextField
+          label="To"
+          type="date"
+          InputLabelProps={{ shrink: true }}
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+        />
+        <TextField
+          select
+          label="Layout"
+          value={layout}
+          onChange={(e) => setLayout(e.target.value)}
+          sx={{ minWidth: 220 }}
+        >
+          {LAYOUTS.map((l) => (
+            <MenuItem key={l.value} value={l.value}>
+              {l.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button variant="outlined" onClick={preview} disabled={busy || !from || !to}>
+          Preview
+        </Button>
+        <Button variant="contained" onClick={download} disabled={busy || !from || !to}>
+          {busy ? 'Working…' : 'Download CSV'}
+        </Button>
+      </Paper>
+
+      {error && (
+        <Typography color="error" sx={{ mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+
+      {rows && (
+        <>
+          <Typography variant="h6" sx={{ mb: 1 }}>
+            {rows.length ? 'Totals' : 'No approved hours in this period.'}
+          </Typography>
+          {totals.map(([name, hours]) => (
+            <Typography key={name}>
+              {name}: <strong>{(Math.round(hours * 100) / 100).toFixed(2)} h</strong>
+            </Typography>
+          ))}
+
+          {rows.length > 0 && (
+            <TableContainer
+              component={Paper}
+              sx={{ mt: 2, bgcolor: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.10)' }}
+            >
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={cellSx}>Employee</TableCell>
+                    <TableCell sx={cellSx}>Date</TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      Hours
+                    </TableCell>
+                    <TableCell sx={cellSx}>Jobs</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rows.map((r) => (
+                    <TableRow key={`${r.employeeId}-${r.day}`}>
+                      <TableCell sx={cellSx}>{r.name}</TableCell>
+                      <TableCell sx={cellSx}>{r.day}</TableCell>
+                      <TableCell sx={cellSx} align="right">
+                        {r.hours.toFixed(2)}
+                      </TableCell>
+                      <TableCell sx={cellSx}>{r.jobs}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
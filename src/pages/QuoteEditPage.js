@@ -0,0 +1,341 @@
+// src/pages/QuoteEditPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { useHistory, useParams } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Grid,
+  Paper,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import PictureAsPdfRoundedIcon from '@mui/icons-material/PictureAsPdfRounded';
+import { useAuth } from '../contexts/AuthContext';
+import useSettings from '../hooks/useSettings';
+import { QUOTE_DEFAULTS } from '../services/settingsService';
+import {
+  acceptQuote,
+  createQuote,
+  getQuote,
+  saveQuote,
+  setQuoteStatus,
+} from '../services/quoteService';
+import { addDays, dayKey, startOfDay, toJSDate } from '../utils/jobUtils';
+import { fmtMoney } from '../utils/costing';
+import { labourHours, lineItemTotals, newLineItem, quoteStatusMeta } from '../utils/quotes';
+import generateLineItemPDF from '../utils/lineItemPdf';
+import LineItemsEditor from '../components/LineItemsEditor';
+
+const CLIENT_FIELDS = [
+  { key: 'clientName', label: 'Client Name', required: true },
+  { key: 'company', label: 'Company' },
+  { key: 'contact', label: 'Contact' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'email', label: 'Email' },
+  { key: 'address', label: 'Address' },
+];
+
+const EMPTY_CLIENT = Object.fromEntries(CLIENT_FIELDS.map((f) => [f.key, '']));
+
+const parseDay = (key) => {
+  if (!key) return null;
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/**
+ * Build or edit a quote (manager-only). Accepting creates the job and opens
+ * it in the editor so it can be scheduled.
+ */
+export default function QuoteEditPage() {
+  const { quoteId } = useParams();
+  const isNew = !quoteId;
+  const history = useHistory();
+  const { currentUser, isManager } = useAuth();
+  const quoteSettings = useSettings('quotes', QUOTE_DEFAULTS);
+
+  const [quote, setQuote] = useState(null); // saved doc (null while new)
+  const [client, setClient] = useState(EMPTY_CLIENT);
+  const [scope, setScope] = useState('');
+  const [lines, setLines] = useState([newLineItem('sign')]);
+  const [taxRate, setTaxRate] = useState('');
+  const [validUntil, setValidUntil] = useState('');
+  const [loading, setLoading] = useState(!isNew);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isNew) return;
+    let cancelled = false;
+    getQuote(quoteId)
+      .then((q) => {
+        if (cancelled) return;
+        setQuote(q);
+        if (!q) return;
+        setClient(Object.fromEntries(CLIENT_FIELDS.map((f) => [f.key, q[f.key] || ''])));
+        setScope(q.scope || '');
+        setLines(q.lines || []);
+        setTaxRate(String(q.taxRate ?? ''));
+        const valid = toJSDate(q.validUntil);
+        setValidUntil(valid ? dayKey(valid) : '');
+      })
+      .catch((err) => {
+        console.error('Failed to load quote', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [quoteId, isNew]);
+
+  // New quotes pick up GST and validity from Settings
+  useEffect(() => {
+    if (!isNew) return;
+    setTaxRate(String(quoteSettings.taxRate));
+    setValidUntil(dayKey(addDays(startOfDay(new Date()), Number(quoteSettings.validDays) || 30)));
+  }, [isNew, quoteSettings]);
+
+  const totals = useMemo(() => lineItemTotals(lines, taxRate), [lines, taxRate]);
+  const hours = useMemo(() => labourHours(lines), [lines]);
+
+  const status = quote?.status || 'draft';
+  const locked = status === 'accepted';
+  const statusMeta = quoteStatusMeta(status);
+
+  const fields = () => ({
+    ...Object.fromEntries(CLIENT_FIELDS.map((f) => [f.key, client[f.key].trim()])),
+    scope: scope.trim(),
+    lines: lines
+      .filter((l) => l.description.trim() || Number(l.unitPrice))
+      .map((l) => ({
+        id: l.id,
+        type: l.type,
+        description: l.description.trim(),
+        qty: Number(l.qty) || 0,
+        unitPrice: Number(l.unitPrice) || 0,
+      })),
+    taxRate: Number(taxRate) || 0,
+    validUntil: parseDay(validUntil),
+  });
+
+  // Saves the form; returns the quote id (new quotes get one here)
+  const persist = async () => {
+    if (!client.clientName.trim()) throw new Error('Client name is required.');
+    if (isNew) {
+      const id = await createQuote(fields(), currentUser?.uid);
+      history.replace(`/quotes/${id}`);
+      return id;
+    }
+    if (!locked) await saveQuote(quoteId, fields());
+    return quoteId;
+  };
+
+  const run = async (fn) => {
+    setError('');
+    setBusy(true);
+    try {
+      await fn();
+    } catch (err) {
+      console.error('Quote action failed', err);
+      setError(err.message || 'Something went wrong.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () =>
+    run(async () => {
+      const id = await persist();
+      if (!isNew) setQuote(await getQuote(id));
+    });
+
+  const changeStatus = (next) =>
+    run(async () => {
+      const id = await persist();
+      await setQuoteStatus(id, next);
+      setQuote(await getQuote(id));
+    });
+
+  const accept = () => {
+    if (!hours && !window.confirm('This quote has no labour hours. Create the job anyway?')) return;
+    if (!window.confirm('Accept this quote and create the job?')) return;
+    run(async () => {
+      const id = await persist();
+      const jobId = await acceptQuote(id, currentUser?.uid);
+      history.push(`/jobs/${jobId}/edit`);
+    });
+  };
+
+  const downloadPdf = () => {
+    const f = fields();
+    generateLineItemPDF({
+      title: 'QUOTE',
+      businessName: quoteSettings.businessName,
+      meta: [
+        ['Quote', quote?.number || 'Draft'],
+        ['Date', dayKey(toJSDate(quote?.createdAt) || new Date())],
+        ['Valid until', validUntil],
+      ],
+      client: f,
+      lines: f.lines,
+      totals,
+      taxRate: f.taxRate,
+      notes: [f.scope, quoteSettings.terms].filter(Boolean).join('\n\n'),
+      fileName: `Quote_${quote?.number || 'draft'}.pdf`,
+    });
+  };
+
+  if (!isManager) {
+    return (
+      <Box p={3}>
+        <Typography color="error">Access denied.</Typography>
+      </Box>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Box textAlign="center" mt={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!isNew && !quote) {
+    return (
+      <Box p={3}>
+        <Typography>Quote not found.</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 1000, mx: 'auto' }}>
+      <Stack direction="row" alignItems="center" spacing={1.5} sx={{ mb: 2 }}>
+        <Typography variant="h4">{isNew ? 'New Quote' : `Quote ${quote.number || ''}`}</Typography>
+        {!isNew && (
+          <Chip label={statusMeta.label} sx={{ bgcolor: statusMeta.color, color: '#fff' }} />
+        )}
+      </Stack>
+      {error && (
+        <Typography color="error" sx={{ mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Typography variant="h6" sx={{ mb: 1 }}>
+          Client
+        </Typography>
+        <Grid container spacing={2}>
+          {CLIENT_FIELDS.map((f) => (
+            <Grid item xs={12} sm={6} key={f.key}>
+              <TextField
+                label={f.label}
+                fullWidth
+                required={f.required}
+                disabled={locked}
+                value={client[f.key]}
+                onChange={(e) => setClient((prev) => ({ ...prev, [f.key]: e.target.value }))}
+              />
+            </Grid>
+          ))}
+          <Grid item xs={12}>
+            <TextField
+              label="Scope of work"
+              fullWidth
+              multiline
+              minRows={3}
+              disabled={locked}
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+            />
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Typography variant="h6" sx={{ mb: 1 }}>
+          Line Items
+        </Typography>
+        <LineItemsEditor lines={lines} onChange={setLines} disabled={locked} />
+
+        <Stack direction="row" spacing={2} sx={{ mt: 2, flexWrap: 'wrap', rowGap: 1 }} alignItems="center">
+          <TextField
+            size="small"
+            label="GST %"
+            type="number"
+            disabled={locked}
+            value={taxRate}
+            onChange={(e) => setTaxRate(e.target.value)}
+            sx={{ width: 100 }}
+          />
+          <TextField
+            size="small"
+            label="Valid until"
+            type="date"
+            InputLabelProps={{ shrink: true }}
+            disabled={locked}
+            value={validUntil}
+            onChange={(e) => setValidUntil(e.target.value)}
+          />
+          <Box sx={{ flexGrow: 1 }} />
+          <Box sx={{ textAlign: 'right' }}>
+            <Typography variant="body2">Labour: {hours} h</Typography>
+            <Typography variant="body2">Subtotal: {fmtMoney(totals.subtotal)}</Typography>
+            <Typography variant="body2">GST: {fmtMoney(totals.tax)}</Typography>
+            <Typography sx={{ fontWeight: 700 }}>Total: {fmtMoney(totals.total)}</Typography>
+          </Box>
+        </Stack>
+      </Paper>
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+        {!locked && (
+          <Button variant="contained" onClick={save} disabled={busy}>
+            {busy ? 'Working…' : 'Save'}
+          </Button>
+        )}
+        <Button variant="outlined" startIcon={<PictureAsPdfRoundedIcon />} onClick={downloadPdf}>
+          Download PDF
+        </Button>
+        {!isNew && status === 'draft' && (
+          <Button variant="outlined" onClick={() => changeStatus('sent')} disabled={busy}>
+            Mark Sent
+          </Button>
+        )}
+        {(status === 'draft' || status === 'sent') && (
+          <>
+            <Button variant="contained" color="success" onClick={accept} disabled={busy}>
+              Accept &amp; Create Job
+            </Button>
+            {!isNew && (
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={() => changeStatus('declined')}
+                disabled={busy}
+              >
+                Mark Declined
+              </Button>
+            )}
+          </>
+        )}
+        {status === 'declined' && (
+          <Button variant="outlined" onClick={() => changeStatus('draft')} disabled={busy}>
+            Reopen as Draft
+          </Button>
+        )}
+        {quote?.jobId && (
+          <Button variant="contained" onClick={() => history.push(`/jobs/${quote.jobId}`)}>
+            Open Job
+          </Button>
+        )}
+        <Button onClick={() => history.push('/quotes')}>Back to Quotes</Button>
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,144 @@
+// src/pages/QuoteListPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link as RouterLink, useHistory } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Chip,
+  Link,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import { subscribeToQuotes } from '../services/quoteService';
+import { dayKey, toJSDate } from '../utils/jobUtils';
+import { fmtMoney } from '../utils/costing';
+import { QUOTE_STATUSES, quoteStatusMeta } from '../utils/quotes';
+
+const cellSx = { color: '#fff', borderColor: 'rgba(255,255,255,0.08)' };
+
+/** Manager-only list of quotes, filterable by status. */
+export default function QuoteListPage() {
+  const { isManager } = useAuth();
+  const history = useHistory();
+  const [quotes, setQuotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('all');
+
+  useEffect(() => {
+    if (!isManager) return undefined;
+    return subscribeToQuotes(
+      (list) => {
+        setQuotes(list);
+        setLoading(false);
+      },
+      (err) => {
+        console.error('Failed to load quotes', err);
+        setLoading(false);
+      }
+    );
+  }, [isManager]);
+
+  const shown = useMemo(
+    () => (status === 'all' ? quotes : quotes.filter((q) => (q.status || 'draft') === status)),
+    [quotes, status]
+  );
+
+  if (!isManager) {
+    return (
+      <Box p={3}>
+        <Typography color="error">Access denied.</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 1100, mx: 'auto' }}>
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+        <Typography variant="h4">Quotes</Typography>
+        <Button variant="contained" onClick={() => history.push('/quotes/new')}>
+          New Quote
+        </Button>
+      </Stack>
+
+      <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap', rowGap: 1 }}>
+        {[{ value: 'all', label: 'All' }, ...QUOTE_STATUSES].map((s) => (
+          <Chip
+            key={s.value}
+            label={`${s.label} (${
+              s.value === 'all'
+                ? quotes.length
+                : quotes.filter((q) => (q.status || 'draft') === s.value).length
+            })`}
+            onClick={() => setStatus(s.value)}
+            variant={status === s.value ? 'filled' : 'outlined'}
+            sx={{ color: '#fff' }}
+          />
+        ))}
+      </Stack>
+
+      <TableContainer
+        component={Paper}
+        sx={{ bgcolor: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.10)' }}
+      >
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Number</TableCell>
+              <TableCell sx={cellSx}>Client</TableCell>
+              <TableCell sx={cellSx}>Status</TableCell>
+              <TableCell sx={cellSx}>Created</TableCell>
+              <TableCell sx={cellSx} align="right">Total (inc GST)</TableCell>
+              <TableCell sx={cellSx}>Job</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {shown.map((q) => {
+              const meta = quoteStatusMeta(q.status);
+              const created = toJSDate(q.createdAt);
+              return (
+                <TableRow
+                  key={q.id}
+                  hover
+                  sx={{ cursor: 'pointer' }}
+                  onClick={() => history.push(`/quotes/${q.id}`)}
+                >
+                  <TableCell sx={cellSx}>{q.number || '—'}</TableCell>
+                  <TableCell sx={cellSx}>{q.clientName || q.company || '—'}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <Chip size="small" label={meta.label} sx={{ bgcolor: meta.color, color: '#fff' }} />
+                  </TableCell>
+                  <TableCell sx={cellSx}>{created ? dayKey(created) : '—'}</TableCell>
+                  <TableCell sx={cellSx} align="right">{fmtMoney(q.total || 0)}</TableCell>
+                  <TableCell sx={cellSx} onClick={(e) => e.stopPropagation()}>
+                    {q.jobId ? (
+                      <Link component={RouterLink} to={`/jobs/${q.jobId}`} sx={{ color: '#90caf9' }}>
+                        Open job
+                      </Link>
+                    ) : (
+                      '—'
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+            {!loading && shown.length === 0 && (
+              <TableRow>
+                <TableCell sx={cellSx} colSpan={6}>
+                  No quotes here yet.
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
@@ -0,0 +1,421 @@
+// src/pages/ResourceTimelinePage.js
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import ChevronLeftRoundedIcon from '@mui/icons-material/ChevronLeftRounded';
+import ChevronRightRoundedIcon from '@mui/icons-material/ChevronRightRounded';
+import { useHistory } from 'react-router-dom';
+import { subscribeToUnscheduledJobs, updateJobSchedule } from '../services/jobService';
+import { useAuth } from '../contexts/AuthContext';
+import useJobsBetween from '../hooks/useJobsBetween';
+import useSettings from '../hooks/useSettings';
+import { SCHEDULING_DEFAULTS } from '../services/settingsService';
+import { buildBookingIndex, describeConflict, findConflicts } from '../utils/scheduleConflicts';
+import {
+  addDays,
+  assignedIds,
+  dayKey,
+  daysBetween,
+  isScheduleVisible,
+  jobDayRange,
+  layoutDaySegments,
+  startOfDay,
+  startOfWeek,
+  toJSDate,
+} from '../utils/jobUtils';
+
+const DAYS = 14;
+const LANE_HEIGHT = 32;
+const UNASSIGNED = '__unassigned__';
+
+const userLabel = (u) => u?.shortName || u?.displayName || u?.email || 'User';
+
+export default function ResourceTimelinePage() {
+  const history = useHistory();
+  const { userList, userMap, isManager: canEdit } = useAuth();
+
+  const [anchor, setAnchor] = useState(() => startOfWeek(new Date()));
+  const [unscheduledJobs, setUnscheduledJobs] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [hoverCell, setHoverCell] = useState(null); // `${uid}|${dayKey}`
+  const [dragging, setDragging] = useState(false);
+  const [pendingMove, setPendingMove] = useState(null); // { job, next, clashes }
+
+  // { jobId, fromUid, grabDay } for the bar being dragged
+  const dragRef = useRef(null);
+
+  // Only the jobs the window can show (or clash with), plus unscheduled ones
+  const windowEnd = useMemo(() => addDays(anchor, DAYS), [anchor]);
+  const { jobs: scheduled, loading } = useJobsBetween(anchor, windowEnd);
+
+  useEffect(
+    () =>
+      subscribeToUnscheduledJobs(
+        (snap) => setUnscheduledJobs(snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }))),
+        (err) => console.error('Failed to load unscheduled jobs', err)
+      ),
+    []
+  );
+
+  const jobs = useMemo(() => [...scheduled, ...unscheduledJobs], [scheduled, unscheduledJobs]);
+
+  // Open jobs only — completed work can't be rescheduled from here
+  const openJobs = useMemo(
+    () => jobs.filter((j) => isScheduleVisible(j, { showCompleted: false })),
+    [jobs]
+  );
+
+  const lanes = useMemo(() => {
+    const people = [...(userList || [])].sort((a, b) => userLabel(a).localeCompare(userLabel(b)));
+    const rows = people.map((u) => ({
+      uid: u.id,
+      label: userLabel(u),
+      jobs: openJobs.filter((j) => assignedIds(j).includes(u.id)),
+    }));
+    rows.push({
+      uid: UNASSIGNED,
+      label: 'Unassigned',
+      jobs: openJobs.filter((j) => assignedIds(j).length === 0),
+    });
+    return rows;
+  }, [userList, openJobs]);
+
+  const unscheduled = useMemo(() => openJobs.filter((j) => !jobDayRange(j)), [openJobs]);
+
+  const days = useMemo(
+    () => Array.from({ length: DAYS }, (_, i) => addDays(anchor, i)),
+    [anchor]
+  );
+
+  // ---------- move logic ----------
+  const buildMove = (job, fromUid, toUid, dropDay, grabDay) => {
+    const range = jobDayRange(job);
+    const shift = range && grabDay ? daysBetween(grabDay, dropDay) : 0;
+    const start = range ? addDays(range.start, shift) : startOfDay(dropDay);
+    const end = range ? addDays(range.end, shift) : startOfDay(dropDay);
+
+    // keep the time of day for jobs that have an install time
+    const install = toJSDate(job.installDate);
+    const installDate = new Date(start);
+    if (install && job.installTime) {
+      installDate.setHours(install.getHours(), install.getMinutes(), 0, 0);
+    }
+
+    let assignedTo = assignedIds(job);
+    if (fromUid !== toUid) {
+      assignedTo = assignedTo.filter((uid) => uid !== fromUid);
+      if (toUid !== UNASSIGNED && !assignedTo.includes(toUid)) assignedTo.push(toUid);
+    }
+
+    return { installDate, startDate: start, endDate: end, assignedTo };
+  };
+
+  const schedulingSettings = useSettings('scheduling', SCHEDULING_DEFAULTS);
+  const bookingIndex = useMemo(
+    () => buildBookingIndex(openJobs, schedulingSettings),
+    [openJobs, schedulingSettings]
+  );
+
+  const findClashes = (job, next) =>
+    findConflicts(
+      { ...job, ...next, isMultiDay: next.endDate > next.startDate },
+      bookingIndex,
+      schedulingSettings
+    );
+
+  const applyMove = async (job, next) => {
+    setSaving(true);
+    try {
+      await updateJobSchedule(job.id, next);
+    } catch (err) {
+      console.error('Failed to reschedule job', err);
+      alert('Failed to move job. See console for details.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDrop = (toUid, dropDay) => {
+    setHoverCell(null);
+    setDragging(false);
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || !canEdit) return;
+
+    const job = jobs.find((j) => j.id === drag.jobId);
+    if (!job) return;
+
+    const next = buildMove(job, drag.fromUid, toUid, dropDay, drag.grabDay);
+    const range = jobDayRange(job);
+    const sameDays =
+      range && range.start.getTime() === next.startDate.getTime();
+    if (sameDays && drag.fromUid === toUid) return; // dropped where it was
+
+    const clashes = findClashes(job, next);
+    if (clashes.length) {
+      setPendingMove({ job, next, clashes });
+      return;
+    }
+    applyMove(job, next);
+  };
+
+  const startDrag = (e, job, fromUid, segment) => {
+    if (!canEdit) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const perDay = rect.width / (segment ? segment.span : 1);
+    const offset = Math.max(0, Math.floor((e.clientX - rect.left) / perDay));
+    const grabDay = segment ? addDays(anchor, segment.col - 1 + offset) : null;
+    dragRef.current = { jobId: job.id, fromUid, grabDay };
+    setDragging(true);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', job.id); // Firefox needs data to start a drag
+  };
+
+  // ---------- render helpers ----------
+  const renderBar = (job, fromUid, segment) => {
+    const install = toJSDate(job.installDate);
+    const timeStr =
+      job.installTime && install && !segment?.startsBefore
+        ? install.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' })
+        : '';
+    return (
+      <Tooltip key={`${fromUid}-${job.id}`} title={job.address || job.clientName || ''}>
+        <Box
+          draggable={canEdit}
+          onDragStart={(e) => startDrag(e, job, fromUid, segment)}
+          onDragEnd={() => {
+            setHoverCell(null);
+            setDragging(false);
+          }}
+          onClick={() => history.push(`/jobs/${job.id}`)}
+          sx={{
+            ...(segment
+              ? {
+                  gridColumn: `${segment.col + 1} / span ${segment.span}`,
+                  gridRow: segment.lane + 1,
+                  zIndex: 1,
+                }
+              : {}),
+            mx: 0.5,
+            px: 1,
+            height: LANE_HEIGHT - 6,
+            alignSelf: 'center',
+            display: 'flex',
+            alignItems: 'center',
+            gap: 0.75,
+            overflow: 'hidden',
+            whiteSpace: 'nowrap',
+            cursor: canEdit ? 'grab' : 'pointer',
+            // let drops reach the day cells underneath while dragging
+            pointerEvents: dragging && segment ? 'none' : 'auto',
+            bgcolor: 'rgba(33,150,243,0.25)',
+            border: '1px solid rgba(33,150,243,0.55)',
+            color: '#bbdefb',
+            borderRadius: 1.5,
+            fontSize: 13,
+            fontWeight: 700,
+            ':hover': { filter: 'brightness(1.2)' },
+          }}
+        >
+          {timeStr && <span style={{ color: '#ffc107' }}>{timeStr}</span>}
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {job.clientName || 'Untitled'}
+          </span>
+        </Box>
+      </Tooltip>
+    );
+  };
+
+  if (loading) {
+    return (
+      <Box
+        sx={{
+          p: 4,
+          color: '#fff',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          gap: 2,
+        }}
+      >
+        <CircularProgress sx={{ color: '#fff' }} />
+        <Typography>Loading schedule…</Typography>
+      </Box>
+    );
+  }
+
+  const gridCols = `160px repeat(${DAYS}, minmax(84px, 1fr))`;
+  const todayKey = dayKey(new Date());
+
+  return (
+    <Box sx={{ p: { xs: 1.5, sm: 2, md: 3 } }}>
+      {/* Reassign confirmation */}
+      <Dialog open={!!pendingMove} onClose={() => setPendingMove(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Overlapping jobs</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            Moving <strong>{pendingMove?.job.clientName || 'this job'}</strong> will double-book:
+          </Typography>
+          {(pendingMove?.clashes || []).map((c) => (
+            <Typography key={`${c.uid}-${c.job.id}-${c.type}`} variant="body2">
+              • {describeConflict(c, userMap)}
+            </Typography>
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingMove(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="warning"
+            onClick={() => {
+              const { job, next } = pendingMove;
+              setPendingMove(null);
+              applyMove(job, next);
+            }}
+          >
+            Move anyway
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Top controls */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap', mb: 2 }}>
+        <Typography variant="h6" sx={{ fontWeight: 700 }}>
+          Installer Schedule
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <IconButton onClick={() => setAnchor((a) => addDays(a, -7))} sx={{ color: '#fff' }} aria-label="Previous week">
+            <ChevronLeftRoundedIcon />
+          </IconButton>
+          <Button size="small" sx={{ color: '#fff' }} onClick={() => setAnchor(startOfWeek(new Date()))}>
+            Today
+          </Button>
+          <IconButton onClick={() => setAnchor((a) => addDays(a, 7))} sx={{ color: '#fff' }} aria-label="Next week">
+            <ChevronRightRoundedIcon />
+          </IconButton>
+        </Box>
+        {saving && <CircularProgress size={20} sx={{ color: '#fff' }} />}
+        {!canEdit && (
+          <Typography variant="body2" sx={{ ml: 'auto', opacity: 0.7 }}>
+            View only — managers can drag jobs to reschedule.
+          </Typography>
+        )}
+      </Box>
+
+      {/* Unscheduled tray */}
+      {canEdit && unscheduled.length > 0 && (
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 0.5, opacity: 0.85 }}>
+            Unscheduled — drag onto a day to schedule
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+            {unscheduled.map((j) => renderBar(j, UNASSIGNED, null))}
+          </Box>
+        </Box>
+      )}
+
+      <Box
+        sx={{
+          borderRadius: 2,
+          bgcolor: 'rgba(255,255,255,0.04)',
+          border: '1px solid rgba(255,255,255,0.10)',
+          overflowX: 'auto',
+        }}
+      >
+        <Box sx={{ minWidth: 160 + DAYS * 84 }}>
+          {/* Day header */}
+          <Box sx={{ display: 'grid', gridTemplateColumns: gridCols }}>
+            <Box />
+            {days.map((d) => (
+              <Typography
+                key={dayKey(d)}
+                variant="caption"
+                sx={{
+                  px: 0.75,
+                  py: 0.75,
+                  fontWeight: 700,
+                  color: dayKey(d) === todayKey ? '#ffc107' : '#fff',
+                  borderLeft: '1px solid rgba(255,255,255,0.08)',
+                }}
+              >
+                {d.toLocaleDateString('en-AU', { weekday: 'short', day: '2-digit', month: '2-digit' })}
+              </Typography>
+            ))}
+          </Box>
+
+          {/* One lane per installer */}
+          {lanes.map((lane) => {
+            const segments = layoutDaySegments(lane.jobs, anchor, DAYS);
+            const rows = Math.max(1, segments.reduce((m, s) => Math.max(m, s.lane + 1), 0));
+            return (
+              <Box
+                key={lane.uid}
+                sx={{
+                  display: 'grid',
+                  gridTemplateColumns: gridCols,
+                  gridTemplateRows: `repeat(${rows}, ${LANE_HEIGHT}px)`,
+                  borderTop: '1px solid rgba(255,255,255,0.08)',
+                  py: 0.5,
+                }}
+              >
+                <Typography
+                  sx={{
+                    gridColumn: 1,
+                    gridRow: `1 / ${rows + 1}`,
+                    px: 1.5,
+                    alignSelf: 'center',
+                    fontWeight: 700,
+                    opacity: lane.uid === UNASSIGNED ? 0.7 : 1,
+                  }}
+                >
+                  {lane.label}
+                </Typography>
+
+                {days.map((d, i) => {
+                  const cellKey = `${lane.uid}|${dayKey(d)}`;
+                  return (
+                    <Box
+                      key={cellKey}
+                      onDragOver={(e) => {
+                        if (!canEdit || !dragRef.current) return;
+                        e.preventDefault();
+                        if (hoverCell !== cellKey) setHoverCell(cellKey);
+                      }}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        handleDrop(lane.uid, d);
+                      }}
+                      sx={{
+                        gridColumn: i + 2,
+                        gridRow: `1 / ${rows + 1}`,
+                        borderLeft: '1px solid rgba(255,255,255,0.08)',
+                        bgcolor:
+                          hoverCell === cellKey
+                            ? 'rgba(33,150,243,0.18)'
+                            : dayKey(d) === todayKey
+                            ? 'rgba(255,193,7,0.06)'
+                            : 'transparent',
+                      }}
+                    />
+                  );
+                })}
+
+                {segments.map((s) => renderBar(s.job, lane.uid, s))}
+              </Box>
+            );
+          })}
+        </Box>
+      </Box>
+    </Box>
+  );
+}
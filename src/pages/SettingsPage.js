@@ -0,0 +1,578 @@
+// src/pages/SettingsPage.js
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControlLabel,
+  Grid,
+  Paper,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import { FUNCTIONS_BASE } from '../firebase/firebase';
+import useSettings from '../hooks/useSettings';
+import useUserRates from '../hooks/useUserRates';
+import {
+  INVOICE_DEFAULTS,
+  PAYROLL_DEFAULTS,
+  QUOTE_DEFAULTS,
+  SCHEDULING_DEFAULTS,
+  TIMER_DEFAULTS,
+  saveSettings,
+} from '../services/settingsService';
+import { ROLE_RATE_DEFAULTS, saveRoleRates } from '../services/userRateService';
+
+function TimerSettings() {
+  const timers = useSettings('timers', TIMER_DEFAULTS);
+  const [form, setForm] = useState(TIMER_DEFAULTS);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(timers);
+  }, [timers]);
+
+  const save = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      await saveSettings('timers', {
+        maxTimerHours: Math.max(1, Number(form.maxTimerHours) || TIMER_DEFAULTS.maxTimerHours),
+        stopAtWorkdayEnd: !!form.stopAtWorkdayEnd,
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Timers
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        Timers left running are stopped automatically and the installer and managers are emailed
+        so the entry can be corrected.
+      </Typography>
+      {error && <Typography color="error" sx={{ mb: 1 }}>{error}</Typography>}
+
+      <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Stop after (hours)"
+            type="number"
+            fullWidth
+            inputProps={{ min: 1, step: 0.5 }}
+            value={form.maxTimerHours}
+            onChange={(e) => setForm((prev) => ({ ...prev, maxTimerHours: e.target.value }))}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={9}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={!!form.stopAtWorkdayEnd}
+                onChange={(e) => setForm((prev) => ({ ...prev, stopAtWorkdayEnd: e.target.checked }))}
+              />
+            }
+            label="Also stop at the end of the working day"
+          />
+        </Grid>
+      </Grid>
+
+      <Button sx={{ mt: 2 }} variant="contained" onClick={save} disabled={saving}>
+        {saving ? 'Saving…' : 'Save'}
+      </Button>
+    </Paper>
+  );
+}
+
+function PayrollSettings() {
+  const payroll = useSettings('payroll', PAYROLL_DEFAULTS);
+  const [form, setForm] = useState(PAYROLL_DEFAULTS);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(payroll);
+  }, [payroll]);
+
+  const set = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const save = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      await saveSettings('payroll', {
+        earningsRate: form.earningsRate.trim() || PAYROLL_DEFAULTS.earningsRate,
+        customDateFormat: form.customDateFormat.trim() || PAYROLL_DEFAULTS.customDateFormat,
+        customColumns: form.customColumns,
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Payroll export
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        Custom layout: one <code>Header=field</code> per line. Fields: employeeId, name, firstName,
+        lastName, email, date, hours, earningsRate, jobs. Employee ID uses a user&apos;s payrollId
+        when set.
+      </Typography>
+      {error && <Typography color="error" sx={{ mb: 1 }}>{error}</Typography>}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            label="Earnings rate / pay category"
+            fullWidth
+            value={form.earningsRate}
+            onChange={set('earningsRate')}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            label="Custom date format"
+            fullWidth
+            helperText="YYYY, MM and DD are replaced"
+            value={form.customDateFormat}
+            onChange={set('customDateFormat')}
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <TextField
+            label="Custom columns"
+            fullWidth
+            multiline
+            minRows={3}
+            value={form.customColumns}
+            onChange={set('customColumns')}
+          />
+        </Grid>
+      </Grid>
+
+      <Button sx={{ mt: 2 }} variant="contained" onClick={save} disabled={saving}>
+        {saving ? 'Saving…' : 'Save'}
+      </Button>
+    </Paper>
+  );
+}
+
+function CostingSettings() {
+  const { roleRates: costing } = useUserRates();
+  const [form, setForm] = useState(ROLE_RATE_DEFAULTS);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(costing);
+  }, [costing]);
+
+  const set = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }));
+  const rate = (v) => (v === '' || v === null || !Number.isFinite(Number(v)) ? '' : Number(v));
+
+  const save = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      await saveRoleRates({
+        staffRate: rate(form.staffRate),
+        managerRate: rate(form.managerRate),
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Job costing
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        Hourly cost (ex GST) used for anyone without their own rate on Manage Users.
+      </Typography>
+      {error && <Typography color="error" sx={{ mb: 1 }}>{error}</Typography>}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Staff $/h"
+            type="number"
+            fullWidth
+            inputProps={{ min: 0, step: 0.5 }}
+            value={form.staffRate}
+            onChange={set('staffRate')}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Manager $/h"
+            type="number"
+            fullWidth
+            inputProps={{ min: 0, step: 0.5 }}
+            value={form.managerRate}
+            onChange={set('managerRate')}
+          />
+        </Grid>
+      </Grid>
+
+      <Button sx={{ mt: 2 }} variant="contained" onClick={save} disabled={saving}>
+        {saving ? 'Saving…' : 'Save'}
+      </Button>
+    </Paper>
+  );
+}
+
+function QuoteSettings() {
+  const quotes = useSettings('quotes', QUOTE_DEFAULTS);
+  const [form, setForm] = useState(QUOTE_DEFAULTS);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(quotes);
+  }, [quotes]);
+
+  const set = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const save = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      await saveSettings('quotes', {
+        businessName: form.businessName.trim(),
+        taxRate: Math.max(0, Number(form.taxRate) || 0),
+        validDays: Math.max(1, Number(form.validDays) || QUOTE_DEFAULTS.validDays),
+        terms: form.terms,
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Quotes
+      </Typography>
+      {error && <Typography color="error" sx={{ mb: 1 }}>{error}</Typography>}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            label="Business name (on PDFs)"
+            fullWidth
+            value={form.businessName}
+            onChange={set('businessName')}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            label="GST %"
+            type="number"
+            fullWidth
+            inputProps={{ min: 0, step: 0.5 }}
+            value={form.taxRate}
+            onChange={set('taxRate')}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            label="Valid for (days)"
+            type="number"
+            fullWidth
+            inputProps={{ min: 1 }}
+            value={form.validDays}
+            onChange={set('validDays')}
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <TextField
+            label="Terms (printed on quote PDFs)"
+            fullWidth
+            multiline
+            minRows={3}
+            value={form.terms}
+            onChange={set('terms')}
+          />
+        </Grid>
+      </Grid>
+
+      <Button sx={{ mt: 2 }} variant="contained" onClick={save} disabled={saving}>
+        {saving ? 'Saving…' : 'Save'}
+      </Button>
+    </Paper>
+  );
+}
+
+function InvoiceSettings() {
+  const invoicing = useSettings('invoicing', INVOICE_DEFAULTS);
+  const [form, setForm] = useState(INVOICE_DEFAULTS);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(invoicing);
+  }, [invoicing]);
+
+  const set = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const save = async () => {
+    setError('');
+    // Jobs without a quote are billed at this rate; blank would bill labour at $0
+    const labourRate = Number(form.labourRate);
+    if (form.labourRate === '' || !Number.isFinite(labourRate) || labourRate <= 0) {
+      setError('Enter a labour charge rate above $0.');
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveSettings('invoicing', {
+        paymentTermsDays: Math.max(0, Number(form.paymentTermsDays) || 0),
+        labourRate,
+        materialsMarkupPercent: Math.max(0, Number(form.materialsMarkupPercent) || 0),
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Invoices
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        An invoice is created when a job is completed. Jobs from a quote are invoiced at the quoted
+        lines; other jobs at actual hours and materials using the rates below.
+      </Typography>
+      {error && <Typography color="error" sx={{ mb: 1 }}>{error}</Typography>}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            label="Payment terms (days)"
+            type="number"
+            fullWidth
+            inputProps={{ min: 0 }}
+            value={form.paymentTermsDays}
+            onChange={set('paymentTermsDays')}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            label="Labour charge $/h"
+            type="number"
+            fullWidth
+            inputProps={{ min: 0, step: 0.5 }}
+            value={form.labourRate}
+            onChange={set('labourRate')}
+            helperText="Billed on jobs without a quote"
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            label="Materials markup %"
+            type="number"
+            fullWidth
+            inputProps={{ min: 0 }}
+            value={form.materialsMarkupPercent}
+            onChange={set('materialsMarkupPercent')}
+          />
+        </Grid>
+      </Grid>
+
+      <Button sx={{ mt: 2 }} variant="contained" onClick={save} disabled={saving}>
+        {saving ? 'Saving…' : 'Save'}
+      </Button>
+    </Paper>
+  );
+}
+
+function MaintenanceSettings() {
+  const { currentUser } = useAuth();
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const rebuildHours = async () => {
+    if (!window.confirm('Recount logged hours on every job from its time entries?')) return;
+    setMessage('');
+    setBusy(true);
+    try {
+      const token = await currentUser.getIdToken();
+      const res = await fetch(`${FUNCTIONS_BASE}/rebuildJobHours`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) throw new Error((await res.text()) || `HTTP ${res.status}`);
+      const { rebuilt } = await res.json();
+      setMessage(`Rebuilt hours on ${rebuilt} job${rebuilt === 1 ? '' : 's'}.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Rebuild failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Maintenance
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+        Job hour totals are kept up to date as time is logged. If a job&apos;s totals look wrong,
+        rebuild them from the time entries.
+      </Typography>
+      <Button variant="outlined" color="inherit" onClick={rebuildHours} disabled={busy}>
+        {busy ? 'Rebuilding…' : 'Rebuild hours totals'}
+      </Button>
+      {message && (
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          {message}
+        </Typography>
+      )}
+    </Paper>
+  );
+}
+
+export default function SettingsPage() {
+  const { isManager } = useAuth();
+  const scheduling = useSettings('scheduling', SCHEDULING_DEFAULTS);
+
+  const [form, setForm] = useState(SCHEDULING_DEFAULTS);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // keep the form in step with the live doc
+  useEffect(() => {
+    setForm(scheduling);
+  }, [scheduling]);
+
+  const set = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const save = async () => {
+    setError('');
+    if (form.workdayEnd <= form.workdayStart) {
+      setError('Working day must end after it starts.');
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveSettings('scheduling', {
+        travelBufferMinutes: Math.max(0, Number(form.travelBufferMinutes) || 0),
+        workdayStart: form.workdayStart,
+        workdayEnd: form.workdayEnd,
+        defaultJobHours: Math.max(0.25, Number(form.defaultJobHours) || SCHEDULING_DEFAULTS.defaultJobHours),
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isManager) {
+    return (
+      <Box p={3}>
+        <Typography color="error">Access denied.</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 900, mx: 'auto' }}>
+      <Typography variant="h4" gutterBottom>
+        Settings
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Scheduling
+        </Typography>
+        <Typography variant="body2" sx={{ mb: 2, opacity: 0.8 }}>
+          Used to flag installers who are double-booked on the job list, calendar and job forms.
+        </Typography>
+        {error && <Typography color="error" sx={{ mb: 1 }}>{error}</Typography>}
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              label="Travel buffer (minutes)"
+              type="number"
+              fullWidth
+              inputProps={{ min: 0, step: 5 }}
+              value={form.travelBufferMinutes}
+              onChange={set('travelBufferMinutes')}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              label="Working day starts"
+              type="time"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={form.workdayStart}
+              onChange={set('workdayStart')}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              label="Working day ends"
+              type="time"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={form.workdayEnd}
+              onChange={set('workdayEnd')}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              label="Default job length (h)"
+              type="number"
+              fullWidth
+              inputProps={{ min: 0.25, step: 0.25 }}
+              helperText="For jobs with no quoted hours"
+              value={form.defaultJobHours}
+              onChange={set('defaultJobHours')}
+            />
+          </Grid>
+        </Grid>
+
+        <Button sx={{ mt: 2 }} variant="contained" onClick={save} disabled={saving}>
+          {saving ? 'Saving…' : 'Save'}
+        </Button>
+      </Paper>
+
+      <TimerSettings />
+      <PayrollSettings />
+      <CostingSettings />
+      <QuoteSettings />
+      <InvoiceSettings />
+      <MaintenanceSettings />
+    </Box>
+  );
+}
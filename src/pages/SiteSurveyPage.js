@@ -13,7 +13,7 @@ import { createSurvey } from '../services/surveyService';
 import { useHistory, useLocation } from 'react-router-dom';
 import { db } from '../firebase/firebase';
 import { doc, getDoc } from 'firebase/firestore';
-import UploadOverlay from '../components/UploadOverlay';
+import { makePreviewImage } from '../utils/imageResize';
 
 const SurveyAnnotator = lazy(() => import('../components/SurveyAnnotator'));
 
@@ -21,45 +21,6 @@ const FUNCTIONS_BASE =
   process.env.REACT_APP_FUNCTIONS_BASE ||
   'https://us-central1-install-scheduler.cloudfunctions.net';
 
-async function makePreviewImage(file, { maxDim = 2048, quality = 0.8 } = {}) {
-  const dataURL = await new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
-  });
-
-  const img = await new Promise((resolve, reject) => {
-    const image = new Image();
-    image.onload = () => resolve(image);
-    image.onerror = reject;
-    image.src = dataURL;
-  });
-
-  const { width, height } = img;
-  const scale = Math.min(1, maxDim / Math.max(width, height));
-  const targetW = Math.round(width * scale);
-  const targetH = Math.round(height * scale);
-
-  const canvas = document.createElement('canvas');
-  canvas.width = targetW;
-  canvas.height = targetH;
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(img, 0, 0, targetW, targetH);
-
-  const blob = await new Promise((resolve) =>
-    canvas.toBlob(resolve, 'image/jpeg', quality)
-  );
-
-  return {
-    blob,
-    url: URL.createObjectURL(blob),
-    width: targetW,
-    height: targetH,
-    original: { width, height },
-  };
-}
-
 export default function SiteSurveyPage() {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
@@ -247,7 +208,11 @@ export default function SiteSurveyPage() {
 
   return (
     <Box sx={{ p: isMobile ? 1 : 2, bgcolor: '#0f172a', minHeight: '100vh' }}>
-      <UploadOverlay open={busy} text="Saving survey… Please don’t exit the app" />
+      {/* Per-file progress shows in the app-wide UploadOverlay above this */}
+      <Backdrop open={busy} sx={{ zIndex: 2000, color: '#fff', flexDirection: 'column', gap: 1.5 }}>
+        <CircularProgress />
+        <Typography sx={{ fontWeight: 600 }}>Saving survey…</Typography>
+      </Backdrop>
 
       <Box
         sx={{
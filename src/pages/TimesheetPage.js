@@ -0,0 +1,329 @@
+// src/pages/TimesheetPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Link,
+  MenuItem,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableFooter,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import ChevronLeftRoundedIcon from '@mui/icons-material/ChevronLeftRounded';
+import ChevronRightRoundedIcon from '@mui/icons-material/ChevronRightRounded';
+import WarningAmberRoundedIcon from '@mui/icons-material/WarningAmberRounded';
+import { Link as RouterLink } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import useJobNames from '../hooks/useJobNames';
+import { subscribeToUserEntriesBetween } from '../services/timeEntryService';
+import { addDays, startOfDay, startOfWeek } from '../utils/jobUtils';
+import { buildWeekSheet, GAP_FLAG_MINUTES } from '../utils/timesheet';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const fmtHours = (h) => (h ? (Math.round(h * 100) / 100).toFixed(2) : '—');
+const fmtTime = (ts) =>
+  ts?.toDate?.()?.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) || 'now';
+const fmtMinutes = (m) => (m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`);
+
+const userLabel = (u) => u?.shortName || u?.displayName || u?.email || 'User';
+
+const cellSx = { color: '#fff', borderColor: 'rgba(255,255,255,0.08)' };
+
+export default function TimesheetPage() {
+  const { currentUser, isManager, userList } = useAuth();
+
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(startOfDay(new Date())));
+  const [uid, setUid] = useState(currentUser?.uid || '');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(new Date());
+
+  // Staff only ever see their own sheet
+  const sheetUid = isManager ? uid : currentUser?.uid;
+
+  useEffect(() => {
+    if (!sheetUid) return;
+    setLoading(true);
+    const unsub = subscribeToUserEntriesBetween(
+      sheetUid,
+      weekStart,
+      addDays(weekStart, 7),
+      (list) => {
+        setEntries(list);
+        setLoading(false);
+      },
+      (err) => {
+        console.error('Failed to load timesheet', err);
+        setLoading(false);
+      },
+    );
+    return () => unsub();
+  }, [sheetUid, weekStart]);
+
+  // Running timers keep counting
+  useEffect(() => {
+    const id = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(id);
+  }, []);
+
+  const sheet = useMemo(() => buildWeekSheet(entries, weekStart, now), [entries, weekStart, now]);
+  const jobNames = useJobNames(sheet.rows.map((r) => r.jobId));
+
+  const rows = useMemo(
+    () =>
+      [...sheet.rows].sort((a, b) =>
+        (jobNames[a.jobId] || '').localeCompare(jobNames[b.jobId] || ''),
+      ),
+    [sheet.rows, jobNames],
+  );
+
+  const people = useMemo(
+    () => [...(userList || [])].sort((a, b) => userLabel(a).localeCompare(userLabel(b))),
+    [userList],
+  );
+
+  const weekTitle = `${weekStart.toLocaleDateString('en-AU', { day: 'numeric', month: 'short' })} – ${addDays(
+    weekStart,
+    6,
+  ).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+
+  const issueDays = sheet.issues.map((list, i) => ({ i, list })).filter((d) => d.list.length > 0);
+
+  return (
+    <Box sx={{ p: { xs: 1.5, sm: 2, md: 3 } }}>
+      {/* Top controls */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap', mb: 2 }}>
+        <Typography variant="h6" sx={{ fontWeight: 700 }}>
+          Timesheet
+        </Typography>
+
+        {isManager && (
+          <TextField
+            select
+            size="small"
+            label="Installer"
+            value={uid}
+            onChange={(e) => setUid(e.target.value)}
+            sx={{ minWidth: 200 }}
+          >
+            {people.map((u) => (
+              <MenuItem key={u.id} value={u.id}>
+                {userLabel(u)}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <IconButton
+            onClick={() => setWeekStart((w) => addDays(w, -7))}
+            sx={{ color: '#fff' }}
+            aria-label="Previous week"
+          >
+            <ChevronLeftRoundedIcon />
+          </IconButton>
+          <Button
+            size="small"
+            sx={{ color: '#fff' }}
+            onClick={() => setWeekStart(startOfWeek(startOfDay(new Date())))}
+          >
+            This week
+          </Button>
+          <IconButton
+            onClick={() => setWeekStart((w) => addDays(w, 7))}
+            sx={{ color: '#fff' }}
+            aria-label="Next week"
+          >
+            <ChevronRightRoundedIcon />
+          </IconButton>
+        </Box>
+
+        <Typography sx={{ fontWeight: 700 }}>{weekTitle}</Typography>
+
+        <Chip
+          sx={{ ml: 'auto', bgcolor: 'rgba(33,150,243,0.25)', color: '#fff', fontWeight: 700 }}
+          label={`Week total: ${fmtHours(sheet.weekTotal)} h`}
+        />
+      </Box>
+
+      {loading ? (
+        <Box sx={{ p: 4, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 2 }}>
+          <CircularProgress sx={{ color: '#fff' }} />
+          <Typography>Loading timesheet…</Typography>
+        </Box>
+      ) : (
+        <>
+          <TableContainer
+            component={Paper}
+            sx={{ bgcolor: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.10)' }}
+          >
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ ...cellSx, fontWeight: 700 }}>Job</TableCell>
+                  {WEEKDAYS.map((label, i) => {
+                    const d = addDays(weekStart, i);
+                    const flagged = sheet.issues[i].length > 0;
+                    return (
+                      <TableCell key={label} align="right" sx={{ ...cellSx, fontWeight: 700 }}>
+                        <Box sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5 }}>
+                          {flagged && (
+                            <WarningAmberRoundedIcon fontSize="small" sx={{ color: '#ffc107' }} />
+                          )}
+                          {label} {d.getDate()}/{d.getMonth() + 1}
+                        </Box>
+                      </TableCell>
+                    );
+                  })}
+                  <TableCell align="right" sx={{ ...cellSx, fontWeight: 700 }}>
+                    Total
+                  </TableCell>
+                </TableRow>
+              </TableHead>
+
+              <TableBody>
+                {rows.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={9} sx={{ ...cellSx, opacity: 0.8 }}>
+                      No time logged this week.
+                    </TableCell>
+                  </TableRow>
+                )}
+                {rows.map((r) => (
+                  <TableRow key={r.jobId}>
+                    <TableCell sx={cellSx}>
+                      <Link
+                        component={RouterLink}
+                        to={`/jobs/${r.jobId}`}
+                        sx={{ color: '#90caf9', fontWeight: 600 }}
+                      >
+                        {jobNames[r.jobId] || 'Loading…'}
+                      </Link>
+                      {r.running && (
+                        <Chip
+                          size="small"
+                          label="Running"
+                          sx={{ ml: 1, bgcolor: 'rgba(76,175,80,0.25)', color: '#fff' }}
+                        />
+                      )}
+                    </TableCell>
+                    {r.days.map((h, i) => (
+                      <TableCell key={i} align="right" sx={{ ...cellSx, opacity: h ? 1 : 0.4 }}>
+                        {fmtHours(h)}
+                      </TableCell>
+                    ))}
+                    <TableCell align="right" sx={{ ...cellSx, fontWeight: 700 }}>
+                      {fmtHours(r.total)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+
+              <TableFooter>
+                <TableRow>
+                  <TableCell sx={{ ...cellSx, fontWeight: 700 }}>Daily total</TableCell>
+                  {sheet.dayTotals.map((h, i) => (
+                    <TableCell
+                      key={i}
+                      align="right"
+                      sx={{
+                        ...cellSx,
+                        fontWeight: 700,
+                        bgcolor: sheet.issues[i].length ? 'rgba(255,193,7,0.12)' : 'transparent',
+                      }}
+                    >
+                      {fmtHours(h)}
+                    </TableCell>
+                  ))}
+                  <TableCell align="right" sx={{ ...cellSx, fontWeight: 800 }}>
+                    {fmtHours(sheet.weekTotal)}
+                  </TableCell>
+                </TableRow>
+              </TableFooter>
+            </Table>
+          </TableContainer>
+
+          {/* Overlaps and gaps */}
+          {issueDays.length > 0 && (
+            <Paper
+              sx={{
+                mt: 2,
+                p: 2,
+                bgcolor: 'rgba(255,193,7,0.06)',
+                border: '1px solid rgba(255,193,7,0.3)',
+              }}
+            >
+              <Typography variant="subtitle1" sx={{ fontWeight: 700, mb: 1 }}>
+                Check these days
+              </Typography>
+              <Typography variant="body2" sx={{ opacity: 0.8, mb: 1.5 }}>
+                Overlapping timers, and breaks over {GAP_FLAG_MINUTES} minutes between timed
+                entries.
+              </Typography>
+              <Stack spacing={1}>
+                {issueDays.map(({ i, list }) => (
+                  <Box key={i}>
+                    <Typography sx={{ fontWeight: 700 }}>
+                      {addDays(weekStart, i).toLocaleDateString('en-AU', {
+                        weekday: 'long',
+                        day: 'numeric',
+                        month: 'short',
+                      })}
+                    </Typography>
+                    {list.map((issue, k) => (
+                      <Typography key={k} variant="body2" sx={{ pl: 1.5 }}>
+                        {issue.type === 'overlap' ? (
+                          <Chip
+                            size="small"
+                            color="error"
+                            label={`Overlap ${fmtMinutes(issue.minutes)}`}
+                            sx={{ mr: 1 }}
+                          />
+                        ) : (
+                          <Chip
+                            size="small"
+                            color="warning"
+                            label={`Gap ${fmtMinutes(issue.minutes)}`}
+                            sx={{ mr: 1 }}
+                          />
+                        )}
+                        <Link
+                          component={RouterLink}
+                          to={`/jobs/${issue.a.jobId}`}
+                          sx={{ color: '#90caf9' }}
+                        >
+                          {jobNames[issue.a.jobId] || 'job'}
+                        </Link>{' '}
+                        {fmtTime(issue.a.start)}–{fmtTime(issue.a.end)} →{' '}
+                        <Link
+                          component={RouterLink}
+                          to={`/jobs/${issue.b.jobId}`}
+                          sx={{ color: '#90caf9' }}
+                        >
+                          {jobNames[issue.b.jobId] || 'job'}
+                        </Link>{' '}
+                        {fmtTime(issue.b.start)}–{fmtTime(issue.b.end)}
+                      </Typography>
+                    ))}
+                  </Box>
+                ))}
+              </Stack>
+            </Paper>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,62 @@
+/* eslint-disable no-restricted-globals */
+// src/service-worker.js
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js
+// and registered from serviceWorkerRegistration.js.
+//
+// - the app shell (JS/CSS/index.html) is precached, so the app opens with no
+//   signal and every route falls back to index.html
+// - job photos and plans from Firebase Storage are cached as they're viewed
+//   (and ahead of time by services/offlineCache), so they open offline too
+// - Firestore data is not handled here; the SDK keeps its own offline cache
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { APP_VERSION } from './version';
+import { JOB_FILES_CACHE } from './utils/offlineFiles';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get the app shell, except Cloud Function URLs and real files
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(({ request, url }) => {
+  if (request.mode !== 'navigate') return false;
+  if (url.pathname.startsWith('/_')) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html'));
+
+// Storage download URLs carry their own token and never change, so a
+// cached copy is always good. Opaque (no-cors <img>) responses are kept too.
+registerRoute(
+  ({ url }) =>
+    url.origin === 'https://firebasestorage.googleapis.com' ||
+    url.origin === 'https://storage.googleapis.com',
+  new CacheFirst({
+    cacheName: JOB_FILES_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 500, maxAgeSeconds: 14 * 24 * 60 * 60, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// Same-origin images and icons outside the precache (e.g. public/ files)
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination === 'image',
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+self.addEventListener('message', (event) => {
+  // UpdatePrompt: "Reload" activates the waiting worker
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+  // UpdatePrompt asks a waiting worker which version it would install
+  if (event.data?.type === 'GET_VERSION') event.ports[0]?.postMessage(APP_VERSION);
+});
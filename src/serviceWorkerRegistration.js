@@ -0,0 +1,82 @@
+// src/serviceWorkerRegistration.js
+// Registers build/service-worker.js (production builds only) and tracks a
+// newly installed version waiting to take over, for UpdatePrompt.
+
+let waiting = null; // { worker, version }
+const listeners = new Set();
+// Set once the user accepts the update; the first install also takes
+// control of the page (clientsClaim) and must not reload it.
+let reloadOnControllerChange = false;
+
+function setWaiting(next) {
+  waiting = next;
+  listeners.forEach((fn) => fn(waiting));
+}
+
+// Ask the waiting worker which APP_VERSION it carries
+function askVersion(worker) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), 3000);
+    channel.port1.onmessage = (e) => {
+      clearTimeout(timer);
+      resolve(e.data || null);
+    };
+    worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+  });
+}
+
+async function offerUpdate(worker) {
+  // No controller means this is the first install, not an update
+  if (!navigator.serviceWorker.controller) return;
+  setWaiting({ worker, version: await askVersion(worker) });
+}
+
+function watch(registration) {
+  if (registration.waiting) offerUpdate(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    if (!installing) return;
+    installing.addEventListener('statechange', () => {
+      if (installing.state === 'installed') offerUpdate(installing);
+    });
+  });
+}
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(
+        `${process.env.PUBLIC_URL}/service-worker.js`
+      );
+      watch(registration);
+      // Installers leave the app open all day; look for releases hourly
+      setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    } catch (err) {
+      console.error('Service worker registration failed', err);
+    }
+  });
+
+  // Once the accepted update takes over, reload onto the new build
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!reloadOnControllerChange) return;
+    reloadOnControllerChange = false;
+    window.location.reload();
+  });
+}
+
+/** Live { worker, version } of an update waiting to install, or null. */
+export function subscribeToAppUpdate(listener) {
+  listeners.add(listener);
+  listener(waiting);
+  return () => listeners.delete(listener);
+}
+
+/** Activate the waiting version; the page reloads when it takes over. */
+export function applyAppUpdate() {
+  if (!waiting) return;
+  reloadOnControllerChange = true;
+  waiting.worker.postMessage({ type: 'SKIP_WAITING' });
+}
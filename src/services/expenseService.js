@@ -0,0 +1,119 @@
+// src/services/expenseService.js
+import { db, storage } from '../firebase/firebase';
+import {
+  collection,
+  collectionGroup,
+  deleteDoc,
+  doc,
+  increment,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  Timestamp,
+  where,
+} from 'firebase/firestore';
+import { deleteObject, ref } from 'firebase/storage';
+import { uploadPhoto } from './uploadService';
+import { expenseExGst } from '../utils/expenses';
+
+/**
+ * Expenses live in jobs/{jobId}/expenses. Receipts are stored next to the
+ * job's other uploads (jobs/{jobId}/expenses/…). Only approved expenses
+ * count towards the job: the ex-GST total is kept on the job as
+ * `expensesTotal`, moved in the same transaction as each review.
+ */
+const expensesCol = (jobId) => collection(db, 'jobs', jobId, 'expenses');
+
+const toExpense = (d) => ({ id: d.id, jobId: d.ref.parent.parent?.id, ...(d.data() || {}) });
+
+/** Live: one job's expenses, newest first. */
+export function subscribeToJobExpenses(jobId, onChange, onError) {
+  return onSnapshot(
+    query(expensesCol(jobId), orderBy('date', 'desc')),
+    (snap) => onChange(snap.docs.map(toExpense)),
+    onError
+  );
+}
+
+/** Live: every job's expenses dated in [from, to), for review and export. */
+export function subscribeToExpensesBetween(from, to, onChange, onError) {
+  const q = query(
+    collectionGroup(db, 'expenses'),
+    where('date', '>=', Timestamp.fromDate(from)),
+    where('date', '<', Timestamp.fromDate(to)),
+    orderBy('date')
+  );
+  return onSnapshot(q, (snap) => onChange(snap.docs.map(toExpense)), onError);
+}
+
+/** Record an expense (pending review), uploading the receipt first. */
+export async function addExpense(jobId, { amount, gst, category, supplier, date, note, receipt }, actor) {
+  const expenseRef = doc(expensesCol(jobId));
+  let receiptURL = null;
+  let receiptPath = null;
+  if (receipt) {
+    // Receipts need to stay legible, so allow a little more resolution
+    const uploaded = await uploadPhoto(`jobs/${jobId}/expenses`, receipt, { maxDim: 2560 });
+    receiptURL = uploaded.url;
+    receiptPath = uploaded.path;
+  }
+
+  await setDoc(expenseRef, {
+    amount: Number(amount) || 0,
+    gst: Number(gst) || 0,
+    category,
+    supplier: supplier || '',
+    date: Timestamp.fromDate(date),
+    note: note || '',
+    receiptURL,
+    receiptPath,
+    status: 'pending',
+    userId: actor?.uid || null,
+    userShortName: actor?.name || '',
+    createdAt: serverTimestamp(),
+  });
+  return expenseRef.id;
+}
+
+/**
+ * Manager review: 'approved' | 'rejected' | 'pending'. Moving into or out
+ * of 'approved' adjusts the job's expensesTotal by the expense's ex-GST cost.
+ */
+export function reviewExpense(jobId, expenseId, status, actor) {
+  const jobRef = doc(db, 'jobs', jobId);
+  const expenseRef = doc(expensesCol(jobId), expenseId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(expenseRef);
+    if (!snap.exists()) return;
+    const expense = snap.data() || {};
+    const was = expense.status === 'approved';
+    const now = status === 'approved';
+
+    tx.update(expenseRef, {
+      status,
+      reviewedAt: serverTimestamp(),
+      reviewedBy: actor?.uid || null,
+      reviewedByName: actor?.name || '',
+    });
+    if (was !== now) {
+      const delta = expenseExGst(expense) * (now ? 1 : -1);
+      tx.update(jobRef, { expensesTotal: increment(delta), updatedAt: serverTimestamp() });
+    }
+  });
+}
+
+/** Remove an expense that hasn't been approved, with its receipt. */
+export async function deleteExpense(expense) {
+  if (expense.status === 'approved') throw new Error('Approved expenses cannot be deleted.');
+  if (expense.receiptPath) {
+    try {
+      await deleteObject(ref(storage, expense.receiptPath));
+    } catch {
+      // receipt already gone
+    }
+  }
+  await deleteDoc(doc(expensesCol(expense.jobId), expense.id));
+}
@@ -0,0 +1,56 @@
+// src/services/invoiceService.js
+import { db } from '../firebase/firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc,
+} from 'firebase/firestore';
+import { lineItemTotals } from '../utils/quotes';
+
+/**
+ * Invoices are created by the createInvoiceOnCompletion function when a job
+ * is completed (numbered from counters/invoices). The office can adjust
+ * lines and due date until the invoice is paid.
+ */
+const invoiceRef = (invoiceId) => doc(db, 'invoices', invoiceId);
+
+/** Live: every invoice, newest first. */
+export function subscribeToInvoices(onChange, onError) {
+  const q = query(collection(db, 'invoices'), orderBy('issuedAt', 'desc'));
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }))),
+    onError
+  );
+}
+
+export async function getInvoice(invoiceId) {
+  const snap = await getDoc(invoiceRef(invoiceId));
+  return snap.exists() ? { id: snap.id, ...(snap.data() || {}) } : null;
+}
+
+/** Save edits; `finalise` turns a draft into an unpaid invoice once its issues are fixed. */
+export function saveInvoice(invoiceId, { lines, taxRate, dueDate, finalise = false }) {
+  return updateDoc(invoiceRef(invoiceId), {
+    lines,
+    taxRate,
+    ...lineItemTotals(lines, taxRate),
+    dueDate,
+    ...(finalise && { status: 'unpaid', issues: [] }),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+export function setInvoicePaid(invoiceId, paid, by) {
+  return updateDoc(invoiceRef(invoiceId), {
+    status: paid ? 'paid' : 'unpaid',
+    paidAt: paid ? serverTimestamp() : null,
+    paidBy: paid ? by || null : null,
+    updatedAt: serverTimestamp(),
+  });
+}
@@ -1,15 +1,146 @@
 import { db } from '../firebase/firebase';
-import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import {
+  collection,
+  doc,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  startAfter,
+  Timestamp,
+  updateDoc,
+  where,
+} from 'firebase/firestore';
 
-export function subscribeToAllJobs(onSnapshotCallback) {
+export function subscribeToAllJobs(onSnapshotCallback, onError) {
   const q = query(collection(db, 'jobs'));
-  return onSnapshot(q, onSnapshotCallback);
+  return onSnapshot(q, onSnapshotCallback, onError);
 }
 
-export function subscribeToStaffJobs(uid, onSnapshotCallback) {
+// assignedTo is an array of uids, so match membership rather than equality
+export function subscribeToStaffJobs(uid, onSnapshotCallback, onError) {
   const q = query(
     collection(db, 'jobs'),
-    where('assignedTo', '==', uid)
+    where('assignedTo', 'array-contains', uid)
   );
-  return onSnapshot(q, onSnapshotCallback);
+  return onSnapshot(q, onSnapshotCallback, onError);
+}
+
+/**
+ * Move a job in one write: new install moment, date-only range and crew.
+ * Dates are JS Dates; they're stored as Timestamps like CreateJobPage does.
+ */
+export function updateJobSchedule(jobId, { installDate, startDate, endDate, assignedTo }) {
+  return updateDoc(doc(db, 'jobs', jobId), {
+    installDate: installDate ? Timestamp.fromDate(installDate) : null,
+    startDate: startDate ? Timestamp.fromDate(startDate) : null,
+    endDate: endDate ? Timestamp.fromDate(endDate) : null,
+    assignedTo,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+// ---------- windowed job list (JobListPage) ----------
+
+/** Live: every job installing on/after `fromDate`, oldest first. */
+export function subscribeToJobsFrom(fromDate, onSnapshotCallback, onError) {
+  const q = query(
+    collection(db, 'jobs'),
+    where('installDate', '>=', Timestamp.fromDate(fromDate)),
+    orderBy('installDate')
+  );
+  return onSnapshot(q, onSnapshotCallback, onError);
+}
+
+/**
+ * Live: jobs installing between two dates (inclusive of `from`, exclusive
+ * of `to`). Completed jobs are included; status spellings vary, so callers
+ * drop them with isCompleted.
+ */
+export function subscribeToJobsInstalledBetween(from, to, onSnapshotCallback, onError) {
+  const q = query(
+    collection(db, 'jobs'),
+    where('installDate', '>=', Timestamp.fromDate(from)),
+    where('installDate', '<', Timestamp.fromDate(to)),
+    orderBy('installDate')
+  );
+  return onSnapshot(q, onSnapshotCallback, onError);
+}
+
+/**
+ * Live: jobs that began before `date` and are still running on it, i.e.
+ * multi-day jobs whose endDate (date-only) is on or after it.
+ */
+export function subscribeToJobsRunningInto(date, onSnapshotCallback, onError) {
+  const q = query(
+    collection(db, 'jobs'),
+    where('installDate', '<', Timestamp.fromDate(date)),
+    where('endDate', '>=', Timestamp.fromDate(date))
+  );
+  return onSnapshot(q, onSnapshotCallback, onError);
+}
+
+// Spellings isCompleted treats as done
+const COMPLETED_STATUSES = ['completed', 'Completed', 'complete', 'Complete'];
+
+/**
+ * Live: jobs installed before `beforeDate` that aren't completed yet
+ * (overdue or still running), so they stay on the list however old.
+ */
+export function subscribeToOpenJobsBefore(beforeDate, onSnapshotCallback, onError) {
+  const q = query(
+    collection(db, 'jobs'),
+    where('status', 'not-in', COMPLETED_STATUSES),
+    where('installDate', '<', Timestamp.fromDate(beforeDate))
+  );
+  return onSnapshot(q, onSnapshotCallback, onError);
+}
+
+/** Live: jobs saved without an install date. */
+export function subscribeToUnscheduledJobs(onSnapshotCallback, onError) {
+  const q = query(collection(db, 'jobs'), where('installDate', '==', null));
+  return onSnapshot(q, onSnapshotCallback, onError);
+}
+
+/**
+ * Live: one page of `pageSize` jobs installed before `beforeDate`, newest
+ * first, starting after `afterDoc` (the previous page's last snapshot, or
+ * null for the first page). Each page is its own listener, so paging back
+ * never re-reads the pages already open.
+ */
+export function subscribeToJobsBeforePage(beforeDate, pageSize, afterDoc, onSnapshotCallback, onError) {
+  const q = query(
+    collection(db, 'jobs'),
+    where('installDate', '<', Timestamp.fromDate(beforeDate)),
+    orderBy('installDate', 'desc'),
+    ...(afterDoc ? [startAfter(afterDoc)] : []),
+    limit(pageSize)
+  );
+  return onSnapshot(q, onSnapshotCallback, onError);
+}
+
+// ---------- costing ----------
+
+/** Sell price and material lines, as edited in JobCostingPanel (managers only). */
+export function updateJobCosting(jobId, { quotedPrice, materials }) {
+  return updateDoc(doc(db, 'jobs', jobId), {
+    quotedPrice,
+    materials,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/** One-off read of jobs installing between two dates (inclusive of `from`, exclusive of `to`). */
+export async function getJobsInstalledBetween(from, to) {
+  const snap = await getDocs(
+    query(
+      collection(db, 'jobs'),
+      where('installDate', '>=', Timestamp.fromDate(from)),
+      where('installDate', '<', Timestamp.fromDate(to)),
+      orderBy('installDate')
+    )
+  );
+  return snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }));
 }
@@ -0,0 +1,84 @@
+// src/services/offlineCache.js
+import { db } from '../firebase/firebase';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { addDays, jobDayRange, photoSrc, startOfDay } from '../utils/jobUtils';
+
+/**
+ * Get an installer's upcoming jobs onto the device while there's signal,
+ * so they open on site without it. Reading the jobs and their photo/plan
+ * subcollections puts them in Firestore's offline cache; fetching the
+ * files puts them in the service worker's Storage cache.
+ */
+
+// Today and tomorrow's jobs
+const AHEAD_DAYS = 2;
+// Don't redo it on every visit to My Jobs
+const MIN_INTERVAL_MS = 15 * 60 * 1000;
+
+// Read into Firestore's cache; the ones holding files are fetched too
+const SUBCOLLECTIONS = ['referencePhotos', 'plans', 'completedPhotos', 'timeEntries'];
+const FILE_SUBCOLLECTIONS = ['referencePhotos', 'plans', 'completedPhotos'];
+
+let lastRun = { uid: null, at: 0 };
+
+const isPdf = (p) => /\.pdf$/i.test(p.name || p.url?.split('?')[0] || '');
+
+// The URLs JobDetailPage will ask for: thumbnails in the grid, full size
+// in the preview dialog, and PDF plans (read back with CORS by openJobFile)
+function fileRequests(photos) {
+  const out = [];
+  for (const p of photos) {
+    if (!p.url) continue;
+    if (isPdf(p)) {
+      out.push({ url: p.url, mode: 'cors' });
+      continue;
+    }
+    // plans open their full-size original when they have one
+    out.push({ url: p.originalUrl || p.url, mode: 'no-cors' });
+    const thumb = photoSrc(p);
+    if (thumb !== p.url) out.push({ url: thumb, mode: 'no-cors' });
+  }
+  return out;
+}
+
+/** Warm the offline caches for `uid`'s jobs over the next couple of days. */
+export async function cacheAssignedJobs(uid) {
+  if (!uid || !navigator.onLine) return;
+  if (lastRun.uid === uid && Date.now() - lastRun.at < MIN_INTERVAL_MS) return;
+  lastRun = { uid, at: Date.now() };
+
+  try {
+    const today = startOfDay(new Date());
+    const until = addDays(today, AHEAD_DAYS);
+    const snap = await getDocs(query(collection(db, 'jobs'), where('assignedTo', 'array-contains', uid)));
+    const upcoming = snap.docs.filter((d) => {
+      const range = jobDayRange(d.data());
+      return range && range.end >= today && range.start < until;
+    });
+
+    const files = [];
+    for (const jobDoc of upcoming) {
+      const snaps = await Promise.all(
+        SUBCOLLECTIONS.map((name) => getDocs(collection(db, 'jobs', jobDoc.id, name)))
+      );
+      snaps.forEach((s, i) => {
+        if (FILE_SUBCOLLECTIONS.includes(SUBCOLLECTIONS[i])) {
+          files.push(...fileRequests(s.docs.map((d) => d.data())));
+        }
+      });
+    }
+
+    // Only worth fetching once the service worker is there to keep them
+    if (!navigator.serviceWorker?.controller) return;
+    for (const { url, mode } of files) {
+      if (!navigator.onLine) break;
+      try {
+        await fetch(url, { mode });
+      } catch (err) {
+        console.warn('Could not cache file for offline use', url, err);
+      }
+    }
+  } catch (err) {
+    console.error('Failed to cache jobs for offline use', err);
+  }
+}
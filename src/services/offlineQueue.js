@@ -0,0 +1,330 @@
+// src/services/offlineQueue.js
+import { auth, db } from '../firebase/firebase';
+import { collection, doc, serverTimestamp, setDoc, updateDoc } from 'firebase/firestore';
+import { onAuthStateChanged } from 'firebase/auth';
+import { startJobTimer, stopJobTimer } from './timerService';
+import { isUploadCancelled } from './uploadManager';
+import { uploadFileTo, uploadPhoto } from './uploadService';
+
+/**
+ * Work done on site without reception. Completed photos, signatures,
+ * installer notes and timer start/stop are written straight through when
+ * online. Offline, or when a write fails with a network error or times out
+ * (a weak signal still reports navigator.onLine), they go into an IndexedDB
+ * outbox on the device and are replayed, oldest first, once the connection
+ * is back (or the app is next opened). The Header shows how many are waiting.
+ *
+ * Items are replayed in order and a failure stops the pass, so a timer
+ * stop never reaches Firestore before its start. Every item is safe to
+ * replay after a write that timed out but did land: docs are written with
+ * ids chosen up front, and a photo that finished uploading keeps its
+ * Storage path in the payload so a replay only redoes the Firestore write.
+ * (A signature always overwrites the same file.)
+ *
+ * App calls startOfflineSync() once to replay the outbox in the background.
+ */
+
+const DB_NAME = 'install-scheduler-offline';
+const STORE = 'outbox';
+const RESYNC_MS = 60 * 1000;
+// A Firestore write still waiting after this is treated as offline
+const WRITE_TIMEOUT_MS = 15 * 1000;
+
+export const QUEUE_ITEM_LABELS = {
+  completedPhoto: 'Completed photo',
+  signature: 'Client signature',
+  notes: 'Installer notes',
+  timerStart: 'Timer start',
+  timerStop: 'Timer stop',
+};
+
+// ---------- IndexedDB ----------
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const idb = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const readAll = () => withStore('readonly', (s) => s.getAll());
+const putItem = (item) => withStore('readwrite', (s) => s.put(item));
+const deleteItem = (id) => withStore('readwrite', (s) => s.delete(id));
+
+// ---------- state for the Header ----------
+let state = { items: [], syncing: false, online: navigator.onLine };
+const listeners = new Set();
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  listeners.forEach((fn) => fn(state));
+}
+
+// Listeners get items without their blobs
+const summary = ({ blob, ...rest }) => rest;
+
+async function refresh() {
+  try {
+    const items = await readAll();
+    setState({ items: items.map(summary) });
+  } catch (err) {
+    console.error('Failed to read offline queue', err);
+  }
+}
+
+/** Live { items, syncing, online }. Returns an unsubscribe function. */
+export function subscribeToOfflineQueue(listener) {
+  listeners.add(listener);
+  listener(state);
+  return () => listeners.delete(listener);
+}
+
+async function enqueue(type, jobId, payload, blob = null) {
+  await putItem({ type, jobId, payload, blob, createdAt: Date.now(), attempts: 0, lastError: null });
+  await refresh();
+}
+
+/** Drop an item that can't be synced (e.g. its job was deleted). */
+export async function discardQueued(id) {
+  await deleteItem(id);
+  await refresh();
+}
+
+// ---------- network failures ----------
+const timeoutError = () => Object.assign(new Error('Timed out waiting for the server'), { code: 'offline-queue/timeout' });
+
+// Offline, Firestore writes wait for the server instead of failing
+function withTimeout(promise) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(timeoutError()), WRITE_TIMEOUT_MS);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+const NETWORK_CODES = [
+  'offline-queue/timeout',
+  'unavailable',
+  'deadline-exceeded',
+  'storage/retry-limit-exceeded',
+  'storage/unknown',
+];
+
+/** True for failures worth queueing and retrying later. */
+const isNetworkError = (err) =>
+  !navigator.onLine ||
+  NETWORK_CODES.includes(err?.code) ||
+  (err instanceof TypeError && /fetch|network/i.test(err.message));
+
+// ---------- what each item does when it reaches the server ----------
+const HANDLERS = {
+  completedPhoto: ({ jobId, blob, payload }) => {
+    const saveDoc = ({ url, path }) =>
+      withTimeout(
+        setDoc(doc(db, 'jobs', jobId, 'completedPhotos', payload.docId), {
+          url,
+          path,
+          createdAt: serverTimestamp(),
+        })
+      );
+    if (payload.uploaded) return saveDoc(payload.uploaded);
+    return uploadPhoto(`jobs/${jobId}/completed`, new File([blob], payload.name, { type: blob.type }), {
+      onUploaded: ({ url, path }) => {
+        // Queued with the item if the write below fails
+        payload.uploaded = { url, path };
+        return saveDoc(payload.uploaded);
+      },
+    });
+  },
+
+  signature: async ({ jobId, blob }) => {
+    const { url } = await uploadFileTo(`jobs/${jobId}/signature.png`, blob, {
+      label: 'Client signature',
+      contentType: 'image/png',
+    });
+    await withTimeout(
+      updateDoc(doc(db, 'jobs', jobId), { signatureURL: url, updatedAt: serverTimestamp() })
+    );
+    return url;
+  },
+
+  notes: ({ jobId, payload }) =>
+    withTimeout(
+      updateDoc(doc(db, 'jobs', jobId), {
+        installerNotes: payload.installerNotes,
+        updatedAt: serverTimestamp(),
+      })
+    ),
+
+  timerStart: ({ jobId, payload }) =>
+    withTimeout(startJobTimer(jobId, { ...payload, start: new Date(payload.start) })),
+
+  timerStop: ({ jobId, payload }) =>
+    withTimeout(stopJobTimer(jobId, payload.entryId, new Date(payload.end))),
+};
+
+let syncing = false;
+
+/** Replay the outbox, oldest first. Safe to call any time. */
+export async function syncOfflineQueue() {
+  if (syncing || !navigator.onLine || !auth.currentUser) return;
+  syncing = true;
+  setState({ syncing: true });
+  try {
+    const items = await readAll();
+    for (const item of items) {
+      if (!navigator.onLine) break;
+      try {
+        await HANDLERS[item.type](item);
+        await deleteItem(item.id);
+      } catch (err) {
+        console.error(`Offline sync failed for ${item.type}`, err);
+        await putItem({ ...item, attempts: item.attempts + 1, lastError: err?.message || String(err) });
+        break;
+      }
+      await refresh();
+    }
+  } catch (err) {
+    console.error('Offline sync failed', err);
+  } finally {
+    syncing = false;
+    setState({ syncing: false });
+    await refresh();
+  }
+}
+
+// ---------- actions: straight through online, queued offline ----------
+const offline = () => !navigator.onLine;
+
+/**
+ * Run `item` now, or queue it when offline or when running it fails with a
+ * network error. Resolves to { queued, result }.
+ */
+async function sendOrQueue(item, queue = () => enqueue(item.type, item.jobId, item.payload, item.blob)) {
+  if (offline()) {
+    await queue();
+    return { queued: true, result: null };
+  }
+  try {
+    return { queued: false, result: await HANDLERS[item.type](item) };
+  } catch (err) {
+    if (isUploadCancelled(err) || !isNetworkError(err)) throw err;
+    console.warn(`Network trouble; keeping ${item.type} on this device to sync later`, err);
+    await queue();
+    return { queued: true, result: null };
+  }
+}
+
+const newDocId = (jobId, sub) => doc(collection(db, 'jobs', jobId, sub)).id;
+
+/** Add a completed photo. Resolves to { queued }. */
+export async function addCompletedPhoto(jobId, file) {
+  const payload = { name: file.name || 'photo.jpg', docId: newDocId(jobId, 'completedPhotos') };
+  const { queued } = await sendOrQueue({ type: 'completedPhoto', jobId, payload, blob: file });
+  return { queued };
+}
+
+/** Save the client's signature PNG. Resolves to { queued, url }. */
+export async function saveJobSignature(jobId, blob) {
+  const { queued, result } = await sendOrQueue({ type: 'signature', jobId, payload: {}, blob });
+  return { queued, url: result };
+}
+
+/** Save installer notes; while queued, only the latest notes per job are kept. */
+export async function saveInstallerNotes(jobId, installerNotes) {
+  const queueLatest = async () => {
+    const existing = (await readAll()).find((i) => i.type === 'notes' && i.jobId === jobId);
+    if (existing) {
+      await putItem({ ...existing, payload: { installerNotes }, createdAt: Date.now() });
+      await refresh();
+    } else {
+      await enqueue('notes', jobId, { installerNotes });
+    }
+  };
+  const { queued } = await sendOrQueue({ type: 'notes', jobId, payload: { installerNotes } }, queueLatest);
+  return { queued };
+}
+
+/**
+ * Start this user's timer on a job. The entry id is made on the device so
+ * a queued start can be replayed safely and a later stop can refer to it;
+ * useRunningTimers shows queued timers as running until they sync.
+ */
+export async function startTimer(jobId, { uid, shortName, category }) {
+  const payload = {
+    id: newDocId(jobId, 'timeEntries'),
+    uid,
+    shortName: shortName || null,
+    category,
+    start: Date.now(),
+  };
+  const { queued } = await sendOrQueue({ type: 'timerStart', jobId, payload });
+  return { queued };
+}
+
+/** Stop a timer (including one started offline that hasn't synced yet). */
+export async function stopTimer(jobId, entryId) {
+  const item = { type: 'timerStop', jobId, payload: { entryId, end: Date.now() } };
+  // Its start is still queued: the stop has to wait behind it
+  if (state.items.some((i) => i.type === 'timerStart' && i.payload.id === entryId)) {
+    await enqueue(item.type, jobId, item.payload);
+    syncOfflineQueue();
+    return { queued: true };
+  }
+  const { queued } = await sendOrQueue(item);
+  return { queued };
+}
+
+// ---------- background sync ----------
+let stopSync = null;
+
+/**
+ * Replay the outbox when the connection returns, on sign-in and every
+ * minute while anything is waiting. Called once from App; returns a
+ * function that stops it.
+ */
+export function startOfflineSync() {
+  if (stopSync) return stopSync;
+
+  const onOnline = () => {
+    setState({ online: true });
+    syncOfflineQueue();
+  };
+  const onOffline = () => setState({ online: false });
+  window.addEventListener('online', onOnline);
+  window.addEventListener('offline', onOffline);
+  const unsubAuth = onAuthStateChanged(auth, (user) => {
+    if (user) refresh().then(syncOfflineQueue);
+  });
+  const timer = setInterval(() => {
+    if (state.items.length) syncOfflineQueue();
+  }, RESYNC_MS);
+
+  stopSync = () => {
+    window.removeEventListener('online', onOnline);
+    window.removeEventListener('offline', onOffline);
+    unsubAuth();
+    clearInterval(timer);
+    stopSync = null;
+  };
+  return stopSync;
+}
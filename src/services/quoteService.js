@@ -0,0 +1,132 @@
+// src/services/quoteService.js
+import { db } from '../firebase/firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  updateDoc,
+} from 'firebase/firestore';
+import { describeLines, labourHours, lineItemTotals } from '../utils/quotes';
+
+/**
+ * Quotes live in their own `quotes` collection (not in jobs like surveys)
+ * so drafts and declined quotes never reach the schedule. Numbers come from
+ * counters/quotes and are handed out in a transaction.
+ */
+const quoteRef = (quoteId) => doc(db, 'quotes', quoteId);
+
+// Fields a quote carries over to its job, same names as on jobs
+const CLIENT_FIELDS = ['clientName', 'company', 'contact', 'phone', 'email', 'address'];
+
+/** Live: every quote, newest first. */
+export function subscribeToQuotes(onChange, onError) {
+  const q = query(collection(db, 'quotes'), orderBy('createdAt', 'desc'));
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }))),
+    onError
+  );
+}
+
+export async function getQuote(quoteId) {
+  const snap = await getDoc(quoteRef(quoteId));
+  return snap.exists() ? { id: snap.id, ...(snap.data() || {}) } : null;
+}
+
+// Totals are stored so the list can show them without recomputing
+const withTotals = (fields) => ({
+  ...fields,
+  ...lineItemTotals(fields.lines, fields.taxRate),
+  labourHours: labourHours(fields.lines),
+});
+
+/** Create a draft quote with the next number (Q-0001, Q-0002 …). Returns its id. */
+export function createQuote(fields, createdBy) {
+  const ref = doc(collection(db, 'quotes'));
+  return runTransaction(db, async (tx) => {
+    const counterRef = doc(db, 'counters', 'quotes');
+    const counter = await tx.get(counterRef);
+    const next = counter.exists() ? Number(counter.get('next')) || 1 : 1;
+    tx.set(counterRef, { next: next + 1 }, { merge: true });
+    tx.set(ref, {
+      ...withTotals(fields),
+      number: `Q-${String(next).padStart(4, '0')}`,
+      status: 'draft',
+      createdBy: createdBy || null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    return ref.id;
+  });
+}
+
+export function saveQuote(quoteId, fields) {
+  return updateDoc(quoteRef(quoteId), { ...withTotals(fields), updatedAt: serverTimestamp() });
+}
+
+/** Move a quote to 'sent' or 'declined' (accepting goes through acceptQuote). */
+export function setQuoteStatus(quoteId, status) {
+  return updateDoc(quoteRef(quoteId), {
+    status,
+    [`${status}At`]: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Accept a quote and create its job in one transaction, carrying over the
+ * client fields, labour hours as allowedHours, the subtotal as the job's
+ * sell price, and a description from the scope and line items (like
+ * convertSurveyToJob). The job starts unscheduled. Accepting twice returns
+ * the job created the first time.
+ */
+export function acceptQuote(quoteId, acceptedBy) {
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(quoteRef(quoteId));
+    if (!snap.exists()) throw new Error('Quote not found');
+    const quote = snap.data() || {};
+    if (quote.jobId) return quote.jobId;
+
+    const jobRef = doc(collection(db, 'jobs'));
+    const client = Object.fromEntries(CLIENT_FIELDS.map((f) => [f, quote[f] || '']));
+    const hours = labourHours(quote.lines);
+
+    tx.set(jobRef, {
+      ...client,
+      description: [quote.scope, describeLines(quote.lines)].filter(Boolean).join('\n\n'),
+      allowedHours: hours || null,
+      quotedPrice: lineItemTotals(quote.lines, quote.taxRate).subtotal,
+      quoteId,
+      quoteNumber: quote.number || null,
+
+      installTime: null,
+      installDate: null,
+      startDate: null,
+      endDate: null,
+      isMultiDay: false,
+      assignedTo: [],
+      status: 'in progress',
+      isSurveyRequest: false,
+
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+      createdBy: acceptedBy || null,
+      hoursTotal: 0,
+      completedPhotoCount: 0,
+      companyLogoUrl: null,
+    });
+    tx.update(quoteRef(quoteId), {
+      status: 'accepted',
+      acceptedAt: serverTimestamp(),
+      acceptedBy: acceptedBy || null,
+      jobId: jobRef.id,
+      updatedAt: serverTimestamp(),
+    });
+    return jobRef.id;
+  });
+}
@@ -0,0 +1,65 @@
+// src/services/settingsService.js
+import { db } from '../firebase/firebase';
+import { doc, onSnapshot, serverTimestamp, setDoc } from 'firebase/firestore';
+
+/**
+ * App-wide settings live in settings/{section} docs.
+ * Missing fields fall back to the defaults below so a fresh project works
+ * without anyone visiting the settings page first.
+ */
+export const SCHEDULING_DEFAULTS = {
+  travelBufferMinutes: 30, // gap to leave between jobs for the same installer
+  workdayStart: '07:00',
+  workdayEnd: '16:00',
+  defaultJobHours: 4, // assumed on-site time when a job has no quoted hours
+};
+
+// Forgotten timers are closed by the autoStopForgottenTimers function;
+// keep these in step with TIMER_DEFAULTS in functions/index.js
+export const TIMER_DEFAULTS = {
+  maxTimerHours: 10, // longest a single timer may run
+  stopAtWorkdayEnd: true, // also stop at scheduling.workdayEnd on the day it started
+};
+
+// Read by the exportPayroll function; keep in step with PAYROLL_DEFAULTS there
+export const PAYROLL_DEFAULTS = {
+  earningsRate: 'Ordinary Hours', // pay item name written into Xero/MYOB layouts
+  customDateFormat: 'DD/MM/YYYY',
+  customColumns: 'Employee=name\nDate=date\nHours=hours', // "Header=field" per line
+};
+
+// New quotes start from these; each quote keeps its own copy once created.
+// taxRate is also used by createInvoiceOnCompletion for jobs without a quote
+export const QUOTE_DEFAULTS = {
+  businessName: 'Tender Edge',
+  taxRate: 10, // GST %
+  validDays: 30,
+  terms: '',
+};
+
+// Read by createInvoiceOnCompletion for jobs invoiced on actual hours and materials;
+// keep in step with INVOICE_DEFAULTS in functions/index.js
+export const INVOICE_DEFAULTS = {
+  paymentTermsDays: 14,
+  labourRate: '', // $/h charged to the client (ex GST)
+  materialsMarkupPercent: 0, // added to job material costs
+};
+
+export function subscribeToSettings(section, defaults, onChange) {
+  return onSnapshot(
+    doc(db, 'settings', section),
+    (snap) => onChange({ ...defaults, ...(snap.exists() ? snap.data() : {}) }),
+    (err) => {
+      console.warn(`Failed to load ${section} settings`, err);
+      onChange({ ...defaults });
+    }
+  );
+}
+
+export function saveSettings(section, patch) {
+  return setDoc(
+    doc(db, 'settings', section),
+    { ...patch, updatedAt: serverTimestamp() },
+    { merge: true }
+  );
+}
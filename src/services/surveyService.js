@@ -1,5 +1,5 @@
 // src/services/surveyService.js
-import { db, storage } from '../firebase/firebase';
+import { db } from '../firebase/firebase';
 import {
   addDoc,
   collection,
@@ -9,7 +9,7 @@ import {
   setDoc,
   updateDoc,
 } from 'firebase/firestore';
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { uploadFileTo, uploadPhoto, uploadPhotos } from './uploadService';
 
 /**
  * Create a survey document with:
@@ -37,56 +37,52 @@ export async function createSurvey({ client, signs, referencePhotoFiles = [] })
 
   const surveyId = surveyDocRef.id;
 
-  // 2) Upload signs (original + annotated if present), then write signs[] array
-  const uploadedSigns = [];
-  for (const s of signs) {
+  // 2) Upload signs (original + annotated if present) and reference photos
+  //    in parallel through the upload manager, then write the arrays
+  const uploadSign = async (s) => {
     if (!s?.fileOriginal && !s?.annotatedBlob) {
       // nothing uploaded for this sign, but still capture metadata/description
-      uploadedSigns.push({
+      return {
         id: s.id,
         name: s.name,
         description: s.description || '',
         originalImageUrl: '',
+        imageUrl: '',
         annotatedImageUrl: '',
-      });
-      continue;
+      };
     }
 
-    let originalUrl = '';
-    let annotatedUrl = '';
+    const [uploaded, annotated] = await Promise.all([
+      // The annotator works on a compressed copy; keep the photo as taken too
+      s.fileOriginal
+        ? uploadPhoto(`surveys/${surveyId}/signs/${s.id}`, s.fileOriginal, { keepOriginal: true })
+        : null,
+      s.annotatedBlob
+        ? uploadFileTo(`surveys/${surveyId}/signs/${s.id}-annotated.png`, s.annotatedBlob, {
+            label: `${s.name || 'Sign'} (annotated)`,
+            contentType: 'image/png',
+          })
+        : null,
+    ]);
 
-    if (s.fileOriginal) {
-      const origRef = ref(storage, `surveys/${surveyId}/signs/${s.id}-original-${s.fileOriginal.name}`);
-      await uploadBytes(origRef, s.fileOriginal);
-      originalUrl = await getDownloadURL(origRef);
-    }
-
-    if (s.annotatedBlob) {
-      const annoRef = ref(storage, `surveys/${surveyId}/signs/${s.id}-annotated.png`);
-      await uploadBytes(annoRef, s.annotatedBlob);
-      annotatedUrl = await getDownloadURL(annoRef);
-    }
-
-    uploadedSigns.push({
+    return {
       id: s.id,
       name: s.name,
       description: s.description || '',
-      originalImageUrl: originalUrl,
-      annotatedImageUrl: annotatedUrl,
+      originalImageUrl: uploaded ? uploaded.originalUrl || uploaded.url : '',
+      imageUrl: uploaded?.url || '',
+      annotatedImageUrl: annotated?.url || '',
       // keep stageJSON if you want to re-edit later
       stageJSON: s.stageJSON || null,
-    });
-  }
+    };
+  };
 
-  // 3) Upload reference photos (no annotations)
-  const refPhotoUrls = [];
-  for (const f of referencePhotoFiles) {
-    if (!f) continue;
-    const r = ref(storage, `surveys/${surveyId}/referencePhotos/${f.name}`);
-    await uploadBytes(r, f);
-    const url = await getDownloadURL(r);
-    refPhotoUrls.push(url);
-  }
+  // 3) Reference photos have no annotations
+  const [uploadedSigns, refPhotos] = await Promise.all([
+    Promise.all(signs.map(uploadSign)),
+    uploadPhotos(`surveys/${surveyId}/referencePhotos`, referencePhotoFiles),
+  ]);
+  const refPhotoUrls = refPhotos.map((u) => u.url);
 
   // 4) Update the survey doc with signs + referencePhotos arrays
   await updateDoc(doc(db, 'jobs', surveyId), {
@@ -0,0 +1,143 @@
+// src/services/timeEntryService.js
+import { db } from '../firebase/firebase';
+import {
+  arrayUnion,
+  collectionGroup,
+  doc,
+  onSnapshot,
+  query,
+  serverTimestamp,
+  Timestamp,
+  updateDoc,
+  where,
+} from 'firebase/firestore';
+
+/**
+ * Time entries are never rewritten blind: every edit, delete and approval
+ * appends a record to the entry's `history` array holding the values it
+ * replaced. Deletes are soft (`deleted: true`) so that history survives;
+ * hoursFromEntry in functions/index.js counts deleted entries as 0.
+ */
+
+const entryRef = (jobId, entryId) => doc(db, 'jobs', jobId, 'timeEntries', entryId);
+
+const snapshotOf = (entry) => ({
+  hours: typeof entry.hours === 'number' ? entry.hours : null,
+  start: entry.start || null,
+  end: entry.end || null,
+  category: entry.category || null,
+});
+
+const historyRecord = (action, entry, actor, note) => ({
+  action, // 'edit' | 'delete' | 'approve' | 'unapprove'
+  at: Timestamp.now(), // serverTimestamp() isn't allowed inside arrays
+  by: actor?.uid || 'unknown',
+  byName: actor?.name || '',
+  before: snapshotOf(entry),
+  ...(note ? { note } : {}),
+});
+
+/**
+ * Who may change an entry: managers any unapproved entry, staff their own.
+ * firestore.rules enforces the same lock on the server.
+ */
+export function canEditTimeEntry(entry, { uid, isManager }) {
+  if (!entry || entry.deleted || entry.approved) return false;
+  if (entry.end === null) return false; // running timers are stopped, not edited
+  return isManager || (!!uid && entry.userId === uid);
+}
+
+/**
+ * Edit an entry. Timer entries take new start/end (JS Dates) and have their
+ * hours recomputed; manual entries take `hours` directly. Either may change category.
+ */
+export function updateTimeEntry(jobId, entry, { hours, start, end, category, note }, actor) {
+  const patch = {};
+  if (category) patch.category = category;
+  if (start && end) {
+    patch.start = Timestamp.fromDate(start);
+    patch.end = Timestamp.fromDate(end);
+    patch.hours = Math.max(0, (end.getTime() - start.getTime()) / 3600000);
+  } else {
+    patch.hours = Math.max(0, Number(hours) || 0);
+  }
+
+  return updateDoc(entryRef(jobId, entry.id), {
+    ...patch,
+    edited: true,
+    history: arrayUnion(historyRecord('edit', entry, actor, note)),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+export function deleteTimeEntry(jobId, entry, actor, note) {
+  return updateDoc(entryRef(jobId, entry.id), {
+    deleted: true,
+    deletedAt: serverTimestamp(),
+    deletedBy: actor?.uid || 'unknown',
+    history: arrayUnion(historyRecord('delete', entry, actor, note)),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/** Managers only: approving locks the entry against further edits. */
+export function setTimeEntryApproved(jobId, entry, approved, actor) {
+  return updateDoc(entryRef(jobId, entry.id), {
+    approved: !!approved,
+    approvedAt: approved ? serverTimestamp() : null,
+    approvedBy: approved ? actor?.uid || 'unknown' : null,
+    history: arrayUnion(historyRecord(approved ? 'approve' : 'unapprove', entry, actor)),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Live: one user's entries across every job between `from` and `to`.
+ * Timer entries are matched on `start` and manual ones (no start) on
+ * `createdAt`, so two collection-group listeners are merged here.
+ */
+export function subscribeToUserEntriesBetween(uid, from, to, onChange, onError) {
+  const range = (field) =>
+    query(
+      collectionGroup(db, 'timeEntries'),
+      where('userId', '==', uid),
+      where(field, '>=', Timestamp.fromDate(from)),
+      where(field, '<', Timestamp.fromDate(to))
+    );
+
+  const parts = { timed: [], manual: [] };
+  const emit = () => {
+    const byPath = new Map();
+    for (const e of [...parts.timed, ...parts.manual]) byPath.set(e.path, e);
+    onChange(Array.from(byPath.values()).filter((e) => !e.deleted));
+  };
+  const toEntries = (snap) =>
+    snap.docs.map((d) => ({
+      id: d.id,
+      path: d.ref.path,
+      jobId: d.ref.parent.parent?.id,
+      ...(d.data() || {}),
+    }));
+
+  const unsubTimed = onSnapshot(
+    range('start'),
+    (snap) => {
+      parts.timed = toEntries(snap);
+      emit();
+    },
+    onError
+  );
+  const unsubManual = onSnapshot(
+    range('createdAt'),
+    (snap) => {
+      // timer entries are already covered by their start time
+      parts.manual = toEntries(snap).filter((e) => !e.start);
+      emit();
+    },
+    onError
+  );
+  return () => {
+    unsubTimed();
+    unsubManual();
+  };
+}
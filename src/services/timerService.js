@@ -0,0 +1,193 @@
+// src/services/timerService.js
+import { db } from '../firebase/firebase';
+import {
+  addDoc,
+  collection,
+  collectionGroup,
+  doc,
+  getDocs,
+  onSnapshot,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  Timestamp,
+  updateDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+import { DEFAULT_TIME_CATEGORY } from '../utils/timeCategories';
+
+/**
+ * A running timer is just a timeEntries doc with `end: null`.
+ * Nothing is kept on the device, so any phone or tablet signed in as the
+ * same installer sees (and can stop) the same timer.
+ */
+const toRunning = (d) => {
+  const data = d.data() || {};
+  return {
+    id: d.id,
+    jobId: d.ref.parent.parent?.id,
+    ...data,
+    start: data.start?.toDate?.() || null,
+  };
+};
+
+/** Live: every open timer for `uid`, across all jobs. */
+export function subscribeToRunningTimers(uid, onChange, onError) {
+  const q = query(
+    collectionGroup(db, 'timeEntries'),
+    where('userId', '==', uid),
+    where('end', '==', null)
+  );
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map(toRunning).filter((t) => t.jobId && t.start)),
+    onError
+  );
+}
+
+/**
+ * Open a timer on a job. If this user already has one open there (e.g.
+ * started on another device) that entry is returned instead of a second one.
+ * `id` and `start` let a timer started offline be replayed as it happened.
+ */
+export async function startJobTimer(
+  jobId,
+  { uid, shortName, category = DEFAULT_TIME_CATEGORY, id = null, start = new Date() }
+) {
+  const open = await getDocs(
+    query(
+      collection(db, 'jobs', jobId, 'timeEntries'),
+      where('userId', '==', uid),
+      where('end', '==', null)
+    )
+  );
+  if (!open.empty) return open.docs[0].id;
+
+  const entry = {
+    userId: uid,
+    userShortName: shortName,
+    start: Timestamp.fromDate(start),
+    end: null,
+    category,
+    createdAt: serverTimestamp(),
+    source: 'timer',
+  };
+  if (id) {
+    await setDoc(doc(db, 'jobs', jobId, 'timeEntries', id), entry);
+    return id;
+  }
+  const docRef = await addDoc(collection(db, 'jobs', jobId, 'timeEntries'), entry);
+  return docRef.id;
+}
+
+/** Live: every open timer on one job, whoever started it. */
+export function subscribeToJobRunningTimers(jobId, onChange, onError) {
+  const q = query(collection(db, 'jobs', jobId, 'timeEntries'), where('end', '==', null));
+  return onSnapshot(
+    q,
+    (snap) => onChange(snap.docs.map(toRunning).filter((t) => t.start)),
+    onError
+  );
+}
+
+/**
+ * Crew timer: one open entry per member, linked by a shared `crewId`, all
+ * with the same start. Members who already have a timer open on this job
+ * keep it and are left out of the crew. Returns { crewId, started, skipped }.
+ */
+export async function startCrewTimer(jobId, members, { category = DEFAULT_TIME_CATEGORY, startedBy }) {
+  const entriesCol = collection(db, 'jobs', jobId, 'timeEntries');
+  const openSnap = await getDocs(query(entriesCol, where('end', '==', null)));
+  const busy = new Set(openSnap.docs.map((d) => d.get('userId')));
+
+  const crewId = doc(entriesCol).id; // just a unique id
+  const start = Timestamp.fromDate(new Date());
+  const batch = writeBatch(db);
+  const started = [];
+  const skipped = [];
+
+  for (const m of members) {
+    if (busy.has(m.uid)) {
+      skipped.push(m.uid);
+      continue;
+    }
+    batch.set(doc(entriesCol), {
+      userId: m.uid,
+      userShortName: m.shortName || null,
+      start,
+      end: null,
+      category,
+      crewId,
+      crewStartedBy: startedBy || null,
+      createdAt: serverTimestamp(),
+      source: 'crew-timer',
+    });
+    started.push(m.uid);
+  }
+
+  if (started.length) await batch.commit();
+  return { crewId, started, skipped };
+}
+
+/**
+ * Stop a crew's open entries together. `endTimes` maps entryId → Date for
+ * anyone who left early; everyone else stops now. Entries already stopped
+ * elsewhere are left alone.
+ */
+export function stopCrewTimer(jobId, entryIds, { endTimes = {}, stoppedBy } = {}) {
+  const now = new Date();
+  return runTransaction(db, async (tx) => {
+    const refs = entryIds.map((id) => doc(db, 'jobs', jobId, 'timeEntries', id));
+    const snaps = await Promise.all(refs.map((r) => tx.get(r)));
+
+    snaps.forEach((snap, i) => {
+      if (!snap.exists() || snap.get('end')) return;
+      const start = snap.get('start')?.toDate?.();
+      let end = endTimes[snap.id] instanceof Date ? endTimes[snap.id] : now;
+      if (start && end < start) end = start;
+      if (end > now) end = now;
+
+      tx.update(refs[i], {
+        end: Timestamp.fromDate(end),
+        hours: start ? Math.max(0, (end.getTime() - start.getTime()) / 3600000) : 0,
+        stoppedBy: stoppedBy || null,
+        updatedAt: serverTimestamp(),
+      });
+    });
+  });
+}
+
+/** Re-categorise a running timer (e.g. travel → install on arrival). */
+export function setTimerCategory(jobId, entryId, category) {
+  return updateDoc(doc(db, 'jobs', jobId, 'timeEntries', entryId), {
+    category,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Close an open timer entry. Hours come from the stored start, so it does
+ * not matter which device stops it; a second stop is a no-op. `end` is set
+ * when replaying a stop made offline.
+ */
+export function stopJobTimer(jobId, entryId, end = null) {
+  const entryRef = doc(db, 'jobs', jobId, 'timeEntries', entryId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(entryRef);
+    if (!snap.exists()) return null;
+    const data = snap.data() || {};
+    if (data.end) return null;
+
+    const start = data.start?.toDate?.();
+    const endMs = end ? Math.max(end.getTime(), start?.getTime() || 0) : Date.now();
+    const hours = start ? Math.max(0, (endMs - start.getTime()) / 3600000) : 0;
+    tx.update(entryRef, {
+      end: end ? Timestamp.fromDate(new Date(endMs)) : serverTimestamp(),
+      hours,
+      updatedAt: serverTimestamp(),
+    });
+    return hours;
+  });
+}
@@ -0,0 +1,217 @@
+// src/services/uploadManager.js
+import { storage } from '../firebase/firebase';
+import { getDownloadURL, ref, uploadBytesResumable } from 'firebase/storage';
+
+/**
+ * App-wide upload queue. Files upload in parallel over resumable uploads,
+ * failed attempts are retried with backoff, and any file can be cancelled
+ * on its own. The queue lives outside React, so leaving a page doesn't
+ * stop uploads or lose the ones that finished; UploadOverlay shows it.
+ *
+ * A task's `onUploaded` (e.g. writing the photo doc) runs inside the task,
+ * so the work is recorded even if the page that started it is gone.
+ */
+
+const MAX_PARALLEL = 3;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 2000;
+
+// 'saving' is left out so a task that starts a follow-up upload from
+// onUploaded (keepOriginal) can't hold the slot that upload needs.
+const ACTIVE = ['preparing', 'uploading', 'retrying'];
+const FINISHED = ['done', 'error', 'cancelled'];
+
+const tasks = new Map(); // id -> task
+const listeners = new Set();
+let nextId = 1;
+// Preparing decodes full-size photos, so only one at a time
+let prepareChain = Promise.resolve();
+
+const publicTask = (t) => ({
+  id: t.id,
+  label: t.label,
+  status: t.status,
+  bytes: t.bytes,
+  total: t.total,
+  attempt: t.attempt,
+  error: t.error,
+});
+
+function emit() {
+  const list = [...tasks.values()].map(publicTask);
+  listeners.forEach((fn) => fn(list));
+}
+
+function update(task, patch) {
+  Object.assign(task, patch);
+  emit();
+}
+
+function settle(task, ok, value) {
+  const fn = ok ? task.resolve : task.reject;
+  task.resolve = task.reject = () => {};
+  fn(value);
+}
+
+const cancelledError = () => Object.assign(new Error('Upload cancelled'), { code: 'upload/cancelled' });
+
+export const isUploadCancelled = (err) => err?.code === 'upload/cancelled';
+
+/** Live list of uploads for UploadOverlay. Returns an unsubscribe function. */
+export function subscribeToUploads(listener) {
+  listeners.add(listener);
+  listener([...tasks.values()].map(publicTask));
+  return () => listeners.delete(listener);
+}
+
+export const hasActiveUploads = () =>
+  [...tasks.values()].some((t) => !FINISHED.includes(t.status));
+
+/** Rejected, non-cancelled results from Promise.allSettled over uploads. */
+export const countFailedUploads = (results) =>
+  results.filter((r) => r.status === 'rejected' && !isUploadCancelled(r.reason)).length;
+
+/**
+ * Queue an upload. `prepare()` resolves to { path, data, contentType } and
+ * runs once, when the task's turn comes. Resolves to onUploaded's result,
+ * or { url, path } without one. Rejects if cancelled (isUploadCancelled)
+ * or if every attempt fails.
+ */
+export function startUpload({ label, prepare, onUploaded }) {
+  return new Promise((resolve, reject) => {
+    const task = {
+      id: nextId++,
+      label: label || 'file',
+      status: 'queued',
+      bytes: 0,
+      total: 0,
+      attempt: 0,
+      error: null,
+      prepare,
+      onUploaded,
+      prepared: null,
+      resolve,
+      reject,
+    };
+    tasks.set(task.id, task);
+    emit();
+    pump();
+  });
+}
+
+function pump() {
+  let active = [...tasks.values()].filter((t) => ACTIVE.includes(t.status)).length;
+  for (const task of tasks.values()) {
+    if (active >= MAX_PARALLEL) break;
+    if (task.status !== 'queued') continue;
+    active += 1;
+    run(task);
+  }
+}
+
+function uploadOnce(task) {
+  const { path, data, contentType } = task.prepared;
+  return new Promise((resolve, reject) => {
+    const upload = uploadBytesResumable(ref(storage, path), data, contentType ? { contentType } : undefined);
+    task.uploadTask = upload;
+    update(task, { status: 'uploading', bytes: 0, error: null });
+    upload.on(
+      'state_changed',
+      (snap) => update(task, { bytes: snap.bytesTransferred, total: snap.totalBytes }),
+      reject,
+      resolve
+    );
+  });
+}
+
+function wait(task, ms) {
+  return new Promise((resolve) => {
+    task.wake = resolve;
+    task.timer = setTimeout(resolve, ms);
+  });
+}
+
+async function run(task) {
+  try {
+    if (!task.prepared) {
+      update(task, { status: 'preparing' });
+      const previous = prepareChain;
+      let release;
+      prepareChain = new Promise((r) => (release = r));
+      try {
+        await previous;
+        if (task.status === 'cancelled') return;
+        task.prepared = await task.prepare();
+      } finally {
+        release();
+      }
+      update(task, { total: task.prepared.data?.size || 0 });
+    }
+
+    for (;;) {
+      if (task.status === 'cancelled') return;
+      task.attempt += 1;
+      try {
+        await uploadOnce(task);
+        break;
+      } catch (err) {
+        if (task.status === 'cancelled') return;
+        if (task.attempt >= MAX_ATTEMPTS) throw err;
+        const delay = RETRY_BASE_MS * 2 ** (task.attempt - 1) + Math.random() * 500;
+        console.warn(`Upload of ${task.label} failed (attempt ${task.attempt}); retrying`, err);
+        update(task, { status: 'retrying', error: err?.message || String(err) });
+        await wait(task, delay);
+      }
+    }
+
+    update(task, { status: 'saving', bytes: task.total });
+    const { path } = task.prepared;
+    const url = await getDownloadURL(ref(storage, path));
+    const result = task.onUploaded ? await task.onUploaded({ url, path }) : { url, path };
+    update(task, { status: 'done' });
+    settle(task, true, result);
+  } catch (err) {
+    if (task.status === 'cancelled') return;
+    console.error(`Upload of ${task.label} failed`, err);
+    update(task, { status: 'error', error: err?.message || String(err) });
+    settle(task, false, err);
+  } finally {
+    task.uploadTask = null;
+    pump();
+  }
+}
+
+export function cancelUpload(id) {
+  const task = tasks.get(id);
+  if (!task || FINISHED.includes(task.status) || task.status === 'saving') return;
+  update(task, { status: 'cancelled' });
+  task.uploadTask?.cancel();
+  clearTimeout(task.timer);
+  task.wake?.();
+  settle(task, false, cancelledError());
+  pump();
+}
+
+/** Try a failed upload again. The original caller has already been told it failed. */
+export function retryUpload(id) {
+  const task = tasks.get(id);
+  if (!task || task.status !== 'error') return;
+  update(task, { status: 'queued', attempt: 0, error: null });
+  pump();
+}
+
+export function clearFinishedUploads() {
+  for (const [id, task] of tasks) {
+    if (FINISHED.includes(task.status)) tasks.delete(id);
+  }
+  emit();
+}
+
+// Closing the tab is the one thing that does lose in-flight uploads
+if (typeof window !== 'undefined') {
+  window.addEventListener('beforeunload', (e) => {
+    if (!hasActiveUploads()) return;
+    e.preventDefault();
+    e.returnValue = '';
+  });
+}
@@ -0,0 +1,75 @@
+// src/services/uploadService.js
+import { compressImage } from '../utils/imageResize';
+import { startUpload } from './uploadManager';
+
+/**
+ * The one way files get into Storage. Photos are downscaled, re-encoded
+ * and turned upright first (see utils/imageResize); other files go up as
+ * they are. The untouched original is only kept when asked for, under
+ * `{folder}/originals/`. Uploads run through the shared upload manager,
+ * so they show progress and retry on their own.
+ *
+ * Resolves to { url, path, name, mime, size } plus { originalUrl,
+ * originalPath } when keepOriginal is set and the file was changed.
+ * Pass `onUploaded(result)` to record the file (e.g. add its photo doc) as
+ * part of the upload; the promise then resolves to what it returns.
+ */
+export function uploadPhoto(folder, file, { keepOriginal = false, maxDim, quality, onUploaded } = {}) {
+  const stamp = Date.now();
+  let upload = file;
+
+  return startUpload({
+    label: file.name || 'file',
+    prepare: async () => {
+      upload = await compressImage(file, { maxDim, quality });
+      return {
+        path: `${folder}/${stamp}_${upload.name}`,
+        data: upload,
+        contentType: upload.type || undefined,
+      };
+    },
+    onUploaded: async ({ url, path }) => {
+      const result = {
+        url,
+        path,
+        name: file.name || upload.name,
+        mime: upload.type || null,
+        size: upload.size,
+      };
+      if (keepOriginal && upload !== file) {
+        const original = await startUpload({
+          label: `${file.name} (original)`,
+          prepare: async () => ({
+            path: `${folder}/originals/${stamp}_${file.name}`,
+            data: file,
+            contentType: file.type || undefined,
+          }),
+        });
+        result.originalUrl = original.url;
+        result.originalPath = original.path;
+      }
+      return onUploaded ? onUploaded(result) : result;
+    },
+  });
+}
+
+/**
+ * Upload `data` (a File or Blob) unchanged to exactly `path`, e.g. a
+ * signature that is always stored as signature.png. Goes through the upload
+ * manager like uploadPhoto. Resolves to { url, path }.
+ */
+export function uploadFileTo(path, data, { label, contentType } = {}) {
+  return startUpload({
+    label: label || data?.name || path.split('/').pop(),
+    prepare: async () => ({ path, data, contentType: contentType || data?.type || undefined }),
+  });
+}
+
+/** Upload several photos to one folder in parallel; rejects if any fails. */
+export function uploadPhotos(folder, files, options) {
+  return Promise.all(
+    Array.from(files || [])
+      .filter(Boolean)
+      .map((f) => uploadPhoto(folder, f, options))
+  );
+}
@@ -0,0 +1,57 @@
+// src/services/userRateService.js
+import { db } from '../firebase/firebase';
+import { collection, deleteField, doc, onSnapshot, serverTimestamp, setDoc, writeBatch } from 'firebase/firestore';
+
+/**
+ * Hourly cost rates live in userRates, not on the user doc or in settings:
+ * every signed-in client streams `users` and `settings`, and pay must stay
+ * with managers. firestore.rules only lets managers read or write it.
+ *
+ * userRates/{uid} holds a person's own rate; userRates/_roles holds the
+ * rates for anyone without one.
+ */
+
+export const ROLE_RATES_ID = '_roles';
+
+// Hourly cost rates (ex GST) for job costing when a user has no rate of their own
+export const ROLE_RATE_DEFAULTS = {
+  staffRate: '',
+  managerRate: '',
+};
+
+/**
+ * Live { rates: { uid: costRate }, roleRates } for managers.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToUserRates(onChange, onError) {
+  return onSnapshot(
+    collection(db, 'userRates'),
+    (snap) => {
+      const rates = {};
+      let roleRates = ROLE_RATE_DEFAULTS;
+      snap.docs.forEach((d) => {
+        if (d.id === ROLE_RATES_ID) roleRates = { ...ROLE_RATE_DEFAULTS, ...d.data() };
+        else rates[d.id] = d.data()?.costRate ?? null;
+      });
+      onChange({ rates, roleRates });
+    },
+    onError
+  );
+}
+
+/** Set (or clear, with null) a user's rate; also drops any old copy on users/{uid}. */
+export function setUserCostRate(uid, costRate) {
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'userRates', uid), { costRate, updatedAt: serverTimestamp() });
+  batch.update(doc(db, 'users', uid), { costRate: deleteField() });
+  return batch.commit();
+}
+
+/** Save { staffRate, managerRate }. */
+export function saveRoleRates(roleRates) {
+  return setDoc(
+    doc(db, 'userRates', ROLE_RATES_ID),
+    { ...roleRates, updatedAt: serverTimestamp() },
+    { merge: true }
+  );
+}
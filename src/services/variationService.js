@@ -0,0 +1,110 @@
+// src/services/variationService.js
+import { db } from '../firebase/firebase';
+import {
+  collection,
+  doc,
+  increment,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+} from 'firebase/firestore';
+import { uploadFileTo, uploadPhotos } from './uploadService';
+
+/**
+ * Variations (change orders) live in jobs/{jobId}/variations.
+ * A variation is 'pending' until the client signs for it on site; approving
+ * adds its hours to the job's allowedHours and its price to quotedPrice
+ * (when the job has them), once, in the same transaction that marks it approved.
+ */
+const variationsCol = (jobId) => collection(db, 'jobs', jobId, 'variations');
+
+const isSet = (v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v));
+
+/** Live: a job's variations, oldest first. */
+export function subscribeToVariations(jobId, onChange, onError) {
+  return onSnapshot(
+    query(variationsCol(jobId), orderBy('createdAt')),
+    (snap) => onChange(snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }))),
+    onError
+  );
+}
+
+/** Photos go under the job's storage folder, like completed photos. */
+async function uploadVariationPhotos(jobId, variationId, files) {
+  const uploaded = await uploadPhotos(`jobs/${jobId}/variations/${variationId}`, files);
+  return uploaded.map((u) => ({ url: u.url, fileName: u.name }));
+}
+
+/** Record a pending variation. Returns its id. */
+export async function createVariation(jobId, { description, extraHours, price, files = [] }, actor) {
+  const variationRef = doc(variationsCol(jobId));
+  const photos = await uploadVariationPhotos(jobId, variationRef.id, files);
+  await setDoc(variationRef, {
+    description,
+    extraHours: Number(extraHours) || 0,
+    price: Number(price) || 0,
+    photos,
+    status: 'pending',
+    createdBy: actor?.uid || null,
+    createdByName: actor?.name || '',
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return variationRef.id;
+}
+
+/**
+ * Client sign-off: upload the signature, then approve and bump the job's
+ * allowedHours / quotedPrice. A variation that is no longer pending (e.g.
+ * approved from another device) is left as it is.
+ */
+export async function approveVariation(jobId, variationId, { signatureBlob, signedName }, actor) {
+  const { url: signatureURL } = await uploadFileTo(
+    `jobs/${jobId}/variations/${variationId}/signature.png`,
+    signatureBlob,
+    { label: 'Variation signature', contentType: 'image/png' }
+  );
+
+  const jobRef = doc(db, 'jobs', jobId);
+  const variationRef = doc(variationsCol(jobId), variationId);
+  return runTransaction(db, async (tx) => {
+    const [jobSnap, snap] = await Promise.all([tx.get(jobRef), tx.get(variationRef)]);
+    if (!jobSnap.exists() || !snap.exists() || snap.get('status') !== 'pending') return false;
+
+    const extraHours = Number(snap.get('extraHours')) || 0;
+    const price = Number(snap.get('price')) || 0;
+    const job = jobSnap.data() || {};
+
+    tx.update(variationRef, {
+      status: 'approved',
+      signatureURL,
+      signedName: signedName || '',
+      approvedAt: serverTimestamp(),
+      approvedBy: actor?.uid || null,
+      updatedAt: serverTimestamp(),
+    });
+    // Only jobs that were quoted get their budget/price moved; the running
+    // variation totals are kept either way
+    tx.update(jobRef, {
+      ...(isSet(job.allowedHours) && { allowedHours: Number(job.allowedHours) + extraHours }),
+      ...(isSet(job.quotedPrice) && { quotedPrice: Number(job.quotedPrice) + price }),
+      variationHours: increment(extraHours),
+      variationValue: increment(price),
+      updatedAt: serverTimestamp(),
+    });
+    return true;
+  });
+}
+
+export function declineVariation(jobId, variationId, actor) {
+  return updateDoc(doc(variationsCol(jobId), variationId), {
+    status: 'declined',
+    declinedAt: serverTimestamp(),
+    declinedBy: actor?.uid || null,
+    updatedAt: serverTimestamp(),
+  });
+}
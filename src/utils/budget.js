@@ -0,0 +1,28 @@
+// src/utils/budget.js
+// Quoted vs actual hours. Thresholds match budgetStatusFor in functions/index.js.
+
+export const BUDGET_WARNING_RATIO = 0.8;
+
+export const BUDGET_COLORS = {
+  under: '#66bb6a',
+  warning: '#ffa726',
+  over: '#ef5350',
+};
+
+/** 'under' | 'warning' | 'over', or null when the job has no quoted hours. */
+export function budgetStatus(hours, allowedHours) {
+  const allowed = Number(allowedHours);
+  if (!Number.isFinite(allowed) || allowed <= 0) return null;
+  const ratio = (Number(hours) || 0) / allowed;
+  if (ratio > 1) return 'over';
+  if (ratio >= BUDGET_WARNING_RATIO) return 'warning';
+  return 'under';
+}
+
+/** Hours currently running on a job, from useActiveTimers chips (crews count each member). */
+export function runningHours(timers) {
+  return (timers || []).reduce(
+    (sum, t) => sum + ((t.elapsedMs || 0) * (t.members ? t.members.length : 1)) / 3600000,
+    0
+  );
+}
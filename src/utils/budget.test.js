@@ -0,0 +1,26 @@
+import { budgetStatus, runningHours } from './budget';
+
+describe('budgetStatus', () => {
+  test('is null without quoted hours', () => {
+    expect(budgetStatus(3, null)).toBeNull();
+    expect(budgetStatus(3, '')).toBeNull();
+    expect(budgetStatus(3, 0)).toBeNull();
+  });
+
+  test('warns from 80% and is over past 100%', () => {
+    expect(budgetStatus(7.9, 10)).toBe('under');
+    expect(budgetStatus(8, 10)).toBe('warning');
+    expect(budgetStatus(10, 10)).toBe('warning');
+    expect(budgetStatus(10.1, 10)).toBe('over');
+  });
+
+  test('treats missing hours as none logged', () => {
+    expect(budgetStatus(undefined, '10')).toBe('under');
+  });
+});
+
+test('runningHours counts each crew member', () => {
+  const hour = 3600000;
+  expect(runningHours([{ elapsedMs: hour }, { elapsedMs: hour / 2, members: ['a', 'b'] }])).toBe(2);
+  expect(runningHours(null)).toBe(0);
+});
@@ -0,0 +1,78 @@
+// src/utils/costing.js
+// Job costing: labour (hours × each person's cost rate), material lines and
+// approved expenses, against the job's quoted sell price. Amounts are ex GST.
+import { round2 } from './money';
+
+const isSet = (v) => v !== undefined && v !== null && v !== '' && Number.isFinite(Number(v));
+
+/**
+ * Hourly cost for a user: their own rate (from userRates) if set, else the
+ * rate for their role (userRates/_roles). Null when neither is set.
+ */
+export function costRateFor(user, costing, ownRate) {
+  if (isSet(ownRate)) return Number(ownRate);
+  const roleRate = costing?.[`${user?.role || 'staff'}Rate`];
+  return isSet(roleRate) ? Number(roleRate) : null;
+}
+
+export function materialLineTotal(line) {
+  return round2((Number(line?.qty) || 0) * (Number(line?.unitCost) || 0));
+}
+
+export function materialsTotal(materials) {
+  return round2((materials || []).reduce((s, m) => s + materialLineTotal(m), 0));
+}
+
+/** Hours per user from time entries (deleted entries already filtered out). */
+export function hoursByUserFrom(entries) {
+  const out = {};
+  for (const e of entries || []) {
+    const uid = e.userId || 'unknown';
+    out[uid] = (out[uid] || 0) + (Number(e.hours) || 0);
+  }
+  return out;
+}
+
+/**
+ * Costing for one job. `hoursByUser` is { uid: hours } (job.hoursByUser or
+ * hoursByUserFrom(entries)); `userMap` is uid → user profile and `rates`
+ * uid → cost rate (useUserRates).
+ * Hours for anyone without a rate are costed at 0 and listed in `unrated`.
+ */
+export function jobCosting(job, hoursByUser, userMap, costing, rates) {
+  let labourHours = 0;
+  let labourCost = 0;
+  const unrated = [];
+
+  for (const [uid, hours] of Object.entries(hoursByUser || {})) {
+    const h = Number(hours) || 0;
+    if (!h) continue;
+    labourHours += h;
+    const rate = costRateFor(userMap?.[uid], costing, rates?.[uid]);
+    if (rate === null) unrated.push(uid);
+    else labourCost += h * rate;
+  }
+
+  const materialsCost = materialsTotal(job?.materials);
+  const expensesCost = round2(job?.expensesTotal); // approved receipts, ex GST
+  const totalCost = round2(labourCost + materialsCost + expensesCost);
+  const sellPrice = isSet(job?.quotedPrice) ? Number(job.quotedPrice) : null;
+  const margin = sellPrice === null ? null : round2(sellPrice - totalCost);
+
+  return {
+    labourHours: round2(labourHours),
+    labourCost: round2(labourCost),
+    materialsCost,
+    expensesCost,
+    totalCost,
+    sellPrice,
+    margin,
+    marginPercent: margin === null || !sellPrice ? null : (margin / sellPrice) * 100,
+    unrated,
+  };
+}
+
+export const fmtMoney = (n) =>
+  n === null || n === undefined
+    ? '—'
+    : Number(n).toLocaleString(undefined, { style: 'currency', currency: 'AUD' });
@@ -0,0 +1,62 @@
+import { costRateFor, hoursByUserFrom, jobCosting, materialsTotal } from './costing';
+
+const costing = { staffRate: 40, managerRate: 60 };
+
+describe('costRateFor', () => {
+  test("prefers the user's own rate over their role's", () => {
+    expect(costRateFor({ role: 'staff' }, costing, 55)).toBe(55);
+    expect(costRateFor({ role: 'manager' }, costing, '')).toBe(60);
+  });
+
+  test('treats a missing role as staff and is null with no rate anywhere', () => {
+    expect(costRateFor(undefined, costing)).toBe(40);
+    expect(costRateFor({ role: 'staff' }, {})).toBeNull();
+  });
+});
+
+test('materialsTotal rounds each line and the sum to cents', () => {
+  expect(materialsTotal([{ qty: 3, unitCost: 0.333 }, { qty: '2', unitCost: '1.10' }, {}])).toBe(3.2);
+  expect(materialsTotal(undefined)).toBe(0);
+});
+
+test('hoursByUserFrom sums hours per user', () => {
+  expect(hoursByUserFrom([{ userId: 'amy', hours: 2 }, { userId: 'amy', hours: 1.5 }, { hours: '1' }])).toEqual({
+    amy: 3.5,
+    unknown: 1,
+  });
+});
+
+describe('jobCosting', () => {
+  const userMap = { amy: { role: 'staff' }, max: { role: 'manager' }, tim: { role: 'contractor' } };
+
+  test('adds labour, materials and expenses against the quoted price', () => {
+    const job = { quotedPrice: '1000', materials: [{ qty: 2, unitCost: 50 }], expensesTotal: 20 };
+    const result = jobCosting(job, { amy: 5, max: 2 }, userMap, costing, { amy: 45 });
+
+    expect(result).toEqual({
+      labourHours: 7,
+      labourCost: 345,
+      materialsCost: 100,
+      expensesCost: 20,
+      totalCost: 465,
+      sellPrice: 1000,
+      margin: 535,
+      marginPercent: 53.5,
+      unrated: [],
+    });
+  });
+
+  test('lists people without a rate and costs their hours at 0', () => {
+    const result = jobCosting({}, { amy: 1, tim: 3 }, userMap, costing, {});
+
+    expect(result.labourHours).toBe(4);
+    expect(result.labourCost).toBe(40);
+    expect(result.unrated).toEqual(['tim']);
+  });
+
+  test('has no margin without a quoted price', () => {
+    const result = jobCosting({ quotedPrice: '' }, {}, userMap, costing, {});
+    expect(result.margin).toBeNull();
+    expect(result.marginPercent).toBeNull();
+  });
+});
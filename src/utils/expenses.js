@@ -0,0 +1,29 @@
+// src/utils/expenses.js
+// Job expenses (fixings, hire gear…) bought by installers. Amounts are as on
+// the receipt; `gst` is the GST part, so cost to the job is amount − gst.
+import { round2 } from './money';
+
+export const EXPENSE_CATEGORIES = [
+  { value: 'fixings', label: 'Fixings & consumables' },
+  { value: 'materials', label: 'Materials' },
+  { value: 'hire', label: 'Equipment hire' },
+  { value: 'fuel', label: 'Fuel' },
+  { value: 'parking', label: 'Parking & tolls' },
+  { value: 'other', label: 'Other' },
+];
+
+export const EXPENSE_STATUS = {
+  pending: { label: 'To review', color: 'rgba(255,167,38,0.35)' },
+  approved: { label: 'Approved', color: 'rgba(76,175,80,0.4)' },
+  rejected: { label: 'Rejected', color: 'rgba(244,67,54,0.35)' },
+};
+
+export const expenseCategoryLabel = (value) =>
+  (EXPENSE_CATEGORIES.find((c) => c.value === value) || EXPENSE_CATEGORIES[EXPENSE_CATEGORIES.length - 1])
+    .label;
+
+/** GST included in an amount at 10%. */
+export const gstIncluded = (amount) => round2((Number(amount) || 0) / 11);
+
+/** What an expense costs the job (ex GST). */
+export const expenseExGst = (e) => round2((Number(e?.amount) || 0) - (Number(e?.gst) || 0));
@@ -1,39 +1,141 @@
 // src/utils/imageResize.js
-export async function makePreviewImage(file, { maxDim = 2048, quality = 0.8 } = {}) {
-  const dataURL = await new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
-  });
-
-  const img = await new Promise((resolve, reject) => {
-    const image = new Image();
-    image.onload = () => resolve(image);
-    image.onerror = reject;
-    image.src = dataURL;
-  });
-
-  const { width, height } = img;
-  const scale = Math.min(1, maxDim / Math.max(width, height));
-  const targetW = Math.round(width * scale);
-  const targetH = Math.round(height * scale);
+// Phone photos are 8–12 MB and often stored sideways with an EXIF
+// "Orientation" tag. Everything that uploads a photo goes through
+// compressImage (via services/uploadService) so Storage gets an upright,
+// downscaled JPEG.
+
+// Types we re-encode. PNG/GIF/SVG pass through untouched (logos and
+// screenshots need their transparency/sharp edges), as do PDFs.
+const COMPRESSIBLE = /^image\/(jpe?g|heic|heif|webp)$/i;
+
+// Below this a file isn't worth re-encoding
+const MIN_BYTES = 400 * 1024;
+
+/** EXIF orientation (1–8) from a JPEG's APP1 segment; 1 when absent. */
+export async function readExifOrientation(file) {
+  try {
+    const buf = await file.slice(0, 128 * 1024).arrayBuffer();
+    const view = new DataView(buf);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00) break;
+      const size = view.getUint16(offset + 2);
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966 /* "Exif" */) {
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd0 = tiff + view.getUint32(tiff + 4, little);
+        const entries = view.getUint16(ifd0, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd0 + 2 + i * 12;
+          if (view.getUint16(entry, little) === 0x0112) {
+            const value = view.getUint16(entry + 8, little);
+            return value >= 1 && value <= 8 ? value : 1;
+          }
+        }
+        return 1;
+      }
+      offset += 2 + size;
+    }
+  } catch {
+    // unreadable header: treat as upright
+  }
+  return 1;
+}
+
+// Current browsers rotate <img> (and so drawImage) by EXIF themselves; older
+// ones need us to do it, or photos come out sideways.
+const browserAppliesOrientation = () =>
+  typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+
+async function loadImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    return await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = reject;
+      image.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Draw `file` upright onto a canvas no larger than maxDim on its long edge.
+ * Returns { canvas, width, height, original: { width, height } }.
+ */
+async function drawUpright(file, maxDim) {
+  const img = await loadImage(file);
+  const orientation = browserAppliesOrientation() ? 1 : await readExifOrientation(file);
+  const swap = orientation >= 5;
+
+  const srcW = swap ? img.naturalHeight : img.naturalWidth;
+  const srcH = swap ? img.naturalWidth : img.naturalHeight;
+  const scale = Math.min(1, maxDim / Math.max(srcW, srcH));
+  const targetW = Math.round(srcW * scale);
+  const targetH = Math.round(srcH * scale);
+  // size of the image as drawn, before rotation
+  const w = swap ? targetH : targetW;
+  const h = swap ? targetW : targetH;
 
   const canvas = document.createElement('canvas');
   canvas.width = targetW;
   canvas.height = targetH;
   const ctx = canvas.getContext('2d');
-  ctx.drawImage(img, 0, 0, targetW, targetH);
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, w, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, w, h); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, h); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, h, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, h, w); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, w); break;
+    default: break;
+  }
+  ctx.drawImage(img, 0, 0, w, h);
 
-  const blob = await new Promise((resolve) =>
-    canvas.toBlob(resolve, 'image/jpeg', quality)
-  );
+  return { canvas, width: targetW, height: targetH, original: { width: srcW, height: srcH } };
+}
+
+const canvasToJpeg = (canvas, quality) =>
+  new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', quality));
+
+export async function makePreviewImage(file, { maxDim = 2048, quality = 0.8 } = {}) {
+  const { canvas, width, height, original } = await drawUpright(file, maxDim);
+  const blob = await canvasToJpeg(canvas, quality);
 
   return {
     blob,                        // preview JPEG blob
     url: URL.createObjectURL(blob), // handy for <img>/Konva.Image
-    width: targetW,
-    height: targetH,
-    original: { width, height }, // original dims
+    width,
+    height,
+    original,                    // original dims (upright)
   };
 }
+
+/** True if compressImage would try to shrink this file. */
+export const isCompressible = (file) =>
+  !!file && COMPRESSIBLE.test(file.type || '') && file.size >= MIN_BYTES;
+
+/**
+ * Downscale and re-encode a photo as an upright JPEG File. Anything that
+ * isn't a compressible photo, fails to decode, or wouldn't get smaller is
+ * returned unchanged, so this is always safe to call before an upload.
+ */
+export async function compressImage(file, { maxDim = 2048, quality = 0.82 } = {}) {
+  if (!isCompressible(file)) return file;
+  try {
+    const { canvas } = await drawUpright(file, maxDim);
+    const blob = await canvasToJpeg(canvas, quality);
+    if (!blob || blob.size >= file.size) return file;
+    const name = `${String(file.name || 'photo').replace(/\.[^.]+$/, '')}.jpg`;
+    return new File([blob], name, { type: 'image/jpeg', lastModified: file.lastModified });
+  } catch (err) {
+    console.warn('Image compression failed; uploading original', err);
+    return file;
+  }
+}
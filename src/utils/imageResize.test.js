@@ -0,0 +1,48 @@
+import { isCompressible, readExifOrientation } from './imageResize';
+
+const u16 = (n, little) => (little ? [n & 0xff, n >> 8] : [n >> 8, n & 0xff]);
+const u32 = (n, little) => (little ? [...u16(n & 0xffff, true), ...u16(n >>> 16, true)] : [...u16(n >>> 16), ...u16(n & 0xffff)]);
+
+// JPEG with a JFIF APP0 segment then an EXIF APP1 whose IFD0 holds `tags`
+function jpeg(tags, { little = false } = {}) {
+  const ifd = [...u16(tags.length, little)];
+  for (const [tag, value] of tags) {
+    ifd.push(...u16(tag, little), ...u16(3, little), ...u32(1, little), ...u16(value, little), 0, 0);
+  }
+  const tiff = [...(little ? [0x49, 0x49] : [0x4d, 0x4d]), ...u16(42, little), ...u32(8, little), ...ifd];
+  const exif = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+  const app0 = [0xff, 0xe0, ...u16(16), ...new Array(14).fill(0)];
+  return [0xff, 0xd8, ...app0, 0xff, 0xe1, ...u16(exif.length + 2), ...exif];
+}
+
+// Just enough of a File for readExifOrientation
+const fileOf = (bytes) => ({
+  slice: (start, end) => ({ arrayBuffer: async () => Uint8Array.from(bytes).slice(start, end).buffer }),
+});
+
+describe('readExifOrientation', () => {
+  test('reads the Orientation tag from big- and little-endian EXIF', async () => {
+    expect(await readExifOrientation(fileOf(jpeg([[0x0112, 6]])))).toBe(6);
+    expect(await readExifOrientation(fileOf(jpeg([[0x010f, 1], [0x0112, 8]], { little: true })))).toBe(8);
+  });
+
+  test('is 1 without an Orientation tag or EXIF segment', async () => {
+    expect(await readExifOrientation(fileOf(jpeg([[0x010f, 3]])))).toBe(1);
+    expect(await readExifOrientation(fileOf([0xff, 0xd8, 0xff, 0xda, 0, 2]))).toBe(1);
+  });
+
+  test('is 1 for out-of-range values, non-JPEGs and truncated headers', async () => {
+    expect(await readExifOrientation(fileOf(jpeg([[0x0112, 9]])))).toBe(1);
+    expect(await readExifOrientation(fileOf([0x89, 0x50, 0x4e, 0x47]))).toBe(1);
+    expect(await readExifOrientation(fileOf(jpeg([[0x0112, 6]]).slice(0, 30)))).toBe(1);
+  });
+});
+
+test('isCompressible only picks photos big enough to be worth it', () => {
+  const big = 500 * 1024;
+  expect(isCompressible({ type: 'image/jpeg', size: big })).toBe(true);
+  expect(isCompressible({ type: 'image/HEIC', size: big })).toBe(true);
+  expect(isCompressible({ type: 'image/png', size: big })).toBe(false);
+  expect(isCompressible({ type: 'image/jpeg', size: 1024 })).toBe(false);
+  expect(isCompressible(null)).toBe(false);
+});
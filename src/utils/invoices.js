@@ -0,0 +1,19 @@
+// src/utils/invoices.js
+// Invoice status for display. Stored status is 'draft' | 'unpaid' | 'paid';
+// overdue is worked out from the due date. Drafts are auto-invoices with
+// `issues` (e.g. no labour rate) that a manager has to fix and save.
+import { toJSDate } from './jobUtils';
+
+export const INVOICE_STATES = {
+  draft: { label: 'Draft', color: 'rgba(255,152,0,0.45)' },
+  unpaid: { label: 'Unpaid', color: 'rgba(33,150,243,0.35)' },
+  overdue: { label: 'Overdue', color: 'rgba(244,67,54,0.45)' },
+  paid: { label: 'Paid', color: 'rgba(76,175,80,0.4)' },
+};
+
+export function invoiceState(invoice, now = new Date()) {
+  if (invoice?.status === 'paid') return 'paid';
+  if (invoice?.status === 'draft') return 'draft';
+  const due = toJSDate(invoice?.dueDate);
+  return due && due < now ? 'overdue' : 'unpaid';
+}
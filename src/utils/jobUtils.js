@@ -0,0 +1,200 @@
+// src/utils/jobUtils.js
+// Shared job helpers used by the list and calendar views.
+
+/** Coerce Timestamp | Date | string | number into a valid JS Date (or null). */
+export function toJSDate(v) {
+  if (!v) return null;
+
+  // Firestore Timestamp (v9)
+  if (typeof v?.toDate === 'function') {
+    const d = v.toDate();
+    return d instanceof Date && !Number.isNaN(d.getTime()) ? d : null;
+  }
+
+  if (v instanceof Date) {
+    return !Number.isNaN(v.getTime()) ? v : null;
+  }
+
+  if (typeof v === 'string') {
+    // handle "YYYY-MM-DD"
+    if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+      const d = new Date(`${v}T00:00:00`);
+      return !Number.isNaN(d.getTime()) ? d : null;
+    }
+    const d = new Date(v);
+    return !Number.isNaN(d.getTime()) ? d : null;
+  }
+
+  if (typeof v === 'number') {
+    const d = new Date(v);
+    return !Number.isNaN(d.getTime()) ? d : null;
+  }
+
+  return null;
+}
+
+export function isCompleted(job) {
+  const status = String(job?.status || '').toLowerCase();
+  return status === 'completed' || status === 'complete';
+}
+
+/**
+ * Schedule visibility rules shared by JobListPage and the calendar:
+ * normal jobs + survey *requests*; proper surveys are hidden.
+ */
+export function isScheduleVisible(job, { showCompleted = false } = {}) {
+  if (!showCompleted && isCompleted(job)) return false;
+
+  const status = String(job.status || '').toLowerCase();
+  const jobType = String(job.jobType || '').toLowerCase();
+
+  const isSurveyJob =
+    Boolean(job.isSurvey) || jobType === 'survey' || status === 'survey';
+
+  const isSurveyRequest =
+    Boolean(job.isSurveyRequest) ||
+    Boolean(job.surveyRequest) ||
+    status === 'survey-request';
+
+  if (!isSurveyJob) return true;
+  if (isSurveyRequest) return true;
+
+  // pure surveys -> hide from the schedule
+  return false;
+}
+
+/** Upcoming jobs by install date, then completed jobs newest first. */
+export function sortForSchedule(list) {
+  const upcoming = [];
+  const completedArr = [];
+  for (const j of list) (isCompleted(j) ? completedArr : upcoming).push(j);
+
+  upcoming.sort((a, b) => {
+    const da = toJSDate(a.installDate)?.getTime() || 0;
+    const db = toJSDate(b.installDate)?.getTime() || 0;
+    return da - db;
+  });
+
+  completedArr.sort((a, b) => {
+    const da = toJSDate(a.completedAt)?.getTime() || toJSDate(a.installDate)?.getTime() || 0;
+    const db = toJSDate(b.completedAt)?.getTime() || toJSDate(b.installDate)?.getTime() || 0;
+    return db - da; // newest first
+  });
+
+  return [...upcoming, ...completedArr];
+}
+
+/** Day headings for the list views, in the order the jobs arrive. */
+export function groupByInstallDay(list) {
+  const map = new Map();
+  for (const j of list) {
+    const d = toJSDate(j.installDate);
+    const label = d
+      ? d.toLocaleDateString('en-AU', {
+          weekday: 'long',
+          day: '2-digit',
+          month: '2-digit',
+          year: 'numeric',
+        })
+      : 'Unscheduled';
+    if (!map.has(label)) map.set(label, []);
+    map.get(label).push(j);
+  }
+  return Array.from(map.entries()).map(([label, items]) => ({ label, items }));
+}
+
+// ---------- day math (local time) ----------
+export const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+export const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+
+/** Monday-based week start. */
+export const startOfWeek = (d) => addDays(startOfDay(d), -((d.getDay() + 6) % 7));
+
+export const dayKey = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+export const daysBetween = (a, b) =>
+  Math.round((startOfDay(b).getTime() - startOfDay(a).getTime()) / 86400000);
+
+/**
+ * First and last calendar day a job occupies.
+ * Multi-day jobs use startDate/endDate (as written by CreateJobPage);
+ * single-day jobs follow installDate, which is what JobEditPage updates.
+ * Returns null for unscheduled jobs.
+ */
+export function jobDayRange(job) {
+  if (!job) return null;
+
+  const install = toJSDate(job.installDate);
+  const rangeStart = toJSDate(job.startDate);
+  const rangeEnd = toJSDate(job.endDate);
+
+  let start = null;
+  let end = null;
+  if (job.isMultiDay && (rangeStart || install)) {
+    start = rangeStart || install;
+    end = rangeEnd || start;
+  } else {
+    start = install || rangeStart;
+    end = start;
+  }
+  if (!start) return null;
+
+  start = startOfDay(start);
+  end = startOfDay(end);
+  if (end < start) end = start;
+  return { start, end };
+}
+
+/**
+ * Clip each job's day range to a window of `days` starting at `windowStart`
+ * and stack overlapping bars into lanes.
+ * Returns [{ job, col, span, lane, startsBefore, endsAfter }] with 1-based col.
+ */
+export function layoutDaySegments(jobs, windowStart, days = 7) {
+  const windowEnd = addDays(windowStart, days - 1);
+  const segments = [];
+
+  for (const job of jobs) {
+    const range = jobDayRange(job);
+    if (!range || range.end < windowStart || range.start > windowEnd) continue;
+
+    const segStart = range.start < windowStart ? windowStart : range.start;
+    const segEnd = range.end > windowEnd ? windowEnd : range.end;
+    segments.push({
+      job,
+      col: daysBetween(windowStart, segStart) + 1,
+      span: daysBetween(segStart, segEnd) + 1,
+      startsBefore: range.start < windowStart,
+      endsAfter: range.end > windowEnd,
+    });
+  }
+
+  // earliest first, longer bars first so they claim the top lanes
+  segments.sort((a, b) => a.col - b.col || b.span - a.span);
+
+  const laneEnds = []; // last occupied col per lane
+  for (const s of segments) {
+    let lane = laneEnds.findIndex((end) => end < s.col);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(0);
+    }
+    laneEnds[lane] = s.col + s.span - 1;
+    s.lane = lane;
+  }
+
+  return segments;
+}
+
+/** Normalise assignedTo (array | single uid | empty) into an array of uids. */
+export const assignedIds = (job) =>
+  Array.isArray(job?.assignedTo) ? job.assignedTo : job?.assignedTo ? [job.assignedTo] : [];
+
+/**
+ * Best URL to show a job photo at a given size: the thumbnail written by
+ * makePhotoThumbnails when there is one, else the full image.
+ */
+export const photoSrc = (photo, size = 'small') =>
+  (size === 'medium' ? photo?.thumbMediumUrl : photo?.thumbSmallUrl) || photo?.url;
@@ -0,0 +1,127 @@
+// src/utils/lineItemPdf.js
+import jsPDF from 'jspdf';
+import { lineTotal } from './quotes';
+
+const money = (n) =>
+  (Number(n) || 0).toLocaleString(undefined, { style: 'currency', currency: 'AUD' });
+
+/**
+ * Text-based A4 PDF for a priced document (quote, invoice…): header, client
+ * block, line item table and totals. Drawn with jsPDF directly rather than
+ * via html2canvas so the text stays selectable and the file small.
+ *
+ * @param {Object} options
+ *   - title: e.g. 'QUOTE'
+ *   - businessName: shown top-left
+ *   - meta: [[label, value]] shown top-right (number, dates…)
+ *   - client: { clientName, company, contact, phone, email, address }
+ *   - lines: [{ description, qty, unitPrice }]
+ *   - totals: { subtotal, tax, total }
+ *   - taxRate: percent, for the tax label
+ *   - notes: free text printed under the totals (scope, terms…)
+ *   - fileName
+ */
+export default function generateLineItemPDF({
+  title,
+  businessName,
+  meta = [],
+  client = {},
+  lines = [],
+  totals,
+  taxRate,
+  notes,
+  fileName,
+}) {
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const left = 15;
+  const right = 195;
+  const bottom = 280;
+  let y = 20;
+
+  const newPageIfNeeded = (needed = 8) => {
+    if (y + needed > bottom) {
+      pdf.addPage();
+      y = 20;
+    }
+  };
+
+  // Header
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.text(businessName || '', left, y);
+  pdf.setFontSize(22);
+  pdf.text(title, right, y, { align: 'right' });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  meta.forEach(([label, value], i) => {
+    pdf.text(`${label}: ${value || '—'}`, right, y + 8 + i * 5, { align: 'right' });
+  });
+
+  // Client
+  y += 10;
+  pdf.setFont('helvetica', 'bold');
+  pdf.text('To', left, y);
+  pdf.setFont('helvetica', 'normal');
+  [client.clientName, client.company, client.contact, client.address, client.phone, client.email]
+    .filter(Boolean)
+    .forEach((line) => {
+      y += 5;
+      pdf.text(String(line), left, y);
+    });
+  y = Math.max(y, 28 + meta.length * 5) + 12;
+
+  // Line items
+  const cols = { desc: left, qty: 135, unit: 160, total: right };
+  const tableHeader = () => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Description', cols.desc, y);
+    pdf.text('Qty', cols.qty, y, { align: 'right' });
+    pdf.text('Unit', cols.unit, y, { align: 'right' });
+    pdf.text('Amount', cols.total, y, { align: 'right' });
+    pdf.line(left, y + 2, right, y + 2);
+    pdf.setFont('helvetica', 'normal');
+    y += 8;
+  };
+  tableHeader();
+
+  for (const l of lines) {
+    const descLines = pdf.splitTextToSize(l.description || '—', cols.qty - cols.desc - 15);
+    if (y + descLines.length * 5 > bottom) {
+      pdf.addPage();
+      y = 20;
+      tableHeader();
+    }
+    pdf.text(descLines, cols.desc, y);
+    pdf.text(String(Number(l.qty) || 0), cols.qty, y, { align: 'right' });
+    pdf.text(money(l.unitPrice), cols.unit, y, { align: 'right' });
+    pdf.text(money(lineTotal(l)), cols.total, y, { align: 'right' });
+    y += descLines.length * 5 + 2;
+  }
+
+  // Totals
+  newPageIfNeeded(24);
+  pdf.line(cols.qty - 10, y, right, y);
+  y += 6;
+  const totalRow = (label, value, bold = false) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.text(label, cols.unit, y, { align: 'right' });
+    pdf.text(money(value), cols.total, y, { align: 'right' });
+    y += 6;
+  };
+  totalRow('Subtotal', totals.subtotal);
+  totalRow(`GST (${Number(taxRate) || 0}%)`, totals.tax);
+  totalRow('Total', totals.total, true);
+  pdf.setFont('helvetica', 'normal');
+
+  // Notes
+  if (notes) {
+    y += 6;
+    for (const line of pdf.splitTextToSize(notes, right - left)) {
+      newPageIfNeeded(5);
+      pdf.text(line, left, y);
+      y += 5;
+    }
+  }
+
+  pdf.save(fileName);
+}
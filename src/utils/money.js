@@ -0,0 +1,5 @@
+// src/utils/money.js
+// Rounding shared by the quote, costing and expense maths.
+
+/** Round to cents (or hundredths of an hour); non-numbers count as 0. */
+export const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
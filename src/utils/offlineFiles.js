@@ -0,0 +1,34 @@
+// src/utils/offlineFiles.js
+// Job photos and plans cached by the service worker (see service-worker.js).
+
+export const JOB_FILES_CACHE = 'job-files';
+
+/**
+ * Open a Storage file (e.g. a PDF plan) in a new tab. Offline, the copy the
+ * service worker cached is opened instead, since the new tab can't reach
+ * Storage itself.
+ */
+export async function openJobFile(url) {
+  if (navigator.onLine || typeof caches === 'undefined') {
+    window.open(url, '_blank', 'noopener,noreferrer');
+    // The new tab bypasses the service worker, so keep a copy for later
+    if (typeof caches !== 'undefined') {
+      caches
+        .open(JOB_FILES_CACHE)
+        .then((cache) => cache.add(url))
+        .catch((err) => console.warn('Could not cache file for offline use', err));
+    }
+    return;
+  }
+  // Open the tab now, while we still have the click, and fill it in after
+  const win = window.open('', '_blank');
+  try {
+    const hit = await caches.match(url, { cacheName: JOB_FILES_CACHE });
+    if (!hit || hit.type === 'opaque') throw new Error('not cached');
+    const blob = await hit.blob();
+    if (win) win.location.href = URL.createObjectURL(blob);
+  } catch {
+    win?.close();
+    alert("This file isn't saved on this device yet. Open it once with a connection to keep it for offline use.");
+  }
+}
@@ -0,0 +1,54 @@
+// src/utils/quotes.js
+// Quote line items and totals. Prices are ex GST; tax is added on the subtotal.
+import { round2 } from './money';
+
+export const QUOTE_STATUSES = [
+  { value: 'draft', label: 'Draft', color: 'rgba(255,255,255,0.15)' },
+  { value: 'sent', label: 'Sent', color: 'rgba(33,150,243,0.35)' },
+  { value: 'accepted', label: 'Accepted', color: 'rgba(76,175,80,0.4)' },
+  { value: 'declined', label: 'Declined', color: 'rgba(244,67,54,0.35)' },
+];
+
+export const LINE_TYPES = [
+  { value: 'sign', label: 'Sign', unit: 'ea' },
+  { value: 'material', label: 'Material', unit: 'ea' },
+  { value: 'labour', label: 'Labour', unit: 'h' },
+  { value: 'variation', label: 'Variation', unit: 'ea' }, // signed on site, added to invoices
+];
+
+export const quoteStatusMeta = (value) =>
+  QUOTE_STATUSES.find((s) => s.value === value) || QUOTE_STATUSES[0];
+
+export const newLineItem = (type = 'sign') => ({
+  id: Math.random().toString(36).slice(2, 10),
+  type,
+  description: '',
+  qty: 1,
+  unitPrice: '',
+});
+
+export function lineTotal(line) {
+  return round2((Number(line?.qty) || 0) * (Number(line?.unitPrice) || 0));
+}
+
+/** { subtotal, tax, total } for line items at `taxRate` percent. */
+export function lineItemTotals(lines, taxRate) {
+  const subtotal = round2((lines || []).reduce((s, l) => s + lineTotal(l), 0));
+  const tax = round2((subtotal * (Number(taxRate) || 0)) / 100);
+  return { subtotal, tax, total: round2(subtotal + tax) };
+}
+
+/** Quoted labour hours; becomes the job's allowedHours on acceptance. */
+export function labourHours(lines) {
+  return round2(
+    (lines || []).filter((l) => l.type === 'labour').reduce((s, l) => s + (Number(l.qty) || 0), 0)
+  );
+}
+
+/** Job description built from the quote's scope and line items. */
+export function describeLines(lines) {
+  return (lines || [])
+    .filter((l) => l.type !== 'labour' && l.description)
+    .map((l) => `${Number(l.qty) || 0} × ${l.description}`)
+    .join('\n');
+}
@@ -0,0 +1,33 @@
+import { describeLines, labourHours, lineItemTotals, lineTotal, quoteStatusMeta } from './quotes';
+
+const lines = [
+  { type: 'sign', description: 'Pylon sign', qty: 1, unitPrice: '1250' },
+  { type: 'material', description: 'Brackets', qty: 4, unitPrice: 12.495 },
+  { type: 'labour', description: 'Install', qty: 6.5, unitPrice: 90 },
+  { type: 'labour', description: 'Travel', qty: '1.5', unitPrice: '' },
+];
+
+test('lineTotal is qty × unit price to the cent, blanks counting as 0', () => {
+  expect(lineTotal(lines[1])).toBe(49.98);
+  expect(lineTotal(lines[3])).toBe(0);
+  expect(lineTotal({})).toBe(0);
+});
+
+test('lineItemTotals adds tax on the subtotal', () => {
+  expect(lineItemTotals(lines, 10)).toEqual({ subtotal: 1884.98, tax: 188.5, total: 2073.48 });
+  expect(lineItemTotals([], '')).toEqual({ subtotal: 0, tax: 0, total: 0 });
+});
+
+test('labourHours sums only labour lines', () => {
+  expect(labourHours(lines)).toBe(8);
+  expect(labourHours(undefined)).toBe(0);
+});
+
+test('describeLines lists the non-labour items', () => {
+  expect(describeLines(lines)).toBe('1 × Pylon sign\n4 × Brackets');
+});
+
+test('quoteStatusMeta falls back to draft', () => {
+  expect(quoteStatusMeta('accepted').label).toBe('Accepted');
+  expect(quoteStatusMeta('nope').value).toBe('draft');
+});
@@ -0,0 +1,152 @@
+// src/utils/scheduleConflicts.js
+// Double-booking checks for installers across open jobs.
+import {
+  addDays,
+  assignedIds,
+  dayKey,
+  daysBetween,
+  isCompleted,
+  jobDayRange,
+  toJSDate,
+} from './jobUtils';
+import { SCHEDULING_DEFAULTS } from '../services/settingsService';
+
+const HOUR_MS = 3600000;
+
+const parseHM = (str, fallbackMin) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(str || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : fallbackMin;
+};
+
+/**
+ * Split a job into one booking per day it occupies.
+ * Hours per day come from allowedHours shared across the crew and the days;
+ * without a quote, multi-day jobs fill the working day and single-day jobs
+ * use defaultJobHours. Only the first day of a job with installTime is timed.
+ */
+export function jobBookings(job, settings = SCHEDULING_DEFAULTS) {
+  const range = jobDayRange(job);
+  if (!range) return [];
+
+  const s = { ...SCHEDULING_DEFAULTS, ...settings };
+  const dayStartMin = parseHM(s.workdayStart, 7 * 60);
+  const dayEndMin = parseHM(s.workdayEnd, 16 * 60);
+  const dayHours = Math.max(1, (dayEndMin - dayStartMin) / 60);
+
+  const nDays = daysBetween(range.start, range.end) + 1;
+  const crew = Math.max(1, assignedIds(job).length);
+  const quoted = Number(job.allowedHours);
+  const hasQuote = job.allowedHours !== null && job.allowedHours !== '' && Number.isFinite(quoted) && quoted > 0;
+
+  let perDay;
+  if (hasQuote) perDay = quoted / crew / nDays;
+  else if (nDays > 1) perDay = dayHours;
+  else perDay = Number(s.defaultJobHours) || dayHours;
+  perDay = Math.min(perDay, dayHours);
+
+  const install = toJSDate(job.installDate);
+  const out = [];
+  for (let i = 0; i < nDays; i++) {
+    const day = addDays(range.start, i);
+    let start = null;
+    let end = null;
+    if (i === 0 && job.installTime && install) {
+      start = new Date(day);
+      start.setHours(install.getHours(), install.getMinutes(), 0, 0);
+      start = start.getTime();
+      end = start + perDay * HOUR_MS;
+    }
+    out.push({ job, day, dayKey: dayKey(day), hours: perDay, start, end });
+  }
+  return out;
+}
+
+/** Index open jobs' bookings by `${uid}|${dayKey}`. */
+export function buildBookingIndex(jobs, settings = SCHEDULING_DEFAULTS) {
+  const index = new Map();
+  for (const job of jobs || []) {
+    if (isCompleted(job)) continue;
+    const bookings = jobBookings(job, settings);
+    for (const uid of assignedIds(job)) {
+      for (const b of bookings) {
+        const key = `${uid}|${b.dayKey}`;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(b);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Clashes for `candidate` against an index from buildBookingIndex.
+ * - overlap:    both jobs have a set time and their windows (plus travel buffer) overlap
+ * - overbooked: the installer's hours that day (plus buffers) exceed the working day
+ * Returns [{ uid, job, day, type }], one per installer/job/type.
+ */
+export function findConflicts(candidate, index, settings = SCHEDULING_DEFAULTS) {
+  if (!candidate || isCompleted(candidate)) return [];
+
+  const s = { ...SCHEDULING_DEFAULTS, ...settings };
+  const bufferMs = (Number(s.travelBufferMinutes) || 0) * 60000;
+  const bufferHours = bufferMs / HOUR_MS;
+  const dayHours =
+    Math.max(1, parseHM(s.workdayEnd, 16 * 60) - parseHM(s.workdayStart, 7 * 60)) / 60;
+
+  const mine = jobBookings(candidate, s);
+  const seen = new Set();
+  const out = [];
+  const push = (uid, b, type) => {
+    const key = `${uid}|${b.job.id}|${type}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push({ uid, job: b.job, day: b.day, type });
+  };
+
+  for (const uid of assignedIds(candidate)) {
+    for (const cb of mine) {
+      const others = (index.get(`${uid}|${cb.dayKey}`) || []).filter(
+        (b) => b.job.id !== candidate.id
+      );
+      if (!others.length) continue;
+
+      const overlapping = new Set();
+      for (const b of others) {
+        if (cb.start == null || b.start == null) continue;
+        if (cb.start < b.end + bufferMs && b.start < cb.end + bufferMs) {
+          overlapping.add(b.job.id);
+          push(uid, b, 'overlap');
+        }
+      }
+
+      const booked = cb.hours + others.reduce((sum, b) => sum + b.hours + bufferHours, 0);
+      if (booked > dayHours + 1e-6) {
+        others.filter((b) => !overlapping.has(b.job.id)).forEach((b) => push(uid, b, 'overbooked'));
+      }
+    }
+  }
+
+  return out;
+}
+
+/** Conflicts for every job in `jobs` keyed by job id (jobs without clashes omitted). */
+export function conflictsByJob(jobs, settings = SCHEDULING_DEFAULTS) {
+  const index = buildBookingIndex(jobs, settings);
+  const out = {};
+  for (const job of jobs || []) {
+    const list = findConflicts(job, index, settings);
+    if (list.length) out[job.id] = list;
+  }
+  return out;
+}
+
+/** One-line description for chips and form warnings. */
+export function describeConflict(c, userMap) {
+  const u = userMap?.[c.uid];
+  const who = u?.shortName || u?.displayName || u?.email || 'Installer';
+  const what = c.job.clientName || 'another job';
+  const when = c.day.toLocaleDateString('en-AU', { weekday: 'short', day: '2-digit', month: '2-digit' });
+  return c.type === 'overlap'
+    ? `${who} is already on ${what} at that time (${when})`
+    : `${who} is overbooked on ${when} with ${what}`;
+}
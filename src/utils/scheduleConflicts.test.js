@@ -0,0 +1,86 @@
+import { buildBookingIndex, conflictsByJob, findConflicts, jobBookings } from './scheduleConflicts';
+
+const at = (h, m = 0) => new Date(2026, 2, 10, h, m);
+const job = (id, fields) => ({ id, assignedTo: ['amy'], installDate: at(0), ...fields });
+const timed = (id, h, m, fields) => job(id, { installDate: at(h, m), installTime: true, ...fields });
+
+describe('jobBookings', () => {
+  test('shares quoted hours across the crew and the days', () => {
+    const bookings = jobBookings(
+      job('a', {
+        isMultiDay: true,
+        startDate: '2026-03-10',
+        endDate: '2026-03-12',
+        assignedTo: ['amy', 'ben'],
+        allowedHours: 24,
+      })
+    );
+    expect(bookings.map((b) => b.dayKey)).toEqual(['2026-03-10', '2026-03-11', '2026-03-12']);
+    expect(bookings.map((b) => b.hours)).toEqual([4, 4, 4]);
+  });
+
+  test('falls back to defaultJobHours, or the working day for multi-day jobs', () => {
+    expect(jobBookings(job('a'))[0].hours).toBe(4);
+    const multi = job('b', { isMultiDay: true, startDate: '2026-03-10', endDate: '2026-03-11' });
+    expect(jobBookings(multi).map((b) => b.hours)).toEqual([9, 9]);
+  });
+
+  test('caps a day at the working day', () => {
+    expect(jobBookings(job('a', { allowedHours: 20 }))[0].hours).toBe(9);
+  });
+
+  test('times only the first day of a job with installTime', () => {
+    const [first, second] = jobBookings(
+      timed('a', 8, 0, { isMultiDay: true, startDate: '2026-03-10', endDate: '2026-03-11', allowedHours: 6 })
+    );
+    expect(first.start).toBe(at(8).getTime());
+    expect(first.end).toBe(at(11).getTime());
+    expect(second.start).toBeNull();
+  });
+
+  test('returns nothing for unscheduled jobs', () => {
+    expect(jobBookings({ id: 'a', assignedTo: ['amy'] })).toEqual([]);
+  });
+});
+
+describe('findConflicts', () => {
+  test('flags timed jobs whose windows overlap once the travel buffer is added', () => {
+    const morning = timed('a', 8, 0);
+    const afternoon = timed('b', 12, 15);
+    const index = buildBookingIndex([morning, afternoon]);
+
+    expect(findConflicts(afternoon, index)).toEqual([
+      { uid: 'amy', job: morning, day: new Date(2026, 2, 10), type: 'overlap' },
+    ]);
+    expect(findConflicts(afternoon, index, { travelBufferMinutes: 0 })).toEqual([]);
+  });
+
+  test('flags an installer booked past the working day', () => {
+    const jobs = [job('a'), job('b'), job('c')];
+    const index = buildBookingIndex(jobs);
+
+    const found = findConflicts(jobs[0], index);
+    expect(found.map((c) => [c.job.id, c.type])).toEqual([
+      ['b', 'overbooked'],
+      ['c', 'overbooked'],
+    ]);
+  });
+
+  test('ignores completed jobs and other installers', () => {
+    const mine = timed('a', 8, 0);
+    const done = timed('b', 8, 0, { status: 'Completed' });
+    const someoneElse = timed('c', 8, 0, { assignedTo: ['ben'] });
+    const index = buildBookingIndex([mine, done, someoneElse]);
+
+    expect(findConflicts(mine, index)).toEqual([]);
+    expect(findConflicts(done, index)).toEqual([]);
+  });
+});
+
+test('conflictsByJob keys clashes by job and leaves out clear jobs', () => {
+  const jobs = [timed('a', 8, 0), timed('b', 9, 0), timed('c', 8, 0, { assignedTo: ['ben'] })];
+  const byJob = conflictsByJob(jobs);
+
+  expect(Object.keys(byJob).sort()).toEqual(['a', 'b']);
+  expect(byJob.a[0].job.id).toBe('b');
+});
@@ -0,0 +1,22 @@
+// src/utils/timeCategories.js
+// What a time entry was spent on. Keep in step with TIME_CATEGORY_LABELS in functions/index.js.
+
+export const TIME_CATEGORIES = [
+  { value: 'install', label: 'Install', color: 'rgba(33,150,243,0.35)' },
+  { value: 'travel', label: 'Travel', color: 'rgba(156,39,176,0.35)' },
+  { value: 'setup', label: 'Setup', color: 'rgba(0,150,136,0.35)' },
+  { value: 'rework', label: 'Rework', color: 'rgba(244,67,54,0.35)' },
+];
+
+export const DEFAULT_TIME_CATEGORY = 'install';
+
+const BY_VALUE = Object.fromEntries(TIME_CATEGORIES.map((c) => [c.value, c]));
+
+/** Category of an entry; entries logged before categories existed count as install. */
+export function categoryOf(entry) {
+  return BY_VALUE[entry?.category] ? entry.category : DEFAULT_TIME_CATEGORY;
+}
+
+export function categoryMeta(value) {
+  return BY_VALUE[value] || BY_VALUE[DEFAULT_TIME_CATEGORY];
+}
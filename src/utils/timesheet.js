@@ -0,0 +1,77 @@
+// src/utils/timesheet.js
+// Weekly timesheet maths for TimesheetPage.
+import { addDays, dayKey, toJSDate } from './jobUtils';
+
+// Breaks longer than this between two timed entries on the same day are flagged
+export const GAP_FLAG_MINUTES = 60;
+
+/** Day an entry belongs to: timer start, else when a manual entry was logged. */
+export function entryDate(e) {
+  return toJSDate(e.start) || toJSDate(e.createdAt);
+}
+
+/** Same rules as hoursFromEntry in functions; running timers count up to `now`. */
+export function entryHours(e, now = new Date()) {
+  if (e.deleted) return 0;
+  if (typeof e.hours === 'number' && Number.isFinite(e.hours)) return e.hours;
+  const start = toJSDate(e.start);
+  if (!start) return 0;
+  const end = toJSDate(e.end) || (e.end === null ? now : null);
+  return end ? Math.max(0, (end - start) / 3600000) : 0;
+}
+
+/**
+ * Overlaps and long gaps between timed entries on one day.
+ * Returns [{ type: 'overlap' | 'gap', a, b, minutes }].
+ */
+export function dayIssues(entries, now = new Date()) {
+  const timed = entries
+    .map((e) => ({ e, start: toJSDate(e.start), end: toJSDate(e.end) || (e.end === null ? now : null) }))
+    .filter((t) => t.start && t.end)
+    .sort((x, y) => x.start - y.start);
+
+  const out = [];
+  let latest = null; // entry with the furthest end so far
+  for (const t of timed) {
+    if (latest) {
+      const minutes = Math.round((t.start - latest.end) / 60000);
+      if (minutes < 0) out.push({ type: 'overlap', a: latest.e, b: t.e, minutes: -minutes });
+      else if (minutes > GAP_FLAG_MINUTES) out.push({ type: 'gap', a: latest.e, b: t.e, minutes });
+    }
+    if (!latest || t.end > latest.end) latest = t;
+  }
+  return out;
+}
+
+/**
+ * Build the Monday–Sunday grid for one person's entries.
+ * rows: one per job, hours per day; dayTotals / weekTotal; issues per day.
+ */
+export function buildWeekSheet(entries, weekStart, now = new Date()) {
+  const keys = Array.from({ length: 7 }, (_, i) => dayKey(addDays(weekStart, i)));
+  const rowsByJob = new Map();
+  const byDay = keys.map(() => []);
+
+  for (const e of entries) {
+    const when = entryDate(e);
+    const col = when ? keys.indexOf(dayKey(when)) : -1;
+    if (col < 0) continue;
+    byDay[col].push(e);
+
+    if (!rowsByJob.has(e.jobId)) {
+      rowsByJob.set(e.jobId, { jobId: e.jobId, days: Array(7).fill(0), total: 0, running: false });
+    }
+    const row = rowsByJob.get(e.jobId);
+    const h = entryHours(e, now);
+    row.days[col] += h;
+    row.total += h;
+    if (e.end === null) row.running = true;
+  }
+
+  const rows = Array.from(rowsByJob.values());
+  const dayTotals = keys.map((_, i) => rows.reduce((s, r) => s + r.days[i], 0));
+  const weekTotal = dayTotals.reduce((s, h) => s + h, 0);
+  const issues = byDay.map((list) => dayIssues(list, now));
+
+  return { rows, dayTotals, weekTotal, issues, entriesByDay: byDay };
+}
@@ -0,0 +1,4 @@
+// src/version.js
+// Shown in JobListPage and baked into the service worker, so bumping it
+// on release is what makes installed apps offer the update.
+export const APP_VERSION = "InstallScheduler v26.02.12.01";